@@ -0,0 +1,248 @@
+// components/AnalyticsTab.js
+import { useEffect, useMemo, useState } from 'react';
+import { supabase } from '../lib/supabaseClient';
+import { withVisibility } from '../lib/sightings';
+import { toDay } from '../lib/filters';
+import { fetchAll } from '../lib/tables';
+import {
+  median,
+  reportsOverTime,
+  injuredShare,
+  firstResponseHours,
+  closedBySanctuary,
+  closedByCaregiver,
+  topReporters,
+  areaBreakdown,
+  CLOSED_STATUSES,
+} from '../lib/analytics';
+import ChartCard from './ChartCard';
+import LineChart from './LineChart';
+import BarChart from './BarChart';
+
+const DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* sighting ids per sighting_events request (keeps the URL short) */
+const EVENT_ID_BATCH = 200;
+
+const SIGHTING_COLUMNS =
+  'id, created_at, seen_at, behaviour, status, assignee_id, sanctuary_id, user_id, latitude, longitude';
+
+/* hours → "45 min" / "6.5 h" / "2.1 d" */
+const formatHours = (h) =>
+  h == null ? '—' : h < 1 ? `${Math.round(h * 60)} min` : h < 48 ? `${h.toFixed(1)} h` : `${(h / 24).toFixed(1)} d`;
+
+/* ────────────────────────────────────────── */
+export default function AnalyticsTab({
+  role,
+  userId,
+  sanctuaryIds,             // caregivers: their sanctuaries; null = everything
+}) {
+  /* ---------- filters ---------- */
+  const [from,      setFrom]      = useState(() => toDay(new Date(Date.now() - DEFAULT_DAYS * DAY_MS)));
+  const [to,        setTo]        = useState(() => toDay(new Date()));
+  const [sanctuary, setSanctuary] = useState('all');     // all | unrouted | <id>
+  const [bucket,    setBucket]    = useState('day');
+
+  /* ---------- data ---------- */
+  const [sightings,   setSightings]   = useState([]);
+  const [events,      setEvents]      = useState([]);
+  const [sanctuaries, setSanctuaries] = useState([]);
+  const [profiles,    setProfiles]    = useState([]);
+  const [loading,     setLoading]     = useState(true);
+
+  /* lookups don't depend on the filters */
+  useEffect(() => {
+    let q = supabase.from('sanctuaries').select('id, name').order('name');
+    if (sanctuaryIds) q = q.in('id', sanctuaryIds.length ? sanctuaryIds : [-1]);
+    q.then(({ data }) => setSanctuaries(data || []));
+    fetchAll(() => supabase.from('profiles').select('id, email').order('id'))
+      .then(({ data }) => setProfiles(data));
+  }, [sanctuaryIds]);
+
+  useEffect(() => {
+    if (!from || !to || from > to) return;
+    /* a slower, older request must not overwrite a newer one */
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      const start = new Date(`${from}T00:00`).toISOString();
+      const end   = new Date(new Date(`${to}T00:00`).getTime() + DAY_MS).toISOString();
+
+      /* every matching row: a busy range runs past PostgREST's page limit */
+      const { data: s, error } = await fetchAll(() => {
+        let q = withVisibility(
+          supabase.from('sightings').select(SIGHTING_COLUMNS),
+          { role, userId }
+        ).gte('seen_at', start).lt('seen_at', end);
+        if (sanctuaryIds) q = q.in('sanctuary_id', sanctuaryIds.length ? sanctuaryIds : [-1]);
+        if (sanctuary === 'unrouted')  q = q.is('sanctuary_id', null);
+        else if (sanctuary !== 'all') q = q.eq('sanctuary_id', sanctuary);
+        return q.order('id');
+      });
+      if (cancelled) return;
+      if (error) { alert(error.message); setLoading(false); return; }
+
+      /* history of just those sightings */
+      const e = [];
+      for (let i = 0; i < s.length; i += EVENT_ID_BATCH) {
+        const ids = s.slice(i, i + EVENT_ID_BATCH).map((r) => r.id);
+        const { data, error: eventError } = await fetchAll(() => supabase
+          .from('sighting_events')
+          .select('id, sighting_id, field, to_value, actor_id, created_at')
+          .in('sighting_id', ids)
+          .order('id'));
+        if (cancelled) return;
+        if (eventError) { alert(eventError.message); setLoading(false); return; }
+        e.push(...data);
+      }
+      e.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+      setSightings(s);
+      setEvents(e);
+      setLoading(false);
+    })();
+    return () => { cancelled = true; };
+  }, [from, to, sanctuary, role, userId, sanctuaryIds]);
+
+  /* ---------- aggregates ---------- */
+  const email = (id) => profiles.find((p) => p.id === id)?.email || id;
+  const sanctuaryName = (id) =>
+    sanctuaries.find((s) => String(s.id) === String(id))?.name || `#${id}`;
+
+  const stats = useMemo(() => {
+    const overTime = reportsOverTime(sightings, { from, to, bucket });
+    const injuredOverTime = reportsOverTime(
+      sightings.filter((s) => s.behaviour === 'injured'), { from, to, bucket }
+    );
+    return {
+      overTime,
+      injuredShareOverTime: overTime.map((p, i) => ({
+        label: p.label,
+        date:  p.date,
+        value: p.value ? Math.round((injuredOverTime[i].value / p.value) * 100) : null,
+      })),
+      injured:     injuredShare(sightings),
+      response:    median(firstResponseHours(sightings, events)),
+      closed:      sightings.filter((s) => CLOSED_STATUSES.includes(s.status)).length,
+      bySanctuary: closedBySanctuary(sightings, sanctuaryName),
+      byCaregiver: closedByCaregiver(sightings, events, email),
+      reporters:   topReporters(sightings, email),
+      areas:       areaBreakdown(sightings),
+    };
+  }, [sightings, events, from, to, bucket, profiles, sanctuaries]);
+
+  const barCsv = (bars, label) => ({
+    rows:    bars,
+    columns: [{ key: 'label', label }, { key: 'value', label: 'count' }],
+  });
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <div className="space-y-4">
+      {/* filters */}
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>
+          <span className="block text-gray-600">From</span>
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="border p-1 rounded" />
+        </label>
+        <label>
+          <span className="block text-gray-600">To</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="border p-1 rounded" />
+        </label>
+        <label>
+          <span className="block text-gray-600">Sanctuary</span>
+          <select value={sanctuary} onChange={(e) => setSanctuary(e.target.value)} className="border p-1 rounded">
+            <option value="all">{sanctuaryIds ? 'All my sanctuaries' : 'All sanctuaries'}</option>
+            {!sanctuaryIds && <option value="unrouted">Outside any service area</option>}
+            {sanctuaries.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="block text-gray-600">Group by</span>
+          <select value={bucket} onChange={(e) => setBucket(e.target.value)} className="border p-1 rounded">
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+        </label>
+        {loading && <span className="text-gray-500">Loading…</span>}
+      </div>
+
+      {/* KPIs */}
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+        {[
+          ['Reports', sightings.length],
+          ['Injured share', stats.injured == null ? '—' : `${stats.injured}%`],
+          ['Median first response', formatHours(stats.response)],
+          ['Cases closed', stats.closed],
+        ].map(([k, v]) => (
+          <div key={k} className="bg-white shadow-sm rounded p-2">
+            <dt className="text-gray-500 text-xs">{k}</dt>
+            <dd className="text-lg font-medium">{v}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {/* charts */}
+      <div className="grid lg:grid-cols-2 gap-4">
+        <ChartCard
+          title={`Reports per ${bucket}`}
+          name={`reports-per-${bucket}`}
+          csv={{ rows: stats.overTime, columns: [{ key: 'date', label: bucket }, { key: 'value', label: 'reports' }] }}
+        >
+          <LineChart points={stats.overTime} />
+        </ChartCard>
+
+        <ChartCard
+          title="Injured share"
+          name="injured-share"
+          csv={{ rows: stats.injuredShareOverTime, columns: [{ key: 'date', label: bucket }, { key: 'value', label: 'injured %' }] }}
+        >
+          <LineChart points={stats.injuredShareOverTime} max={100} unit="%" color="#dc2626" />
+        </ChartCard>
+
+        <ChartCard title="Cases closed per sanctuary" name="closed-per-sanctuary" csv={barCsv(stats.bySanctuary, 'sanctuary')}>
+          <BarChart bars={stats.bySanctuary} />
+        </ChartCard>
+
+        <ChartCard title="Cases closed per caregiver" name="closed-per-caregiver" csv={barCsv(stats.byCaregiver, 'caregiver')}>
+          <BarChart bars={stats.byCaregiver} color="#0284c7" />
+        </ChartCard>
+
+        <ChartCard title="Top reporters" name="top-reporters" csv={barCsv(stats.reporters, 'reporter')}>
+          <BarChart bars={stats.reporters} color="#7c3aed" />
+        </ChartCard>
+
+        <ChartCard
+          title="Busiest areas (≈1 km)"
+          name="busiest-areas"
+          csv={{
+            rows: stats.areas,
+            columns: [
+              { key: 'lat', label: 'lat' },
+              { key: 'lng', label: 'lng' },
+              { key: 'value', label: 'reports' },
+              { key: 'injured', label: 'injured' },
+            ],
+          }}
+        >
+          <BarChart bars={stats.areas} color="#b45309" />
+          <p className="text-xs text-gray-500 mt-1">
+            Cell centres; open on the map:{' '}
+            {stats.areas.slice(0, 3).map((a, i) => (
+              <a
+                key={a.label}
+                href={`/map?lat=${a.lat.toFixed(5)}&lng=${a.lng.toFixed(5)}`}
+                className="underline text-emerald-600 mr-2"
+              >
+                #{i + 1}
+              </a>
+            ))}
+          </p>
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
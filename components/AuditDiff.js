@@ -0,0 +1,26 @@
+// components/AuditDiff.js
+import { auditChanges } from '../lib/audit';
+
+/* field / before / after for one audit_log entry */
+export default function AuditDiff({ entry }) {
+  const rows = auditChanges(entry);
+  if (!rows.length) return null;
+
+  return (
+    <table className="text-xs">
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.field} className="align-top">
+            <td className="pr-2 text-gray-500">{r.field}</td>
+            <td className="pr-2 text-red-700 line-through break-all max-w-[240px]">
+              {entry.action !== 'insert' && r.before}
+            </td>
+            <td className="text-emerald-700 break-all max-w-[240px]">
+              {entry.action !== 'delete' && r.after}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,39 @@
+// components/AuditHistory.js
+import { useEffect, useState } from 'react';
+import { fetchEntityHistory, auditSummary, entityLabel } from '../lib/audit';
+import AuditDiff from './AuditDiff';
+
+/* audit trail of one sanctuary / user row, newest first */
+export default function AuditHistory({ entity, entityId, refreshKey = 0 }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [open,    setOpen]    = useState(null);   // entry id showing its diff
+
+  useEffect(() => {
+    setLoading(true);
+    fetchEntityHistory(entity, entityId).then(({ data, error }) => {
+      if (error) alert(error.message);
+      setEntries(data || []);
+      setLoading(false);
+    });
+  }, [entity, entityId, refreshKey]);
+
+  if (loading) return <p className="text-xs text-gray-500">Loading history…</p>;
+  if (!entries.length) return <p className="text-xs text-gray-500">No recorded changes.</p>;
+
+  return (
+    <ol className="text-xs space-y-1">
+      {entries.map((e) => (
+        <li key={e.id}>
+          <button onClick={() => setOpen(open === e.id ? null : e.id)} className="text-left">
+            <span className="text-gray-500">{new Date(e.created_at).toLocaleString()}</span>{' '}
+            <strong>{e.actor_email || `${e.actor_id?.slice(0, 8)}…`}</strong>:{' '}
+            {e.entity !== entity && `${entityLabel(e.entity)} `}
+            {auditSummary(e)}
+          </button>
+          {open === e.id && <div className="pl-4 py-1"><AuditDiff entry={e} /></div>}
+        </li>
+      ))}
+    </ol>
+  );
+}
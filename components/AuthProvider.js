@@ -0,0 +1,111 @@
+// components/AuthProvider.js
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
+import { supabase } from '../lib/supabaseClient';
+import { PROFILE_COLUMNS } from '../lib/profile';
+import { guardFor, checkGuard, loginPath, HOME_PATH, LOGIN_PATH } from '../lib/guards';
+
+/* One place for "who is signed in": the auth user, their profile (role,
+   display name…) and the sanctuaries they care for. Pages read it with
+   useAuth(); the guards in lib/guards.js are enforced here on the client
+   and in middleware.js on the server. */
+
+const AuthContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
+
+/* ────────────────────────────────────────── */
+export function AuthProvider({ children }) {
+  const router = useRouter();
+
+  const [loading,     setLoading]     = useState(true);
+  const [user,        setUser]        = useState(null);
+  const [profile,     setProfile]     = useState(null);
+  const [sanctuaries, setSanctuaries] = useState([]);   // mine: [{ id, name }]
+  const [expired,     setExpired]     = useState(false);
+  const signingOut = useRef(false);
+  const loadedId   = useRef(null);
+
+  /* profile + assignments, then all at once so the role never lags the
+     user. Offline both fail and the user is a plain 'user'. */
+  const loadUser = useCallback(async (u) => {
+    let p = null;
+    let a = [];
+    if (u) {
+      const [{ data: pr }, { data: as }] = await Promise.all([
+        supabase.from('profiles').select(PROFILE_COLUMNS).eq('id', u.id).single(),
+        supabase
+          .from('caregiver_assignments')
+          .select('sanctuary_id, sanctuaries ( name )')
+          .eq('caregiver_id', u.id),
+      ]);
+      p = pr;
+      a = as || [];
+    }
+    loadedId.current = u?.id || null;
+    setUser(u);
+    setProfile(p);
+    setSanctuaries(a.map(r => ({ id: r.sanctuary_id, name: r.sanctuaries?.name })));
+  }, []);
+
+  useEffect(() => {
+    /* session is read locally, so pages still open offline */
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
+      await loadUser(session?.user || null);
+      setLoading(false);
+    });
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_OUT') {
+        /* not via signOut(): the refresh token was revoked or ran out */
+        if (!signingOut.current) setExpired(true);
+        signingOut.current = false;
+        loadUser(null);
+      } else if (event === 'USER_UPDATED' ||
+                 (event === 'SIGNED_IN' && session.user.id !== loadedId.current)) {
+        setExpired(false);
+        /* callback must not await Supabase calls (auth lock), so defer */
+        setTimeout(() => loadUser(session.user), 0);
+      }
+    });
+    return () => subscription.unsubscribe();
+  }, [loadUser]);
+
+  /* scope 'local' when the server side is already gone (deleted account) */
+  const signOut = useCallback(async ({ scope } = {}) => {
+    signingOut.current = true;
+    await supabase.auth.signOut(scope ? { scope } : undefined);
+    router.push(LOGIN_PATH);
+  }, [router]);
+
+  /* after changing the profile, or the user (linked a phone…) */
+  const refresh = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return loadUser(session?.user || null);
+  }, [loadUser]);
+
+  const role         = user ? profile?.role || 'user' : null;
+  const sanctuaryIds = useMemo(() => sanctuaries.map(s => s.id), [sanctuaries]);
+
+  const value = useMemo(
+    () => ({ loading, user, profile, role, sanctuaries, sanctuaryIds, signOut, refresh }),
+    [loading, user, profile, role, sanctuaries, sanctuaryIds, signOut, refresh]
+  );
+
+  /* ---------- client-side guard ---------- */
+  const verdict = loading ? 'wait' : checkGuard(guardFor(router.pathname), { user, role });
+
+  useEffect(() => {
+    if (verdict === 'login') router.replace(loginPath(router.asPath, { expired }));
+    if (verdict === 'forbidden') router.replace(HOME_PATH);
+  }, [verdict, expired, router]);
+
+  /* a guarded page renders only once it is allowed */
+  const gated = guardFor(router.pathname) && verdict !== 'ok';
+
+  return (
+    <AuthContext.Provider value={value}>
+      {gated ? <p className="p-4">Loading…</p> : children}
+    </AuthContext.Provider>
+  );
+}
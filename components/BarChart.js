@@ -0,0 +1,46 @@
+// components/BarChart.js
+
+/* tiny dependency-free SVG horizontal bar chart, companion to LineChart
+   bars: [{ label, value }] */
+export default function BarChart({
+  bars,
+  unit  = '',
+  color = '#059669',
+}) {
+  const W = 600;
+  const ROW = 22;
+  const pad = { top: 4, right: 40, bottom: 4, left: 180 };
+  const H = pad.top + pad.bottom + Math.max(1, bars.length) * ROW;
+
+  const top = Math.max(1, ...bars.map((b) => b.value));
+  const w = (v) => (v / top) * (W - pad.left - pad.right);
+
+  /* long labels (emails) are clipped with an ellipsis */
+  const clip = (s) => (s.length > 28 ? `${s.slice(0, 27)}…` : s);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-gray-500">
+      {!bars.length && (
+        <text x={W / 2} y={H / 2 + 4} fontSize="11" textAnchor="middle" fill="currentColor">
+          No data
+        </text>
+      )}
+      {bars.map((b, i) => {
+        const y = pad.top + i * ROW;
+        return (
+          <g key={`${b.label}-${i}`}>
+            <text x={pad.left - 6} y={y + ROW / 2 + 4} fontSize="11" textAnchor="end" fill="currentColor">
+              {clip(String(b.label))}
+            </text>
+            <rect x={pad.left} y={y + 3} width={w(b.value)} height={ROW - 6} rx="2" fill={color}>
+              <title>{b.label}: {b.value}{unit}</title>
+            </rect>
+            <text x={pad.left + w(b.value) + 4} y={y + ROW / 2 + 4} fontSize="11" fill="currentColor">
+              {b.value}{unit}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
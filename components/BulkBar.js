@@ -0,0 +1,72 @@
+// components/BulkBar.js
+import { useState } from 'react';
+import { CASE_STATUSES } from '../lib/cases';
+import { VISIBILITY_OPTIONS } from '../lib/sightings';
+import { bulkActionsFor } from '../lib/bulk';
+
+/* "12 selected · [action] [value] Apply · Clear" above the sightings table */
+export default function BulkBar({ count, role, caregivers, sanctuaries, onApply, onClear }) {
+  const [action, setAction] = useState('');
+  const [value,  setValue]  = useState('');
+
+  /* value choices per action; '' is a real choice for assignee/sanctuary
+     (caregivers can only move cases between their own sanctuaries) */
+  const choices = {
+    status:     CASE_STATUSES,
+    assignee:   [{ value: '', label: 'Unassigned' }, ...caregivers.map(c => ({ value: c.id, label: c.email }))],
+    sanctuary:  [
+      ...(role === 'admin' ? [{ value: '', label: 'Outside any service area' }] : []),
+      ...sanctuaries.map(s => ({ value: String(s.id), label: s.name })),
+    ],
+    visibility: VISIBILITY_OPTIONS,
+  }[action];
+
+  const pickAction = (a) => {
+    setAction(a);
+    const first = a === 'sanctuary' && role !== 'admin'
+      ? sanctuaries[0]?.id
+      : { status: CASE_STATUSES, visibility: VISIBILITY_OPTIONS }[a]?.[0]?.value;
+    setValue(first == null ? '' : String(first));
+  };
+
+  if (!count) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm mb-2 p-2 bg-emerald-50 rounded">
+      <span className="font-medium">{count} selected</span>
+      <select
+        value={action}
+        onChange={(e) => pickAction(e.target.value)}
+        className="border p-1 rounded"
+      >
+        <option value="">Bulk action…</option>
+        {bulkActionsFor(role).map(a => (
+          <option key={a.value} value={a.value}>{a.label}</option>
+        ))}
+      </select>
+      {choices && (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="border p-1 rounded"
+        >
+          {choices.map(c => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+      )}
+      <button
+        onClick={() => onApply(action, value)}
+        disabled={!action}
+        className={`px-2 py-0.5 rounded text-white disabled:opacity-50 ${
+          action === 'delete' ? 'bg-red-600' : 'bg-emerald-600'
+        }`}
+      >
+        Apply
+      </button>
+      <button onClick={onClear} className="underline text-gray-600">
+        Clear selection
+      </button>
+    </div>
+  );
+}
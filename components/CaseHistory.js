@@ -0,0 +1,41 @@
+// components/CaseHistory.js
+import { useEffect, useState } from 'react';
+import { fetchCaseHistory, statusOf } from '../lib/cases';
+
+/* append-only timeline of status / assignee changes for one sighting */
+export default function CaseHistory({ sightingId, people = [], refreshKey = 0 }) {
+  const [events,  setEvents]  = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchCaseHistory(sightingId).then(({ data }) => {
+      setEvents(data || []);
+      setLoading(false);
+    });
+  }, [sightingId, refreshKey]);
+
+  const person = (id) =>
+    id ? people.find((p) => p.id === id)?.email || `${id.slice(0, 8)}…` : 'nobody';
+
+  const describe = (e) =>
+    e.field === 'status'
+      ? `${statusOf(e.from_value).label} → ${statusOf(e.to_value).label}`
+      : `assigned ${person(e.from_value)} → ${person(e.to_value)}`;
+
+  if (loading) return <p className="text-xs text-gray-500">Loading history…</p>;
+  if (!events.length) return <p className="text-xs text-gray-500">No changes yet.</p>;
+
+  return (
+    <ol className="text-xs space-y-1">
+      {events.map((e) => (
+        <li key={e.id}>
+          <span className="text-gray-500">
+            {new Date(e.created_at).toLocaleString()}
+          </span>{' '}
+          <strong>{e.actor?.email || 'system'}</strong>: {describe(e)}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,138 @@
+// components/CaseQueue.js
+import { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabaseClient';
+import { withVisibility, sightingThumb } from '../lib/sightings';
+import { OPEN_STATUSES, byUrgency, updateCase } from '../lib/cases';
+import { reporterContact } from '../lib/profile';
+import CaseStatus from './CaseStatus';
+
+/* open cases are few; sorted client-side because urgency mixes columns */
+const QUEUE_LIMIT = 500;
+
+/* "45 min" / "6 h" / "3 d" since a date */
+const waiting = (d) => {
+  const min = (Date.now() - new Date(d)) / 60000;
+  return min < 60 ? `${Math.round(min)} min` : min < 2880 ? `${Math.round(min / 60)} h` : `${Math.round(min / 1440)} d`;
+};
+
+/* ────────────────────────────────────────── */
+export default function CaseQueue({
+  role,
+  userId,
+  sanctuaryIds,             // caregivers: their sanctuaries; null = every case
+  caregivers = [],          // [{ id, email }]
+  refreshKey,
+}) {
+  const [rows,    setRows]    = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [bump,    setBump]    = useState(0);
+  const [contacts, setContacts] = useState({});   // sighting id → contact | null
+
+  useEffect(() => {
+    let stale = false;
+    (async () => {
+      setLoading(true);
+      let q = withVisibility(
+        supabase
+          .from('sightings')
+          .select('*, sanctuaries ( name )')
+          .in('status', OPEN_STATUSES)
+          .limit(QUEUE_LIMIT),
+        { role, userId }
+      );
+      if (sanctuaryIds) q = q.in('sanctuary_id', sanctuaryIds.length ? sanctuaryIds : [-1]);
+
+      const { data, error } = await q;
+      if (stale) return;
+      if (error) alert(error.message);
+      setRows((data || []).sort(byUrgency));
+      setLoading(false);
+    })();
+    return () => { stale = true; };
+  }, [role, userId, sanctuaryIds, refreshKey, bump]);
+
+  const update = async (id, patch) => {
+    const { error } = await updateCase(id, patch);
+    if (error) return alert(`Update failed: ${error.message}`);
+    setBump((b) => b + 1);
+  };
+
+  /* only reporters who opted in come back with details */
+  const lookUpReporter = async (id) => {
+    const { data, error } = await reporterContact(id);
+    if (error) return alert(error.message);
+    setContacts((c) => ({ ...c, [id]: data }));
+  };
+
+  const reporterLine = (s) => {
+    if (!s.user_id) return 'Anonymous reporter';
+    if (!(s.id in contacts)) {
+      return (
+        <button onClick={() => lookUpReporter(s.id)} className="underline">
+          reporter
+        </button>
+      );
+    }
+    const c = contacts[s.id];
+    if (!c) return 'Reporter prefers not to be contacted';
+    return (
+      <>
+        {c.display_name && `${c.display_name}: `}
+        {c.email && <a href={`mailto:${c.email}`} className="underline">{c.email}</a>}
+        {c.phone && <a href={`tel:+${c.phone}`} className="underline">+{c.phone}</a>}
+      </>
+    );
+  };
+
+  if (loading && !rows.length) return <p>Loading…</p>;
+  if (!rows.length) return <p>No open cases. 🎉</p>;
+
+  return (
+    <ol className="space-y-2 text-sm">
+      {rows.map((s) => (
+        <li
+          key={s.id}
+          className={`flex flex-wrap items-center gap-3 bg-white shadow-sm rounded p-2 border-l-4 ${
+            s.behaviour === 'injured' ? 'border-red-500' : 'border-gray-200'
+          }`}
+        >
+          {sightingThumb(s) && (
+            <img src={sightingThumb(s)} alt="" className="h-10 w-10 object-cover rounded" />
+          )}
+          <div className="flex-1 min-w-[200px]">
+            <p className="font-medium">
+              {s.behaviour === 'injured' && '🚑 '}
+              {s.animals > 1 ? `${s.animals} cats` : '1 cat'} · {s.sanctuaries?.name || 'Unrouted'}
+            </p>
+            <p className="text-gray-600 truncate">{s.notes || '—'}</p>
+            <p className="text-xs text-gray-500">
+              Waiting {waiting(s.seen_at || s.created_at)} ·{' '}
+              <a
+                href={`/map?lat=${s.latitude}&lng=${s.longitude}&id=${s.id}`}
+                className="underline text-emerald-600"
+              >
+                map
+              </a>{' '}
+              · {reporterLine(s)}
+            </p>
+          </div>
+          <CaseStatus status={s.status} canEdit onChange={(status) => update(s.id, { status })} />
+          {s.assignee_id ? (
+            <span className="text-xs text-gray-600">
+              {s.assignee_id === userId
+                ? 'Yours'
+                : caregivers.find((c) => c.id === s.assignee_id)?.email || 'Assigned'}
+            </span>
+          ) : (
+            <button
+              onClick={() => update(s.id, { assignee_id: userId })}
+              className="px-2 py-0.5 border rounded text-xs"
+            >
+              Take it
+            </button>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,28 @@
+// components/CaseStatus.js
+import { statusOf, nextStatuses } from '../lib/cases';
+
+/* status badge, plus an "advance to…" picker for caregivers / admins */
+export default function CaseStatus({ status, canEdit = false, onChange }) {
+  const current = statusOf(status);
+  const next    = nextStatuses(current.value);
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <span className={`px-2 py-0.5 rounded-full text-xs ${current.badge}`}>
+        {current.label}
+      </span>
+      {canEdit && next.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange(e.target.value)}
+          className="border p-0.5 rounded text-xs"
+        >
+          <option value="">Advance to…</option>
+          {next.map((s) => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+      )}
+    </span>
+  );
+}
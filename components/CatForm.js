@@ -0,0 +1,230 @@
+// components/CatForm.js
+import { useEffect, useState } from 'react';
+import {
+  SEXES,
+  NEUTER_STATUSES,
+  COAT_PATTERNS,
+  MAX_CAT_PHOTOS,
+  validateCat,
+} from '../lib/cats';
+
+/* ────────────────────────────────────────── */
+export default function CatForm({
+  cat     = {},             // existing row or {}
+  title,                    // optional heading override
+  onSave,                   // (form, photoFiles) => …
+  onClose,                  // () => …
+}) {
+  /* ---------- initialise form ---------- */
+  const [form, setForm] = useState({
+    id:            cat.id            ?? null,
+    name:          cat.name          ?? '',
+    coat_colour:   cat.coat_colour   ?? '',
+    coat_pattern:  cat.coat_pattern  ?? '',
+    sex:           cat.sex           ?? 'unknown',
+    ear_tipped:    cat.ear_tipped    ?? false,
+    neuter_status: cat.neuter_status ?? 'unknown',
+    neutered_at:   cat.neutered_at   ?? '',
+    microchip:     cat.microchip     ?? '',
+    photo_urls:    cat.photo_urls    ?? [],
+    notes:         cat.notes         ?? '',
+  });
+  const [files,    setFiles]    = useState([]);
+  const [previews, setPreviews] = useState([]);
+  const [saving,   setSaving]   = useState(false);
+
+  useEffect(() => {
+    const urls = files.map((f) => URL.createObjectURL(f));
+    setPreviews(urls);
+    return () => urls.forEach((u) => URL.revokeObjectURL(u));
+  }, [files]);
+
+  /* ---------- tiny setters ---------- */
+  const setField = (k) => (e) =>
+    setForm({
+      ...form,
+      [k]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+    });
+
+  const removePhoto = (url) =>
+    setForm((f) => ({ ...f, photo_urls: f.photo_urls.filter((u) => u !== url) }));
+
+  const room = MAX_CAT_PHOTOS - form.photo_urls.length;
+
+  /* ---------- submit ---------- */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const invalid = validateCat(form);
+    if (invalid) return alert(invalid);
+    setSaving(true);
+    await onSave(form, files.slice(0, room));
+    setSaving(false);
+  };
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[200]">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white w-[90%] max-w-lg p-6 rounded-lg shadow-lg overflow-auto max-h-[90vh] space-y-3"
+      >
+        <h2 className="text-xl font-semibold">
+          {title || (form.id ? 'Edit cat' : 'New cat')}
+        </h2>
+
+        <label className="block">
+          <span className="text-sm">Name*</span>
+          <input
+            required
+            value={form.name}
+            onChange={setField('name')}
+            placeholder="e.g. Ginger from the harbour"
+            className="mt-1 p-2 border w-full rounded"
+          />
+        </label>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="block">
+            <span className="text-sm">Coat colour</span>
+            <input
+              value={form.coat_colour}
+              onChange={setField('coat_colour')}
+              placeholder="e.g. orange"
+              className="mt-1 p-2 border w-full rounded"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm">Coat pattern</span>
+            <input
+              list="coat-patterns"
+              value={form.coat_pattern}
+              onChange={setField('coat_pattern')}
+              className="mt-1 p-2 border w-full rounded"
+            />
+            <datalist id="coat-patterns">
+              {COAT_PATTERNS.map((p) => <option key={p} value={p} />)}
+            </datalist>
+          </label>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="block">
+            <span className="text-sm">Sex</span>
+            <select
+              value={form.sex}
+              onChange={setField('sex')}
+              className="mt-1 p-2 border w-full rounded"
+            >
+              {SEXES.map((s) => (
+                <option key={s.value} value={s.value}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-sm">Microchip number</span>
+            <input
+              inputMode="numeric"
+              value={form.microchip}
+              onChange={setField('microchip')}
+              className="mt-1 p-2 border w-full rounded"
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.ear_tipped}
+            onChange={setField('ear_tipped')}
+          />
+          <span>Ear-tipped (already neutered)</span>
+        </label>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="block">
+            <span className="text-sm">Neuter status</span>
+            <select
+              value={form.neuter_status}
+              onChange={setField('neuter_status')}
+              className="mt-1 p-2 border w-full rounded"
+            >
+              {NEUTER_STATUSES.map((s) => (
+                <option key={s.value} value={s.value}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+          {form.neuter_status === 'neutered' && (
+            <label className="block">
+              <span className="text-sm">Neutered on</span>
+              <input
+                type="date"
+                value={form.neutered_at}
+                onChange={setField('neutered_at')}
+                className="mt-1 p-2 border w-full rounded"
+              />
+            </label>
+          )}
+        </div>
+
+        <label className="block">
+          <span className="text-sm">Notes</span>
+          <textarea
+            rows={2}
+            value={form.notes}
+            onChange={setField('notes')}
+            className="mt-1 p-2 border w-full rounded"
+          />
+        </label>
+
+        {/* photos */}
+        <div>
+          <span className="block text-sm mb-1">Photos</span>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {form.photo_urls.map((u) => (
+              <button
+                key={u}
+                type="button"
+                title="Remove photo"
+                onClick={() => removePhoto(u)}
+                className="relative"
+              >
+                <img src={u} alt="" className="h-16 w-16 object-cover rounded" />
+                <span className="absolute top-0 right-0 bg-white/80 text-xs px-1 rounded">✕</span>
+              </button>
+            ))}
+            {previews.map((u) => (
+              <img key={u} src={u} alt="" className="h-16 w-16 object-cover rounded opacity-70" />
+            ))}
+          </div>
+          {room > 0 && (
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => setFiles(Array.from(e.target.files).slice(0, room))}
+              className="p-2 border rounded w-full"
+            />
+          )}
+        </div>
+
+        {/* actions */}
+        <div className="flex gap-2 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 border rounded"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-1 bg-emerald-600 text-white rounded"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// components/CatLinkDialog.js
+import { useEffect, useState } from 'react';
+import { searchCats, linkSighting, createCatFromSighting } from '../lib/cats';
+import CatForm from './CatForm';
+
+/* attach a sighting to a known cat, or start a new profile from it */
+export default function CatLinkDialog({ sighting, userId, onLinked, onClose }) {
+  const [term,     setTerm]     = useState('');
+  const [results,  setResults]  = useState([]);
+  const [creating, setCreating] = useState(false);
+
+  /* debounced search */
+  useEffect(() => {
+    const t = setTimeout(() => {
+      searchCats(term).then(({ data }) => setResults(data || []));
+    }, 250);
+    return () => clearTimeout(t);
+  }, [term]);
+
+  const link = async (catId) => {
+    const { error } = await linkSighting(sighting.id, catId);
+    if (error) return alert(`Link failed: ${error.message}`);
+    onLinked(catId);
+  };
+
+  const create = async (form, photoFiles) => {
+    const { data, error } = await createCatFromSighting(sighting, form, { photoFiles, userId });
+    if (error) return alert(`Save failed: ${error.message}`);
+    onLinked(data.id);
+  };
+
+  if (creating) {
+    return (
+      <CatForm
+        title="New cat from this sighting"
+        cat={{ notes: sighting.notes || '' }}
+        onSave={create}
+        onClose={() => setCreating(false)}
+      />
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[200]">
+      <div className="bg-white w-[90%] max-w-md p-6 rounded-lg shadow-lg space-y-3">
+        <h2 className="text-xl font-semibold">Which cat is this?</h2>
+
+        <input
+          autoFocus
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          placeholder="Search by name or microchip"
+          className="p-2 border w-full rounded"
+        />
+
+        <ul className="max-h-64 overflow-y-auto divide-y">
+          {results.map((c) => (
+            <li key={c.id}>
+              <button
+                onClick={() => link(c.id)}
+                className={`w-full flex items-center gap-3 py-2 text-left hover:bg-gray-50 ${
+                  c.id === sighting.cat_id ? 'font-medium text-emerald-700' : ''
+                }`}
+              >
+                {c.photo_urls?.[0] ? (
+                  <img src={c.photo_urls[0]} alt="" className="h-10 w-10 object-cover rounded" />
+                ) : (
+                  <span className="h-10 w-10 rounded bg-gray-200 flex items-center justify-center">🐈</span>
+                )}
+                <span>
+                  {c.name}
+                  <span className="block text-xs text-gray-500">
+                    {[c.coat_colour, c.coat_pattern].filter(Boolean).join(' ') || '—'}
+                    {c.microchip && ` · chip ${c.microchip}`}
+                  </span>
+                </span>
+              </button>
+            </li>
+          ))}
+          {!results.length && (
+            <li className="py-2 text-sm text-gray-500">No matching cats.</li>
+          )}
+        </ul>
+
+        <div className="flex gap-2 justify-between">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setCreating(true)}
+              className="px-3 py-1 bg-emerald-600 text-white rounded"
+            >
+              + New cat
+            </button>
+            {sighting.cat_id && (
+              <button
+                onClick={() => link(null)}
+                className="px-3 py-1 border rounded text-red-600"
+              >
+                Unlink
+              </button>
+            )}
+          </div>
+          <button onClick={onClose} className="px-3 py-1 border rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
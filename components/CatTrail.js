@@ -0,0 +1,48 @@
+// components/CatTrail.js
+import { MapContainer, TileLayer, Polyline, CircleMarker, Popup } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+/* everywhere a cat has been seen, oldest → newest */
+export default function CatTrail({ sightings }) {
+  const points = sightings.map((s) => [parseFloat(s.latitude), parseFloat(s.longitude)]);
+  if (!points.length) return null;
+
+  return (
+    <MapContainer
+      bounds={points.length > 1 ? points : undefined}
+      center={points.length === 1 ? points[0] : undefined}
+      zoom={16}
+      boundsOptions={{ padding: [30, 30], maxZoom: 17 }}
+      style={{ height: '320px', width: '100%' }}
+    >
+      <TileLayer
+        attribution="&copy; OpenStreetMap"
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      />
+
+      <Polyline
+        positions={points}
+        pathOptions={{ color: '#10b981', weight: 3, dashArray: '6 6' }}
+      />
+
+      {sightings.map((s, i) => (
+        <CircleMarker
+          key={s.id}
+          center={points[i]}
+          radius={i === sightings.length - 1 ? 9 : 6}
+          pathOptions={{
+            color:       s.behaviour === 'injured' ? '#dc2626' : '#047857',
+            fillOpacity: i === sightings.length - 1 ? 0.9 : 0.5,
+          }}
+        >
+          <Popup>
+            <div className="text-sm">
+              <strong>{new Date(s.created_at).toLocaleString()}</strong>
+              <p>{s.notes || '—'}</p>
+            </div>
+          </Popup>
+        </CircleMarker>
+      ))}
+    </MapContainer>
+  );
+}
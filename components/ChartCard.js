@@ -0,0 +1,36 @@
+// components/ChartCard.js
+import { useRef } from 'react';
+import { downloadCsv, downloadSvgAsPng, fileStamp } from '../lib/export';
+
+/* titled chart with PNG / CSV download
+   csv: { rows, columns } as taken by toCsv (lib/export.js) */
+export default function ChartCard({ title, name, csv, children }) {
+  const ref = useRef(null);
+  const base = `${name}-${fileStamp()}`;
+
+  const png = () => {
+    const svg = ref.current?.querySelector('svg');
+    if (!svg) return;
+    downloadSvgAsPng(svg, `${base}.png`).catch((e) => alert(`Export failed: ${e.message}`));
+  };
+
+  return (
+    <section className="bg-white shadow-sm rounded p-3">
+      <header className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">{title}</h3>
+        <div className="flex gap-2 text-xs">
+          <button onClick={png} className="px-2 py-0.5 border rounded">PNG</button>
+          {csv && (
+            <button
+              onClick={() => downloadCsv(csv.rows, csv.columns, `${base}.csv`)}
+              className="px-2 py-0.5 border rounded"
+            >
+              CSV
+            </button>
+          )}
+        </div>
+      </header>
+      <div ref={ref}>{children}</div>
+    </section>
+  );
+}
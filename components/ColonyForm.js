@@ -0,0 +1,216 @@
+// components/ColonyForm.js
+import { useState } from 'react';
+import dynamic from 'next/dynamic';
+import { validateColony, DEFAULT_RADIUS_M } from '../lib/colonies';
+
+/* ───── client-side helpers (no SSR) ───── */
+const MiniMap = dynamic(() => import('./MiniMap'), { ssr: false });
+
+/* ────────────────────────────────────────── */
+export default function ColonyForm({
+  colony     = {},          // existing row or {}
+  caregivers = [],          // [{ id, email }]
+  onSave,                   // (form, caregiverIds) => …
+  onClose,                  // () => …
+}) {
+  /* ---------- initialise form ---------- */
+  const [form, setForm] = useState({
+    id:              colony.id              ?? null,
+    name:            colony.name            ?? '',
+    latitude:        colony.latitude        ?? 38.8333,
+    longitude:       colony.longitude       ?? 20.7,
+    radius_m:        colony.radius_m        ?? DEFAULT_RADIUS_M,
+    estimated_count: colony.estimated_count ?? '',
+    feeding_times:   colony.feeding_times   ?? [],
+    feeding_notes:   colony.feeding_notes   ?? '',
+  });
+
+  const [assigned, setAssigned] = useState(
+    colony.colony_caregivers
+      ? colony.colony_caregivers.map((a) => a.caregiver_id)
+      : []
+  );
+  const [newTime, setNewTime] = useState('08:00');
+  const [saving,  setSaving]  = useState(false);
+
+  /* ---------- tiny setters ---------- */
+  const setField = (k) => (e) => setForm({ ...form, [k]: e.target.value });
+
+  const addTime = () =>
+    setForm((f) => (f.feeding_times.includes(newTime)
+      ? f
+      : { ...f, feeding_times: [...f.feeding_times, newTime].sort() }));
+
+  const removeTime = (t) =>
+    setForm((f) => ({ ...f, feeding_times: f.feeding_times.filter((x) => x !== t) }));
+
+  const toggleCaregiver = (id) =>
+    setAssigned((p) =>
+      p.includes(id) ? p.filter((x) => x !== id) : [...p, id]
+    );
+
+  const useMyLocation = () => {
+    if (!navigator.geolocation) return alert('Geolocation unsupported');
+    navigator.geolocation.getCurrentPosition(
+      (pos) => setForm((f) => ({
+        ...f,
+        latitude:  pos.coords.latitude.toFixed(6),
+        longitude: pos.coords.longitude.toFixed(6),
+      })),
+      () => alert('Unable to fetch location')
+    );
+  };
+
+  /* ---------- submit ---------- */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const invalid = validateColony(form);
+    if (invalid) return alert(invalid);
+    setSaving(true);
+    await onSave(form, assigned);
+    setSaving(false);
+  };
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[200]">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white w-[90%] max-w-lg p-6 rounded-lg shadow-lg overflow-auto max-h-[90vh] space-y-3"
+      >
+        <h2 className="text-xl font-semibold">
+          {form.id ? 'Edit colony' : 'New colony'}
+        </h2>
+
+        <label className="block">
+          <span className="text-sm">Colony name*</span>
+          <input
+            required
+            value={form.name}
+            onChange={setField('name')}
+            placeholder="e.g. Nidri harbour bins"
+            className="mt-1 p-2 border w-full rounded"
+          />
+        </label>
+
+        {/* location */}
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm">Location* (drag the pin)</span>
+            <button
+              type="button"
+              onClick={useMyLocation}
+              title="Use current location"
+              className="px-3 py-1 border rounded"
+            >
+              📍
+            </button>
+          </div>
+          <MiniMap
+            lat={+form.latitude}
+            lng={+form.longitude}
+            radiusKm={form.radius_m / 1000}
+            onMove={(lat, lng) => setForm({ ...form, latitude: lat, longitude: lng })}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="block">
+            <span className="text-sm">Radius (m)*</span>
+            <input
+              type="number"
+              min="10"
+              step="10"
+              required
+              value={form.radius_m}
+              onChange={setField('radius_m')}
+              className="mt-1 p-2 border w-full rounded"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm">Estimated headcount</span>
+            <input
+              type="number"
+              min="0"
+              value={form.estimated_count}
+              onChange={setField('estimated_count')}
+              className="mt-1 p-2 border w-full rounded"
+            />
+          </label>
+        </div>
+
+        {/* feeding schedule */}
+        <fieldset className="border p-2 rounded">
+          <legend className="text-sm px-1">Feeding schedule</legend>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {form.feeding_times.map((t) => (
+              <span key={t} className="px-2 py-1 rounded-full text-xs bg-emerald-100 text-emerald-800">
+                {t}{' '}
+                <button type="button" onClick={() => removeTime(t)} title="Remove">✕</button>
+              </span>
+            ))}
+            {!form.feeding_times.length && (
+              <span className="text-xs text-gray-500">No feeding times yet</span>
+            )}
+          </div>
+          <div className="flex gap-2 mb-2">
+            <input
+              type="time"
+              value={newTime}
+              onChange={(e) => setNewTime(e.target.value)}
+              className="border p-1 rounded"
+            />
+            <button type="button" onClick={addTime} className="px-3 py-1 border rounded text-sm">
+              Add time
+            </button>
+          </div>
+          <textarea
+            rows={2}
+            value={form.feeding_notes}
+            onChange={setField('feeding_notes')}
+            placeholder="Where food is left, who covers which days…"
+            className="p-2 border w-full rounded text-sm"
+          />
+        </fieldset>
+
+        {/* responsible caregivers */}
+        <fieldset className="border p-2 rounded">
+          <legend className="text-sm px-1">Responsible caregivers</legend>
+          <div className="max-h-32 overflow-y-auto space-y-1">
+            {caregivers.map((c) => (
+              <label key={c.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={assigned.includes(c.id)}
+                  onChange={() => toggleCaregiver(c.id)}
+                />
+                <span>{c.email}</span>
+              </label>
+            ))}
+            {!caregivers.length && (
+              <p className="text-xs text-gray-500">No caregivers yet</p>
+            )}
+          </div>
+        </fieldset>
+
+        {/* actions */}
+        <div className="flex gap-2 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 border rounded"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-1 bg-emerald-600 text-white rounded"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
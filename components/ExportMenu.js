@@ -0,0 +1,23 @@
+// components/ExportMenu.js
+import { EXPORT_FORMATS } from '../lib/export';
+
+/* "Export: CSV · GeoJSON · KML" button row */
+export default function ExportMenu({ onExport, count, disabled = false }) {
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className="text-gray-600">
+        Export{count != null && ` ${count} row${count === 1 ? '' : 's'}`}:
+      </span>
+      {EXPORT_FORMATS.map((f) => (
+        <button
+          key={f.value}
+          onClick={() => onExport(f.value)}
+          disabled={disabled}
+          className="px-2 py-0.5 border rounded disabled:opacity-50"
+        >
+          {f.label}
+        </button>
+      ))}
+    </div>
+  );
+}
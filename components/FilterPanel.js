@@ -0,0 +1,206 @@
+// components/FilterPanel.js
+import { useEffect, useState } from 'react';
+import { CONDITIONS, VISIBILITY_OPTIONS } from '../lib/sightings';
+import { CASE_STATUSES } from '../lib/cases';
+import { DEFAULT_FILTERS, activeFilterCount } from '../lib/filters';
+
+const PLAY_STEP_MS = 900;
+
+/* toggles one value in a comma-separated list */
+const toggleCsv = (csv, value) => {
+  const set = new Set(csv ? csv.split(',') : []);
+  set.has(value) ? set.delete(value) : set.add(value);
+  return [...set].join(',');
+};
+
+/* ────────────────────────────────────────── */
+export default function FilterPanel({
+  filters,                  // see lib/filters.js
+  onChange,                 // (filters) => …
+  weeks = [],               // Mondays (YYYY-MM-DD) the time slider spans
+  shown = 0,                // sightings currently on the map
+  className = '',
+}) {
+  const [open,    setOpen]    = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [q,       setQ]       = useState(filters.q);
+
+  /* ---------- tiny setters ---------- */
+  const set = (k, v) => onChange({ ...filters, [k]: v });
+
+  /* search is debounced so typing doesn't rewrite the URL per key;
+     re-armed when another filter changes meanwhile, so it never writes
+     back stale ones */
+  useEffect(() => { setQ(filters.q); }, [filters.q]);
+  useEffect(() => {
+    if (q === filters.q) return;
+    const t = setTimeout(() => onChange({ ...filters, q }), 300);
+    return () => clearTimeout(t);
+  }, [q, filters]);
+
+  /* ---------- time slider ---------- */
+  const weekIdx = weeks.indexOf(filters.week);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (!weeks.length) { setPlaying(false); return; }
+    const t = setTimeout(() => {
+      const next = weekIdx + 1;
+      if (next >= weeks.length) { setPlaying(false); return; }
+      set('week', weeks[next]);
+    }, PLAY_STEP_MS);
+    return () => clearTimeout(t);
+  }, [playing, weekIdx, weeks]);
+
+  const play = () => {
+    if (playing) { setPlaying(false); return; }
+    /* restart from the first week when at the end (or showing all) */
+    if (weekIdx < 0 || weekIdx === weeks.length - 1) set('week', weeks[0]);
+    setPlaying(true);
+  };
+
+  const active = activeFilterCount(filters);
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <div className={`bg-white text-black text-xs rounded shadow w-72 ${className}`}>
+      <button onClick={() => setOpen((o) => !o)} className="w-full px-3 py-1 text-left">
+        🔍 Filters{active ? ` (${active})` : ''} · {shown} shown
+      </button>
+
+      {open && (
+        <div className="border-t p-2 space-y-2 max-h-[70vh] overflow-y-auto">
+          <input
+            type="search"
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder="Search notes…"
+            className="w-full p-1 border rounded"
+          />
+
+          <div className="flex gap-2">
+            <label className="flex-1">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => set('from', e.target.value)}
+                className="w-full p-1 border rounded"
+              />
+            </label>
+            <label className="flex-1">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => set('to', e.target.value)}
+                className="w-full p-1 border rounded"
+              />
+            </label>
+          </div>
+
+          <label className="block">
+            Condition
+            <select
+              value={filters.condition}
+              onChange={(e) => set('condition', e.target.value)}
+              className="w-full p-1 border rounded"
+            >
+              <option value="">Any</option>
+              {CONDITIONS.map((c) => (
+                <option key={c.value} value={c.value}>{c.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <fieldset>
+            <legend>Case status</legend>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {CASE_STATUSES.map((s) => {
+                const on = filters.status.split(',').includes(s.value);
+                return (
+                  <button
+                    key={s.value}
+                    type="button"
+                    onClick={() => set('status', toggleCsv(filters.status, s.value))}
+                    className={`px-2 py-0.5 rounded-full border ${on ? s.badge : 'text-gray-500'}`}
+                  >
+                    {s.label}
+                  </button>
+                );
+              })}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend>Visibility</legend>
+            {VISIBILITY_OPTIONS.map((v) => (
+              <label key={v.value} className="mr-3">
+                <input
+                  type="checkbox"
+                  checked={filters.visibility.split(',').includes(v.value)}
+                  onChange={() => set('visibility', toggleCsv(filters.visibility, v.value))}
+                />{' '}
+                {v.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="block">
+            <input
+              type="checkbox"
+              checked={!!filters.mine}
+              onChange={(e) => set('mine', e.target.checked ? '1' : '')}
+            />{' '}
+            My reports only
+          </label>
+
+          {/* time slider */}
+          {weeks.length > 1 && (
+            <div className="border-t pt-2 space-y-1">
+              <div className="flex items-center justify-between">
+                <span>
+                  {weekIdx < 0
+                    ? 'All weeks'
+                    : `Week of ${new Date(`${filters.week}T00:00`).toLocaleDateString()}`}
+                </span>
+                <span className="flex gap-2">
+                  <button type="button" onClick={play} className="underline">
+                    {playing ? '⏸ Pause' : '▶ Play'}
+                  </button>
+                  {weekIdx >= 0 && (
+                    <button
+                      type="button"
+                      onClick={() => { setPlaying(false); set('week', ''); }}
+                      className="underline"
+                    >
+                      All
+                    </button>
+                  )}
+                </span>
+              </div>
+              <input
+                type="range"
+                min={0}
+                max={weeks.length - 1}
+                value={Math.max(weekIdx, 0)}
+                onChange={(e) => { setPlaying(false); set('week', weeks[+e.target.value]); }}
+                className="w-full"
+              />
+            </div>
+          )}
+
+          {(active > 0 || filters.week) && (
+            <button
+              type="button"
+              onClick={() => { setPlaying(false); onChange({ ...DEFAULT_FILTERS }); }}
+              className="underline text-gray-500"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
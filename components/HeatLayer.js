@@ -0,0 +1,17 @@
+// components/HeatLayer.js
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';          // plugin: adds L.heatLayer to the global L
+
+/* leaflet.heat wrapped for react-leaflet; rebuilt when points change */
+export default function HeatLayer({ points, max = 1, radius = 25, blur = 18 }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const layer = L.heatLayer(points, { max, radius, blur, minOpacity: 0.3 }).addTo(map);
+    return () => { map.removeLayer(layer); };
+  }, [map, points, max, radius, blur]);
+
+  return null;
+}
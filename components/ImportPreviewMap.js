@@ -0,0 +1,68 @@
+// components/ImportPreviewMap.js
+import { MapContainer, TileLayer, CircleMarker, GeoJSON, Tooltip } from 'react-leaflet';
+import { useEffect, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+
+/* dry-run preview: green = will import, amber = likely duplicate,
+   red = invalid (only rows with usable coordinates can be drawn) */
+const COLORS = { ok: '#059669', duplicate: '#d97706', error: '#dc2626' };
+
+const stateOf = (r) => (r.errors.length ? 'error' : r.duplicate ? 'duplicate' : 'ok');
+
+export default function ImportPreviewMap({ rows }) {
+  const [map, setMap] = useState(null);
+
+  const points = rows
+    .map((r) => ({
+      r,
+      lat: Number(r.row.latitude ?? r.row.lat),
+      lng: Number(r.row.longitude ?? r.row.lng),
+    }))
+    .filter((p) => p.lat && p.lng && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180);
+
+  /* fit to whatever was imported */
+  useEffect(() => {
+    if (!map || !points.length) return;
+    map.fitBounds(L.latLngBounds(points.map((p) => [p.lat, p.lng])), {
+      padding: [20, 20],
+      maxZoom: 15,
+    });
+  }, [map, rows]);
+
+  return (
+    <MapContainer
+      center={[38.8333, 20.7]}
+      zoom={10}
+      whenReady={({ target }) => setMap(target)}
+      style={{ height: '280px', width: '100%' }}
+    >
+      <TileLayer
+        attribution="&copy; OpenStreetMap"
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      />
+      {points.map(({ r, lat, lng }) => (
+        <CircleMarker
+          key={r.index}
+          center={[lat, lng]}
+          radius={6}
+          pathOptions={{ color: COLORS[stateOf(r)], fillOpacity: 0.7 }}
+        >
+          <Tooltip>
+            Row {r.index + 1}
+            {r.row.name && `: ${r.row.name}`}
+            {r.errors.length > 0 && ` · ${r.errors.join('; ')}`}
+            {r.duplicate && ` · ${r.duplicate}`}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+      {rows.filter((r) => r.row.boundary).map((r) => (
+        <GeoJSON
+          key={`b-${r.index}`}
+          data={r.row.boundary}
+          style={{ color: COLORS[stateOf(r)], weight: 2, fillOpacity: 0.08 }}
+        />
+      ))}
+    </MapContainer>
+  );
+}
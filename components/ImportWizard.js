@@ -0,0 +1,284 @@
+// components/ImportWizard.js
+import { useState } from 'react';
+import dynamic from 'next/dynamic';
+import { CASE_STATUSES } from '../lib/cases';
+import {
+  IMPORT_KINDS,
+  IMPORT_FIELDS,
+  DEFAULT_IMPORT_STATUS,
+  parseImportFile,
+  autoMap,
+  missingRequired,
+  prepareRows,
+  findDuplicates,
+  commitImport,
+} from '../lib/importer';
+
+/* ───── client-side helpers (no SSR) ───── */
+const ImportPreviewMap = dynamic(() => import('./ImportPreviewMap'), { ssr: false });
+
+const STEPS = ['Upload', 'Map columns', 'Preview', 'Done'];
+const PREVIEW_ROWS = 200;        // table rows shown; the map shows all
+
+/* ────────────────────────────────────────── */
+export default function ImportWizard({
+  kind,                     // 'sanctuaries' | 'sightings'
+  userId,
+  onImported,               // (count) => …
+  onClose,                  // () => …
+}) {
+  const [step,     setStep]     = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [parsed,   setParsed]   = useState(null);   // { headers, records }
+  const [mapping,  setMapping]  = useState({});
+  const [status,   setStatus]   = useState(DEFAULT_IMPORT_STATUS);
+  const [rows,     setRows]     = useState([]);
+  const [withDupes, setWithDupes] = useState(false);
+  const [busy,     setBusy]     = useState(false);
+  const [progress, setProgress] = useState(null);   // [done, total]
+  const [result,   setResult]   = useState(null);   // { inserted, error }
+
+  const fields = IMPORT_FIELDS[kind];
+
+  /* ---------- 1. upload ---------- */
+  const pickFile = async (file) => {
+    if (!file) return;
+    try {
+      const p = await parseImportFile(file);
+      if (!p.records.length) return alert('No rows found in that file');
+      setFileName(file.name);
+      setParsed(p);
+      setMapping(autoMap(kind, p.headers));
+      setStep(1);
+    } catch (e) {
+      alert(`Could not read file: ${e.message}`);
+    }
+  };
+
+  /* ---------- 2. mapping → 3. dry run ---------- */
+  const preview = async () => {
+    const missing = missingRequired(kind, mapping);
+    if (missing.length) return alert(`Map these columns first: ${missing.join(', ')}`);
+
+    setBusy(true);
+    const prepared = prepareRows(kind, parsed.records, mapping, { defaultStatus: status });
+    const { data, error } = await findDuplicates(kind, prepared);
+    setBusy(false);
+    if (error) return alert(`Could not check for duplicates: ${error.message}`);
+    setRows(data);
+    setStep(2);
+  };
+
+  /* ---------- 3. commit ---------- */
+  const counts = {
+    ok:        rows.filter((r) => !r.errors.length && !r.duplicate).length,
+    duplicate: rows.filter((r) => !r.errors.length && r.duplicate).length,
+    error:     rows.filter((r) => r.errors.length).length,
+  };
+  const toImport = counts.ok + (withDupes ? counts.duplicate : 0);
+
+  const commit = async () => {
+    if (!confirm(`Import ${toImport} ${IMPORT_KINDS[kind].label.toLowerCase()}?`)) return;
+    setBusy(true);
+    const res = await commitImport(kind, rows, {
+      userId,
+      includeDuplicates: withDupes,
+      onProgress: (done, total) => setProgress([done, total]),
+    });
+    setBusy(false);
+    setResult(res);
+    setStep(3);
+    if (res.inserted) onImported(res.inserted);
+  };
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[200]">
+      <div className="bg-white w-[95%] max-w-4xl p-6 rounded-lg shadow-lg overflow-auto max-h-[90vh] space-y-4">
+        <header className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Import {IMPORT_KINDS[kind].label.toLowerCase()}</h2>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </header>
+
+        {/* step indicator */}
+        <ol className="flex gap-4 text-sm">
+          {STEPS.map((label, i) => (
+            <li
+              key={label}
+              className={i === step
+                ? 'font-medium text-emerald-700'
+                : i < step ? 'text-gray-700' : 'text-gray-400'}
+            >
+              {i + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {/* ───── 1. Upload ───── */}
+        {step === 0 && (
+          <div className="space-y-2 text-sm">
+            <p>
+              Choose a CSV (comma or semicolon separated, first row = headers) or a
+              GeoJSON FeatureCollection. Files exported from this dashboard import as-is.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.geojson,.json,text/csv,application/geo+json,application/json"
+              onChange={(e) => pickFile(e.target.files[0])}
+              className="p-2 border rounded w-full"
+            />
+          </div>
+        )}
+
+        {/* ───── 2. Map columns ───── */}
+        {step === 1 && parsed && (
+          <div className="space-y-3 text-sm">
+            <p className="text-gray-600">
+              {fileName}: {parsed.records.length} rows. Match each field to a column in your file.
+            </p>
+            <table className="min-w-full border-separate [border-spacing:0.25rem]">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th>Field</th><th>Column</th><th>First row</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map((f) => (
+                  <tr key={f.key}>
+                    <td>{f.label}{f.required && '*'}</td>
+                    <td>
+                      <select
+                        value={mapping[f.key] || ''}
+                        onChange={(e) => setMapping((m) => ({ ...m, [f.key]: e.target.value }))}
+                        className="border p-1 rounded w-full"
+                      >
+                        <option value="">— skip —</option>
+                        {parsed.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                      </select>
+                    </td>
+                    <td className="text-gray-500 max-w-[200px] truncate">
+                      {mapping[f.key] ? parsed.records[0][mapping[f.key]] : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {kind === 'sightings' && !mapping.status && (
+              <label className="block">
+                <span className="text-gray-600">Case status for imported rows</span>
+                <select
+                  value={status}
+                  onChange={(e) => setStatus(e.target.value)}
+                  className="ml-2 border p-1 rounded"
+                >
+                  {CASE_STATUSES.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+                </select>
+              </label>
+            )}
+
+            <div className="flex gap-2">
+              <button onClick={() => setStep(0)} className="px-3 py-1 border rounded">Back</button>
+              <button
+                onClick={preview}
+                disabled={busy}
+                className="px-3 py-1 bg-emerald-600 text-white rounded"
+              >
+                {busy ? 'Checking…' : 'Preview'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* ───── 3. Preview (dry run) ───── */}
+        {step === 2 && (
+          <div className="space-y-3 text-sm">
+            <p>
+              <span className="text-emerald-700">{counts.ok} ready</span> ·{' '}
+              <span className="text-amber-700">{counts.duplicate} possible duplicates</span> ·{' '}
+              <span className="text-red-700">{counts.error} with errors</span>
+              <span className="text-gray-500"> — nothing has been saved yet.</span>
+            </p>
+
+            <ImportPreviewMap rows={rows} />
+
+            <div className="max-h-64 overflow-auto border rounded">
+              <table className="min-w-full text-xs">
+                <thead className="sticky top-0 bg-gray-50">
+                  <tr className="text-left text-gray-600">
+                    <th className="p-1">Row</th>
+                    <th className="p-1">{kind === 'sanctuaries' ? 'Name' : 'Seen at'}</th>
+                    <th className="p-1">Location</th>
+                    <th className="p-1">Check</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_ROWS).map((r) => (
+                    <tr
+                      key={r.index}
+                      className={r.errors.length ? 'bg-red-50' : r.duplicate ? 'bg-amber-50' : ''}
+                    >
+                      <td className="p-1">{r.index + 1}</td>
+                      <td className="p-1">
+                        {kind === 'sanctuaries'
+                          ? r.row.name
+                          : r.row.seenAt && !isNaN(r.row.seenAt) ? r.row.seenAt.toLocaleString() : '—'}
+                      </td>
+                      <td className="p-1">
+                        {r.row.latitude ?? r.row.lat}, {r.row.longitude ?? r.row.lng}
+                      </td>
+                      <td className="p-1">
+                        {r.errors.join('; ') || r.duplicate || '✓'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length > PREVIEW_ROWS && (
+                <p className="p-1 text-gray-500">…and {rows.length - PREVIEW_ROWS} more rows</p>
+              )}
+            </div>
+
+            {counts.duplicate > 0 && (
+              <label className="block">
+                <input
+                  type="checkbox"
+                  checked={withDupes}
+                  onChange={(e) => setWithDupes(e.target.checked)}
+                />{' '}
+                Import possible duplicates too
+              </label>
+            )}
+
+            <div className="flex gap-2 items-center">
+              <button onClick={() => setStep(1)} className="px-3 py-1 border rounded">Back</button>
+              <button
+                onClick={commit}
+                disabled={busy || !toImport}
+                className="px-3 py-1 bg-emerald-600 text-white rounded disabled:opacity-50"
+              >
+                {busy ? 'Importing…' : `Import ${toImport} rows`}
+              </button>
+              {progress && busy && (
+                <span className="text-gray-500">{progress[0]} / {progress[1]}</span>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* ───── 4. Done ───── */}
+        {step === 3 && result && (
+          <div className="space-y-3 text-sm">
+            <p>Imported {result.inserted} of {toImport} rows.</p>
+            {result.error && (
+              <p className="text-red-600">Stopped early: {result.error.message}</p>
+            )}
+            <button onClick={onClose} className="px-3 py-1 bg-emerald-600 text-white rounded">
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
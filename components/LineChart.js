@@ -0,0 +1,63 @@
+// components/LineChart.js
+
+/* tiny dependency-free SVG line chart
+   points: [{ label, value }]  (value null = gap) */
+export default function LineChart({
+  points,
+  max,                      // y-axis ceiling (defaults to data max)
+  unit   = '',
+  height = 160,
+  color  = '#059669',
+}) {
+  const W = 600;
+  const H = height;
+  const pad = { top: 10, right: 10, bottom: 24, left: 36 };
+
+  const values = points.map((p) => p.value).filter((v) => v != null);
+  const top    = max ?? Math.max(1, ...values);
+  const x = (i) =>
+    pad.left + (points.length > 1 ? (i / (points.length - 1)) * (W - pad.left - pad.right) : 0);
+  const y = (v) => pad.top + (1 - v / top) * (H - pad.top - pad.bottom);
+
+  /* break the line wherever a value is missing */
+  const path = points
+    .map((p, i) => (p.value == null ? null : `${x(i)},${y(p.value)}`))
+    .reduce((d, pt, i, arr) => {
+      if (!pt) return d;
+      return d + (i === 0 || !arr[i - 1] ? ` M${pt}` : ` L${pt}`);
+    }, '');
+
+  const every = Math.ceil(points.length / 8);   // label density
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-gray-500">
+      {/* grid */}
+      {[0, 0.5, 1].map((f) => (
+        <g key={f}>
+          <line
+            x1={pad.left} x2={W - pad.right}
+            y1={y(top * f)} y2={y(top * f)}
+            stroke="currentColor" strokeOpacity="0.2"
+          />
+          <text x={pad.left - 4} y={y(top * f) + 4} fontSize="10" textAnchor="end" fill="currentColor">
+            {Math.round(top * f)}{unit}
+          </text>
+        </g>
+      ))}
+
+      {/* x labels */}
+      {points.map((p, i) => (i % every === 0 || i === points.length - 1) && (
+        <text key={i} x={x(i)} y={H - 6} fontSize="10" textAnchor="middle" fill="currentColor">
+          {p.label}
+        </text>
+      ))}
+
+      <path d={path} fill="none" stroke={color} strokeWidth="2" />
+      {points.map((p, i) => p.value != null && (
+        <circle key={i} cx={x(i)} cy={y(p.value)} r="3" fill={color}>
+          <title>{p.label}: {p.value}{unit}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
@@ -4,12 +4,45 @@ import {
   TileLayer,
   Marker,
   Popup,
+  Circle,
+  GeoJSON,
+  Rectangle,
   useMapEvents,
 } from 'react-leaflet';
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import MarkerClusterGroup from 'react-leaflet-cluster';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import { supabase } from '../lib/supabaseClient';
+import {
+  withVisibility,
+  canViewSighting,
+  VISIBILITY_OPTIONS,
+  MAX_PHOTOS,
+  sightingThumb,
+} from '../lib/sightings';
+import { subscribeToSightings } from '../lib/realtime';
+import { submitOrQueue } from '../lib/outbox';
+import { parseJSON } from '../lib/sanctuaries';
+import { updateCase, canWorkCases } from '../lib/cases';
+import { fetchColonies, sterilisedShare } from '../lib/colonies';
+import { displayNameOf } from '../lib/profile';
+import { trashRows } from '../lib/trash';
+import { useAuth } from './AuthProvider';
+import {
+  DEFAULT_FILTERS,
+  matchesFilters,
+  inWeek,
+  weeksSpanned,
+} from '../lib/filters';
+import { heatPoints, detectHotspots, describeHotspot } from '../lib/hotspots';
+import SanctuaryPopup from './SanctuaryPopup';
+import CaseStatus from './CaseStatus';
+import Toast from './Toast';
+import OutboxPanel from './OutboxPanel';
+import PhotoPicker from './PhotoPicker';
+import FilterPanel from './FilterPanel';
+import HeatLayer from './HeatLayer';
 
 /* ---------- Fix Leaflet default icons ---------- */
 delete L.Icon.Default.prototype._getIconUrl;
@@ -32,6 +65,62 @@ const sanctuaryIcon = new L.Icon({
   popupAnchor:[0, -28],
 });
 
+/* ---------- Cluster icons ----------
+   Sizes follow styles/cluster.css (.marker-cluster-small/medium/large);
+   injured sightings cluster separately in red so they stay visible. */
+const makeClusterIcon = (variant) => (cluster) => {
+  const count = cluster.getChildCount();
+  const size  = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+  return L.divIcon({
+    html:      `<div><span>${count}</span></div>`,
+    className: `marker-cluster marker-cluster-${variant === 'injured' ? 'injured' : size}`,
+    iconSize:  L.point(50, 50),
+  });
+};
+const clusterIcons = {
+  normal:  makeClusterIcon('normal'),
+  injured: makeClusterIcon('injured'),
+};
+
+const injuredIcon = new L.Icon({
+  ...L.Icon.Default.prototype.options,
+  className: 'hue-rotate-[150deg] saturate-200',
+});
+
+/* ---------- Colony icon ---------- */
+const colonyIcon = L.divIcon({
+  html:       '🐾',
+  className:  'text-2xl leading-none text-center',
+  iconSize:   [28, 28],
+  iconAnchor: [14, 14],
+});
+
+const colonyStyle = { color: '#b45309', weight: 1, dashArray: '4 4', fillOpacity: 0.1 };
+
+/* ---------- Hotspot styling ----------
+   Cell outline is non-interactive (taps still report); the 🔥 marker
+   carries the popup. */
+const hotspotIcon = L.divIcon({
+  html:       '🔥',
+  className:  'text-xl leading-none text-center',
+  iconSize:   [24, 24],
+  iconAnchor: [12, 12],
+});
+
+const hotspotStyle = { color: '#dc2626', weight: 2, dashArray: '3 3', fillOpacity: 0 };
+
+/* ---------- Service-area styling ----------
+   Non-interactive so taps inside an area still open the report form. */
+const areaStyle = { color: '#10b981', weight: 2, fillOpacity: 0.08 };
+
+/* columns needed for markers, service areas and popups */
+const SANCTUARY_COLUMNS = [
+  'id', 'name', 'latitude', 'longitude', 'logo_url',
+  'radius_km', 'boundary', 'services', 'opening_hours',
+  'contact_email', 'contact_phone',
+  'donate_url', 'website_url', 'facebook_url', 'instagram_url', 'twitter_url',
+].join(',');
+
 /* ---------- Tap handler ---------- */
 function TapHandler({ onMapClick }) {
   useMapEvents({ click: (e) => onMapClick(e.latlng) });
@@ -43,63 +132,143 @@ export default function MapView({
   focusLat = null,
   focusLng = null,
   highlightId = null,
+  filters = DEFAULT_FILTERS,      // see lib/filters.js
+  onFiltersChange = () => {},
 }) {
   /* form state */
   const [clickedLocation, setClickedLocation] = useState(null);
   const [notes,      setNotes]      = useState('');
   const [isInjured,  setIsInjured]  = useState(false);
-  const [photoFile,  setPhotoFile]  = useState(null);
+  const [animals,    setAnimals]    = useState(1);
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [photoExif,  setPhotoExif]  = useState(null);   // { lat, lng, takenAt }
   const [visibility, setVisibility] = useState('public');
 
   /* data-state */
   const [sightings,   setSightings]   = useState([]);
   const [sanctuaries, setSanctuaries] = useState([]);
+  const [showAreas,   setShowAreas]   = useState(true);
+  const [colonies,    setColonies]    = useState([]);
+  const [showColonies, setShowColonies] = useState(true);
+  const [showHeat,    setShowHeat]    = useState(false);
+
+  /* live-update notice */
+  const [toast, setToast] = useState(null);
+  const clearToast = useCallback(() => setToast(null), []);
 
   /* misc refs */
-  const [user,     setUser]  = useState(null);
+  const { user, role, profile, signOut } = useAuth();
+  const userId = user?.id;
   const [mapReady, setReady] = useState(false);
-  const mapRef   = useRef(null);
-  const popupRef = useRef(null);
+  const mapRef       = useRef(null);
+  const highlightRef = useRef(null);
+  const clusterRefs  = useRef({});
 
   /* ---------- initial fetch ---------- */
   useEffect(() => {
     (async () => {
-      /* user */
-      const { data:{ user:me } } = await supabase.auth.getUser();
-      if (me) setUser(me);
-
-      /* stray sightings */
-      const { data:s } = await supabase
-        .from('sightings')
-        .select('*')
-        .order('created_at',{ ascending:false });
+      /* stray sightings (role from AuthProvider decides which we may read) */
+      const { data:s } = await withVisibility(
+        supabase.from('sightings').select('*'),
+        { role, userId }
+      ).order('created_at',{ ascending:false });
       if (s) setSightings(s);
 
-      /* approved sanctuaries (centre marker only) */
+      /* approved sanctuaries (marker + service area) */
       const { data:z } = await supabase
         .from('sanctuaries')
-        .select('id,name,latitude,longitude,logo_url')
-        .eq('approved', true);
+        .select(SANCTUARY_COLUMNS)
+        .eq('approved', true)
+        .is('deleted_at', null);
       if (z) {
         setSanctuaries(
           z.map(r => ({
-            id:   r.id,
-            name: r.name,
-            lat:  parseFloat(r.latitude),
-            lng:  parseFloat(r.longitude),
-            logo: r.logo_url,
+            ...r,
+            lat:      parseFloat(r.latitude),
+            lng:      parseFloat(r.longitude),
+            boundary: parseJSON(r.boundary),
           }))
         );
       }
+
+      /* TNR colonies */
+      const { data:c } = await fetchColonies();
+      if (c) setColonies(c);
     })();
-  }, []);
+  }, [role, userId]);
+
+  /* ---------- live updates ---------- */
+  const mergeSighting = (row) =>
+    setSightings(p => (p.some(r => r.id === row.id)
+      ? p.map(r => (r.id === row.id ? row : r))
+      : [row, ...p]));
+
+  useEffect(() => {
+    if (!user) return;
+    const viewer = { role, userId: user.id };
+
+    return subscribeToSightings(({ type, row, old }) => {
+      if (type === 'DELETE' || !canViewSighting(row, viewer)) {
+        const id = row?.id ?? old?.id;
+        setSightings(p => p.filter(r => r.id !== id));
+        return;
+      }
+      mergeSighting(row);
+
+      if (type === 'INSERT' && row.user_id !== user.id) {
+        setToast({
+          id:       row.id,
+          text:     row.behaviour === 'injured' ? 'New injured cat reported' : 'New report',
+          action:   'View',
+          onAction: () => mapRef.current?.flyTo(
+            [parseFloat(row.latitude), parseFloat(row.longitude)], 17
+          ),
+        });
+      }
+    }, 'map-sightings');
+  }, [user, role]);
+
+  /* ---------- filters + time slider ----------
+     Applied client-side; the deep-linked sighting always stays visible. */
+  const filtered = useMemo(
+    () => sightings.filter(s => matchesFilters(s, filters, { userId })),
+    [sightings, filters, userId]
+  );
+  const weeks = useMemo(() => weeksSpanned(filtered), [filtered]);
+  const visibleSightings = useMemo(() => {
+    const week = weeks.includes(filters.week) ? filters.week : '';
+    const shown = filtered.filter(s => inWeek(s, week));
+    const pinned = highlightId != null &&
+      !shown.some(s => String(s.id) === String(highlightId)) &&
+      sightings.find(s => String(s.id) === String(highlightId));
+    return pinned ? [pinned, ...shown] : shown;
+  }, [filtered, weeks, filters.week, sightings, highlightId]);
+
+  /* ---------- density + rising hotspots ----------
+     Heat follows the time slider; trends need the full history. */
+  const heat     = useMemo(() => heatPoints(visibleSightings), [visibleSightings]);
+  const hotspots = useMemo(
+    () => (showHeat ? detectHotspots(filtered) : []),
+    [showHeat, filtered]
+  );
 
   /* ---------- deep-link centring ---------- */
+  const haveSightings = sightings.length > 0;
   useEffect(() => {
     if (!mapReady || focusLat == null || focusLng == null) return;
     mapRef.current.flyTo([focusLat, focusLng], 17, { animate:true });
-    setTimeout(() => popupRef.current?.openOn(mapRef.current), 400);
-  }, [mapReady, focusLat, focusLng]);
+
+    /* highlighted marker may still be hidden inside a cluster */
+    const t = setTimeout(() => {
+      const marker = highlightRef.current;
+      if (!marker) return;
+      const group = Object.values(clusterRefs.current)
+        .find(g => g?.hasLayer(marker));
+      if (group) group.zoomToShowLayer(marker, () => marker.openPopup());
+      else marker.openPopup();
+    }, 400);
+    return () => clearTimeout(t);
+  }, [mapReady, focusLat, focusLng, haveSightings]);
 
   /* ---------- centre on new pin ---------- */
   useEffect(() => {
@@ -117,38 +286,23 @@ export default function MapView({
     if (!user) return alert('Please log in first');
 
     const { lat, lng } = clickedLocation;
-    let photoUrl = null;
-
-    if (photoFile) {
-      const fileName = `${Date.now()}-${photoFile.name}`;
-      const { error: uploadErr } = await supabase.storage
-        .from('sightings')
-        .upload(fileName, photoFile);
-      if (uploadErr) return alert('Photo upload failed');
-
-      const { data:{ publicUrl } } = supabase.storage
-        .from('sightings')
-        .getPublicUrl(fileName);
-      photoUrl = publicUrl;
-    }
-
-    const { data: row, error } = await supabase
-      .from('sightings')
-      .insert([{
-        latitude:  lat.toString(),
-        longitude: lng.toString(),
-        notes,
-        animals:   1,
-        behaviour: isInjured ? 'injured' : 'normal',
-        photo_url: photoUrl,
-        user_id:   user.id,
-        visibility,
-      }])
-      .select()
-      .single();
+    const { data: row, error, queued } = await submitOrQueue({
+      lat,
+      lng,
+      notes,
+      animals,
+      behaviour: isInjured ? 'injured' : 'normal',
+      visibility,
+      photoFiles,
+      seenAt: photoExif?.takenAt ?? undefined,
+    }, user);
 
     if (error) return alert(`Save failed: ${error.message}`);
-    setSightings(p => [...p, row]);
+    if (queued) {
+      setToast({ id: queued.id, text: 'No signal – report saved and will send automatically' });
+    } else {
+      mergeSighting(row);
+    }
     resetForm();
   };
 
@@ -156,31 +310,84 @@ export default function MapView({
   const handleDelete = async (s) => {
     if (!user) return alert('Log in first');
     const reason = window.prompt('Reason for deletion:');
-    if (!reason) return;
-
-    await supabase
-      .from('deletion_logs')
-      .insert([{ sighting_id: s.id, user_id: user.id, reason }]);
-    await supabase
-      .from('sightings')
-      .delete()
-      .eq('id', s.id);
+    if (!reason?.trim()) return;
+
+    /* tombstone: admins can restore it from the Trash tab */
+    const { error } = await trashRows('sightings', [s.id], reason);
+    if (error) return alert(`Delete failed: ${error.message}`);
     setSightings(p => p.filter(r => r.id !== s.id));
   };
 
+  /* ---------- advance case status ---------- */
+  const handleStatus = async (s, status) => {
+    const { data: row, error } = await updateCase(s.id, { status });
+    if (error) return alert(`Update failed: ${error.message}`);
+    mergeSighting(row);
+  };
+
   /* ---------- helpers ---------- */
   const resetForm = () => {
     setClickedLocation(null);
     setNotes('');
     setIsInjured(false);
-    setPhotoFile(null);
+    setAnimals(1);
+    setPhotoFiles([]);
+    setPhotoExif(null);
     setVisibility('public');
   };
 
-  const logout = async () => {
-    await supabase.auth.signOut();
-    window.location.href = '/';
-  };
+  const sightingMarker = (s) => (
+    <Marker
+      key={s.id}
+      ref={String(s.id) === String(highlightId) ? highlightRef : null}
+      position={[parseFloat(s.latitude), parseFloat(s.longitude)]}
+      {...(s.behaviour === 'injured' && { icon: injuredIcon })}
+    >
+      <Popup>
+        <div className="text-sm space-y-2">
+          {sightingThumb(s) && (
+            <a href={s.photos?.[0]?.url || s.photo_url} target="_blank" rel="noreferrer">
+              <img
+                src={sightingThumb(s)}
+                alt="Sighting"
+                className="rounded max-h-32 w-full object-cover"
+              />
+            </a>
+          )}
+          {s.photos?.length > 1 && (
+            <p className="text-xs text-gray-500">+{s.photos.length - 1} more photo(s)</p>
+          )}
+          <p><strong>Notes:</strong> {s.notes || '—'}</p>
+          <p><strong>Condition:</strong> {s.behaviour}</p>
+          {s.cat_id && (
+            <p>
+              <a href={`/cats/${s.cat_id}`} className="underline text-emerald-600">
+                View cat profile
+              </a>
+            </p>
+          )}
+          <p><strong>Status:</strong>{' '}
+            <CaseStatus
+              status={s.status}
+              canEdit={canWorkCases(role)}
+              onChange={status => handleStatus(s, status)}
+            />
+          </p>
+          <p><strong>Seen:</strong>{' '}
+            {new Date(s.seen_at || s.created_at).toLocaleString()}
+          </p>
+          {user && s.user_id === user.id && (
+            <button
+              onClick={() => handleDelete(s)}
+              className="mt-2 w-full bg-red-600 text-white py-1 rounded hover:bg-red-700"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </Popup>
+    </Marker>
+  );
 
   /* ---------- render ---------- */
   return (
@@ -199,55 +406,96 @@ export default function MapView({
           />
           <TapHandler onMapClick={setClickedLocation} />
 
-          {/* sanctuary markers only (no boundary shapes) */}
+          {/* sanctuary service areas (polygon wins over radius) */}
+          {showAreas && sanctuaries.map(s => (
+            s.boundary ? (
+              <GeoJSON
+                key={`area-${s.id}`}
+                data={s.boundary}
+                style={areaStyle}
+                interactive={false}
+              />
+            ) : s.radius_km > 0 && (
+              <Circle
+                key={`area-${s.id}`}
+                center={[s.lat, s.lng]}
+                radius={s.radius_km * 1000}
+                pathOptions={areaStyle}
+                interactive={false}
+              />
+            )
+          ))}
+
+          {/* sanctuary markers */}
           {sanctuaries.map(s => (
             <Marker key={s.id} icon={sanctuaryIcon} position={[s.lat, s.lng]}>
-              <Popup>
-                <div className="text-sm">
-                  <strong>{s.name}</strong>
-                  {s.logo && (
-                    <img
-                      src={s.logo}
-                      alt={s.name}
-                      className="mt-1 h-16 object-cover rounded"
-                    />
-                  )}
-                </div>
-              </Popup>
+              <Popup><SanctuaryPopup sanctuary={s} /></Popup>
             </Marker>
           ))}
 
-          {/* stray sightings */}
-          {sightings.map(s => (
-            <Marker
-              key={s.id}
-              position={[parseFloat(s.latitude), parseFloat(s.longitude)]}
+          {/* TNR colonies */}
+          {showColonies && colonies.map(c => {
+            const share = sterilisedShare(c);
+            const pos   = [Number(c.latitude), Number(c.longitude)];
+            return (
+              <Fragment key={`colony-${c.id}`}>
+                <Circle
+                  center={pos}
+                  radius={c.radius_m}
+                  pathOptions={colonyStyle}
+                  interactive={false}
+                />
+                <Marker icon={colonyIcon} position={pos}>
+                  <Popup>
+                    <div className="text-sm space-y-1">
+                      <strong>{c.name}</strong>
+                      <p>Estimated cats: {c.estimated_count ?? '—'}</p>
+                      <p>Sterilised: {share.pct == null ? '—' : `${share.pct}%`}</p>
+                      {c.feeding_times?.length > 0 && (
+                        <p>Feeding: {c.feeding_times.join(', ')}</p>
+                      )}
+                      <a href={`/colonies/${c.id}`} className="underline text-emerald-600">
+                        Colony dashboard
+                      </a>
+                    </div>
+                  </Popup>
+                </Marker>
+              </Fragment>
+            );
+          })}
+
+          {/* density heatmap + rising hotspots */}
+          {showHeat && <HeatLayer points={heat.points} max={heat.max} />}
+          {hotspots.map(h => (
+            <Fragment key={`hotspot-${h.key}`}>
+              <Rectangle bounds={h.bounds} pathOptions={hotspotStyle} interactive={false} />
+              <Marker icon={hotspotIcon} position={[h.lat, h.lng]}>
+                <Popup>
+                  <div className="text-sm space-y-1">
+                    <strong>Rising hotspot</strong>
+                    <p>{describeHotspot(h)}</p>
+                    {h.injured > 0 && <p className="text-red-600">{h.injured} injured</p>}
+                  </div>
+                </Popup>
+              </Marker>
+            </Fragment>
+          ))}
+
+          {/* stray sightings, clustered (injured kept in their own group) */}
+          {Object.keys(clusterIcons).map(variant => (
+            <MarkerClusterGroup
+              key={variant}
+              ref={g => { clusterRefs.current[variant] = g; }}
+              chunkedLoading
+              showCoverageOnHover={false}
+              spiderfyOnMaxZoom
+              maxClusterRadius={60}
+              iconCreateFunction={clusterIcons[variant]}
             >
-              <Popup ref={s.id === highlightId ? popupRef : null}>
-                <div className="text-sm space-y-2">
-                  {s.photo_url && (
-                    <img
-                      src={s.photo_url}
-                      alt="Sighting"
-                      className="rounded max-h-32 w-full object-cover"
-                    />
-                  )}
-                  <p><strong>Notes:</strong> {s.notes || '—'}</p>
-                  <p><strong>Condition:</strong> {s.behaviour}</p>
-                  <p><strong>Reported:</strong>{' '}
-                    {new Date(s.created_at).toLocaleString()}
-                  </p>
-                  {user && s.user_id === user.id && (
-                    <button
-                      onClick={() => handleDelete(s)}
-                      className="mt-2 w-full bg-red-600 text-white py-1 rounded hover:bg-red-700"
-                    >
-                      Delete
-                    </button>
-                  )}
-                </div>
-              </Popup>
-            </Marker>
+              {visibleSightings
+                .filter(s => (s.behaviour === 'injured') === (variant === 'injured'))
+                .map(sightingMarker)}
+            </MarkerClusterGroup>
           ))}
 
           {/* provisional marker */}
@@ -255,25 +503,76 @@ export default function MapView({
         </MapContainer>
       </div>
 
+      {/* FILTERS + time slider */}
+      <FilterPanel
+        filters={filters}
+        onChange={onFiltersChange}
+        weeks={weeks}
+        shown={visibleSightings.length}
+        className="absolute top-14 left-4 z-[100]"
+      />
+
       {/* LOGOUT button */}
       <button
-        onClick={logout}
+        onClick={() => signOut()}
         className="absolute top-4 left-4 z-[100] bg-white text-black px-3 py-1 rounded shadow"
       >
         Log out
       </button>
 
-      {/* USER badge */}
+      {/* sanctuary self-registration */}
+      {user && (
+        <a
+          href="/register"
+          className="absolute top-4 left-28 z-[100] bg-white text-black px-3 py-1 rounded shadow"
+        >
+          Register a sanctuary
+        </a>
+      )}
+
+      {/* USER badge → profile */}
       {user ? (
-        <div className="absolute top-4 right-4 z-[100] bg-white text-black text-xs px-3 py-1 rounded shadow">
-          Logged in as:<br /><strong>{user.email}</strong>
-        </div>
+        <a
+          href="/profile"
+          className="absolute top-4 right-4 z-[100] bg-white text-black text-xs px-3 py-1 rounded shadow"
+        >
+          Logged in as:<br /><strong>{displayNameOf(user, profile)}</strong>
+        </a>
       ) : (
         <div className="absolute top-4 right-4 z-[100] bg-red-200 text-black text-xs px-3 py-1 rounded shadow">
           Not logged in
         </div>
       )}
 
+      {/* SERVICE-AREA toggle */}
+      <button
+        onClick={() => setShowAreas(v => !v)}
+        className="absolute top-16 right-4 z-[100] bg-white text-black text-xs px-3 py-1 rounded shadow"
+      >
+        {showAreas ? 'Hide' : 'Show'} sanctuary areas
+      </button>
+
+      {/* COLONY toggle */}
+      <button
+        onClick={() => setShowColonies(v => !v)}
+        className="absolute top-24 right-4 z-[100] bg-white text-black text-xs px-3 py-1 rounded shadow"
+      >
+        {showColonies ? 'Hide' : 'Show'} colonies
+      </button>
+
+      {/* HEATMAP toggle */}
+      <button
+        onClick={() => setShowHeat(v => !v)}
+        className="absolute top-32 right-4 z-[100] bg-white text-black text-xs px-3 py-1 rounded shadow"
+      >
+        {showHeat ? 'Hide' : 'Show'} heatmap{showHeat && hotspots.length > 0 && ` · ${hotspots.length} 🔥`}
+      </button>
+
+      <Toast toast={toast} onDone={clearToast} />
+
+      {/* OFFLINE outbox */}
+      <OutboxPanel className="absolute top-40 right-4 z-[100]" />
+
       {/* REPORT form */}
       {clickedLocation && (
         <form
@@ -290,6 +589,17 @@ export default function MapView({
             className="w-full p-2 border rounded mb-2"
           />
 
+          <label className="flex items-center space-x-2 mb-2">
+            <span className="text-sm font-medium">How many cats?</span>
+            <input
+              type="number"
+              min="1"
+              value={animals}
+              onChange={e => setAnimals(e.target.value)}
+              className="w-20 border rounded p-1"
+            />
+          </label>
+
           <label className="flex items-center space-x-2 mb-3">
             <input
               type="checkbox"
@@ -306,18 +616,34 @@ export default function MapView({
               onChange={e => setVisibility(e.target.value)}
               className="mt-1 w-full border rounded p-2"
             >
-              <option value="public">Public</option>
-              <option value="caregiver">Caregivers only</option>
-              <option value="admin">Admins only</option>
+              {VISIBILITY_OPTIONS.map(v => (
+                <option key={v.value} value={v.value}>{v.label}</option>
+              ))}
             </select>
           </label>
 
-          <input
-            type="file"
-            accept="image/*"
-            onChange={e => setPhotoFile(e.target.files[0])}
-            className="mb-3"
-          />
+          <div className="mb-3">
+            <PhotoPicker
+              files={photoFiles}
+              onChange={setPhotoFiles}
+              onExif={setPhotoExif}
+              max={MAX_PHOTOS}
+            />
+            {photoExif?.lat != null && (
+              <button
+                type="button"
+                onClick={() => setClickedLocation({ lat: photoExif.lat, lng: photoExif.lng })}
+                className="mt-1 text-xs underline text-emerald-600"
+              >
+                📍 Move pin to where the photo was taken
+              </button>
+            )}
+            {photoExif?.takenAt && (
+              <p className="text-xs text-gray-500">
+                Seen time taken from photo: {photoExif.takenAt.toLocaleString()}
+              </p>
+            )}
+          </div>
 
           <div className="flex gap-2">
             <button
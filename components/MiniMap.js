@@ -30,7 +30,7 @@ export default function MiniMap({ lat, lng, radiusKm, onMove }) {
     <MapContainer
       center={[lat, lng]}
       zoom={13}
-      whenCreated={(m) => (mapRef.current = m)}
+      ref={mapRef}
       style={{ height: '200px', width: '100%' }}
     >
       <TileLayer
@@ -50,11 +50,14 @@ export default function MiniMap({ lat, lng, radiusKm, onMove }) {
         ref={markerRef}
       />
 
-      <Circle
-        center={[lat, lng]}
-        radius={radiusKm * 1000}
-        pathOptions={{ color: '#10b981', fillOpacity: 0.1 }}
-      />
+      {/* service-area preview (omitted when no radius, e.g. sighting pin) */}
+      {radiusKm > 0 && (
+        <Circle
+          center={[lat, lng]}
+          radius={radiusKm * 1000}
+          pathOptions={{ color: '#10b981', fillOpacity: 0.1 }}
+        />
+      )}
     </MapContainer>
   );
 }
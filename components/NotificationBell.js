@@ -0,0 +1,30 @@
+// components/NotificationBell.js
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { countUnread } from '../lib/notifications';
+import { subscribeToNotifications } from '../lib/realtime';
+
+/* 🔔 with an unread badge; live via realtime. Links to /notifications. */
+export default function NotificationBell({ userId, onNew }) {
+  const [unread, setUnread] = useState(0);
+
+  useEffect(() => {
+    if (!userId) return;
+    countUnread(userId).then(({ count }) => setUnread(count || 0));
+    return subscribeToNotifications(userId, (row) => {
+      setUnread((n) => n + 1);
+      onNew?.(row);
+    }, 'bell');
+  }, [userId]);
+
+  return (
+    <Link href="/notifications" className="relative text-lg" title="Notifications">
+      🔔
+      {unread > 0 && (
+        <span className="absolute -top-1 -right-2 bg-red-600 text-white text-[10px] rounded-full px-1">
+          {unread > 99 ? '99+' : unread}
+        </span>
+      )}
+    </Link>
+  );
+}
@@ -0,0 +1,86 @@
+// components/OutboxPanel.js
+import { useEffect, useState } from 'react';
+import { photoFilesOf } from '../lib/sightings';
+import {
+  listOutbox,
+  onOutboxChange,
+  retryOutbox,
+  removeFromOutbox,
+  OUTBOX_STATUSES,
+} from '../lib/outbox';
+
+/* reports queued on this device and where each one stands */
+export default function OutboxPanel({ className = '' }) {
+  const [entries, setEntries] = useState([]);
+  const [open,    setOpen]    = useState(false);
+
+  useEffect(() => {
+    const load = () => listOutbox().then(setEntries).catch(() => setEntries([]));
+    load();
+    return onOutboxChange(load);
+  }, []);
+
+  if (!entries.length) return null;
+
+  const waiting = entries.filter((e) => e.status !== 'synced').length;
+
+  return (
+    <div className={`bg-white text-black text-xs rounded shadow ${className}`}>
+      <button onClick={() => setOpen((o) => !o)} className="w-full px-3 py-1 text-left">
+        📤 Outbox{waiting ? ` (${waiting} waiting)` : ''}
+      </button>
+
+      {open && (
+        <ul className="max-h-64 overflow-y-auto divide-y border-t">
+          {entries.map((e) => {
+            const st = OUTBOX_STATUSES[e.status];
+            return (
+              <li key={e.id} className="p-2 space-y-1 w-64">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-gray-500">
+                    {new Date(e.createdAt).toLocaleString()}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full ${st.badge}`}>{st.label}</span>
+                </div>
+                <p className="truncate">
+                  {e.fields.behaviour === 'injured' && '🚑 '}
+                  {e.fields.notes || 'No notes'}
+                  {photoFilesOf(e.fields).length > 0 && ` · 📷 ${photoFilesOf(e.fields).length}`}
+                </p>
+                {e.error && <p className="text-red-600">{e.error}</p>}
+                <div className="flex gap-2">
+                  {e.status === 'failed' && (
+                    <button
+                      onClick={() => retryOutbox(e.id).catch((err) => alert(`Retry failed: ${err.message}`))}
+                      className="underline"
+                    >
+                      Retry
+                    </button>
+                  )}
+                  {e.status === 'synced' && e.remoteId && (
+                    <a
+                      href={`/map?lat=${e.fields.lat}&lng=${e.fields.lng}&id=${e.remoteId}`}
+                      className="underline text-emerald-600"
+                    >
+                      View
+                    </a>
+                  )}
+                  {e.status !== 'syncing' && (
+                    <button
+                      onClick={() =>
+                        (e.status === 'synced' || confirm('Discard this report?')) &&
+                        removeFromOutbox(e.id)}
+                      className="underline text-gray-500"
+                    >
+                      {e.status === 'synced' ? 'Dismiss' : 'Discard'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
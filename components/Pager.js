@@ -0,0 +1,37 @@
+// components/Pager.js
+
+/* "1,234 matching · « First  ‹ Prev  Next ›"
+   prev / next: cursors from pageOf() (lib/tables.js), null at either end;
+   onPage(cursor) with null = back to the first page. */
+export default function Pager({ count, prev, next, onPage }) {
+  if (count == null) return null;
+
+  return (
+    <div className="flex items-center justify-between text-sm mt-2">
+      <span className="text-gray-600">{count.toLocaleString()} matching</span>
+      <span className="flex items-center gap-2">
+        <button
+          onClick={() => onPage(null)}
+          disabled={!prev}
+          className="px-2 py-0.5 border rounded disabled:opacity-40"
+        >
+          « First
+        </button>
+        <button
+          onClick={() => onPage(prev)}
+          disabled={!prev}
+          className="px-2 py-0.5 border rounded disabled:opacity-40"
+        >
+          ‹ Prev
+        </button>
+        <button
+          onClick={() => onPage(next)}
+          disabled={!next}
+          className="px-2 py-0.5 border rounded disabled:opacity-40"
+        >
+          Next ›
+        </button>
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// components/PhotoPicker.js
+import { useEffect, useState } from 'react';
+import { readExif, MAX_INPUT_BYTES } from '../lib/images';
+
+/* Several photos with previews. The first photo carrying EXIF GPS / time
+   is reported through onExif({ lat, lng, takenAt }) so the form can offer
+   it; the files themselves are re-encoded without metadata on upload. */
+export default function PhotoPicker({
+  files = [],               // File[]
+  onChange,                 // (File[]) => …
+  onExif,                   // ({ lat, lng, takenAt }) => …
+  max = 5,
+}) {
+  const [previews, setPreviews] = useState([]);
+
+  useEffect(() => {
+    const urls = files.map((f) => URL.createObjectURL(f));
+    setPreviews(urls);
+    return () => urls.forEach((u) => URL.revokeObjectURL(u));
+  }, [files]);
+
+  const add = async (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';                       // allow re-picking the same file
+
+    const tooBig = picked.filter((f) => f.size > MAX_INPUT_BYTES);
+    if (tooBig.length) alert(`Skipped ${tooBig.length} photo(s) over ${MAX_INPUT_BYTES / 1024 / 1024} MB`);
+
+    const room = max - files.length;
+    const next = picked.filter((f) => f.size <= MAX_INPUT_BYTES).slice(0, room);
+    if (picked.length > room) alert(`Up to ${max} photos per report`);
+    if (!next.length) return;
+    onChange([...files, ...next]);
+
+    if (!onExif) return;
+    for (const f of next) {
+      const exif = await readExif(f);
+      if (exif && (exif.lat != null || exif.takenAt)) { onExif(exif); break; }
+    }
+  };
+
+  const remove = (i) => onChange(files.filter((_, j) => j !== i));
+
+  return (
+    <div className="space-y-2">
+      {files.length < max && (
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={add}
+          className="p-2 border rounded w-full"
+        />
+      )}
+      {previews.length > 0 && (
+        <ul className="grid grid-cols-3 gap-2">
+          {previews.map((src, i) => (
+            <li key={src} className="relative">
+              <img src={src} alt={`Photo ${i + 1}`} className="h-24 w-full object-cover rounded" />
+              <button
+                type="button"
+                onClick={() => remove(i)}
+                className="absolute top-1 right-1 bg-white/90 rounded-full px-2 text-xs"
+                aria-label="Remove photo"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs text-gray-500">
+        {files.length}/{max} photos · resized and stripped of location data before upload
+      </p>
+    </div>
+  );
+}
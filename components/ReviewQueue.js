@@ -0,0 +1,87 @@
+// components/ReviewQueue.js
+import { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabaseClient';
+import { reviewSanctuary, serviceLabel } from '../lib/sanctuaries';
+
+/* FK hint: caregiver_assignments is a second sanctuaries ⇄ profiles path */
+const COLUMNS =
+  '*, caregiver_assignments ( caregiver_id ), applicant:profiles!sanctuaries_submitted_by_fkey ( email )';
+
+/* admins: self-registered sanctuaries waiting for a decision */
+export default function ReviewQueue({ refreshKey, onEdit, onReviewed }) {
+  const [rows, setRows] = useState([]);
+
+  useEffect(() => {
+    supabase
+      .from('sanctuaries')
+      .select(COLUMNS)
+      .eq('review_status', 'pending')
+      .is('deleted_at', null)
+      .not('submitted_by', 'is', null)
+      .order('submitted_at', { ascending: true })
+      .then(({ data, error }) => {
+        if (error) alert(error.message);
+        setRows(data || []);
+      });
+  }, [refreshKey]);
+
+  const decide = async (s, decision) => {
+    let note = null;
+    if (decision === 'approved') {
+      if (!confirm(`Approve "${s.name}"? ${s.applicant?.email || 'The applicant'} becomes its caregiver.`)) return;
+    } else {
+      note = window.prompt(
+        decision === 'rejected'
+          ? 'Reason for rejecting (sent to the applicant):'
+          : 'What should the applicant change? (sent to them)'
+      );
+      if (!note?.trim()) return;
+    }
+    const { error } = await reviewSanctuary(s.id, decision, note);
+    if (error) return alert(error.message);
+    onReviewed();
+  };
+
+  if (!rows.length) return null;
+
+  return (
+    <section className="mb-6">
+      <h2 className="font-semibold mb-2">Pending approval ({rows.length})</h2>
+      <ul className="space-y-2 text-sm">
+        {rows.map((s) => (
+          <li key={s.id} className="flex flex-wrap items-center gap-3 bg-amber-50 rounded p-2">
+            {s.logo_url && <img src={s.logo_url} alt="" className="h-10 w-10 object-cover rounded" />}
+            <div className="flex-1 min-w-[200px]">
+              <p className="font-medium">{s.name}</p>
+              <p className="text-gray-600">
+                {s.applicant?.email || '—'} · submitted {new Date(s.submitted_at).toLocaleDateString()}
+                {s.services?.length > 0 && ` · ${s.services.map(serviceLabel).join(', ')}`}
+              </p>
+              <a
+                href={`/map?lat=${s.latitude}&lng=${s.longitude}`}
+                className="text-xs underline text-emerald-600"
+              >
+                Show on map
+              </a>
+            </div>
+            <button onClick={() => onEdit(s)} className="px-2 py-0.5 border rounded">
+              Review details
+            </button>
+            <button
+              onClick={() => decide(s, 'approved')}
+              className="px-2 py-0.5 rounded bg-emerald-600 text-white"
+            >
+              Approve
+            </button>
+            <button onClick={() => decide(s, 'changes_requested')} className="px-2 py-0.5 border rounded">
+              Request changes
+            </button>
+            <button onClick={() => decide(s, 'rejected')} className="px-2 py-0.5 border rounded text-red-600">
+              Reject
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
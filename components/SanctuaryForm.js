@@ -1,23 +1,16 @@
 // components/SanctuaryForm.js
 import { useState } from 'react';
 import dynamic      from 'next/dynamic';
-import { supabase } from '../lib/supabaseClient';
+import { uploadImage } from '../lib/storage';
+import { SERVICES, DAYS, validateSanctuary } from '../lib/sanctuaries';
 import 'leaflet/dist/leaflet.css';
 
 /* ───── client-side helpers (no SSR) ───── */
 const MiniMap        = dynamic(() => import('./MiniMap'),        { ssr: false });
 const BoundaryDrawer = dynamic(() => import('./BoundaryDrawer'), { ssr: false });
 
-/* services you offer today (add / rename freely) */
-const SERVICES = [
-  { key: 'shelter',   label: 'Shelter',    tip: 'Long-term housing' },
-  { key: 'tnr',       label: 'TNR',        tip: 'Trap / Neuter / Release' },
-  { key: 'vet-care',  label: 'Vet care',   tip: 'On-site or partner vet' },
-  { key: 'adoption',  label: 'Adoption',   tip: 'Re-homing programme' },
-];
-
-/* weekdays for opening-hours grid */
-const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+/* logos only ever render small */
+const LOGO_MAX_SIDE = 512;
 
 /* ────────────────────────────────────────── */
 export default function SanctuaryForm({
@@ -25,7 +18,11 @@ export default function SanctuaryForm({
   caregivers = [],          // [{ id, email }]
   onSave,                   // (form, caregiverIds) => …
   onClose,                  // () => …
+  variant    = 'admin',     // 'admin' | 'caregiver' (hours + services only,
+                            // CAREGIVER_EDITABLE) | 'applicant' (no approval / caregivers)
 }) {
+  const limited = variant === 'caregiver';
+
   /* ---------- initialise form ---------- */
   const [form, setForm] = useState(() => {
     /* build user-friendly opening-hours object */
@@ -111,15 +108,12 @@ export default function SanctuaryForm({
   const uploadLogo = async (file) => {
     if (!file) return;
     setUploading(true);
-    const fname = `${Date.now()}-${file.name}`;
-    const { error } = await supabase.storage
-      .from('sanctuary-logos')
-      .upload(fname, file);
-    if (error) { alert('Upload failed'); setUploading(false); return; }
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from('sanctuary-logos').getPublicUrl(fname);
-    setForm((f) => ({ ...f, logo_url: publicUrl }));
+    const { url, error } = await uploadImage('sanctuary-logos', file, {
+      thumbnail: false,
+      maxSide:   LOGO_MAX_SIDE,
+    });
+    if (error) { alert(`Upload failed: ${error.message}`); setUploading(false); return; }
+    setForm((f) => ({ ...f, logo_url: url }));
     setUploading(false);
   };
 
@@ -172,15 +166,12 @@ export default function SanctuaryForm({
   /* ---------- submit ---------- */
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!form.name.trim()) return alert('Name required');
-    if (!form.latitude || !form.longitude) return alert('Location required');
-
-    if (mode === 'radius') {
-      if (!form.radius_km) return alert('Radius required');
-      form.boundary = null;
-    } else {
-      if (!form.boundary) return alert('Draw polygon first');
-      form.radius_km = null;
+    if (!limited) {
+      const invalid = validateSanctuary(form, mode);
+      if (invalid) return alert(invalid);
+
+      if (mode === 'radius') form.boundary = null;
+      else                   form.radius_km = null;
     }
 
     /* convert opening-hours object → compact JSON */
@@ -205,9 +196,15 @@ export default function SanctuaryForm({
         }`}
       >
         <h2 className="text-xl font-semibold mb-4">
-          {form.id ? 'Edit Sanctuary' : 'Add Sanctuary'}
+          {limited
+            ? form.name
+            : variant === 'applicant'
+              ? (form.id ? 'Update your registration' : 'Register your sanctuary')
+              : (form.id ? 'Edit Sanctuary' : 'Add Sanctuary')}
         </h2>
 
+        {!limited && (
+        <>
         <label className="block mb-4">
   <span className="text-sm">Sanctuary name*</span>
   <input
@@ -375,6 +372,8 @@ export default function SanctuaryForm({
             />
           </label>
         ))}
+        </>
+        )}
 
         {/* Opening hours grid */}
         <fieldset className="border p-2 rounded mb-4">
@@ -467,6 +466,8 @@ export default function SanctuaryForm({
           </div>
         </fieldset>
 
+        {variant === 'admin' && (
+        <>
         {/* Approved flag */}
         <label className="flex items-center gap-2 mb-4">
           <input
@@ -496,6 +497,8 @@ export default function SanctuaryForm({
             )}
           </div>
         </fieldset>
+        </>
+        )}
 
         {/* actions */}
         <div className="flex gap-2 justify-end">
@@ -510,7 +513,7 @@ export default function SanctuaryForm({
             type="submit"
             className="px-4 py-1 bg-emerald-600 text-white rounded"
           >
-            Save
+            {variant === 'applicant' ? 'Submit for review' : 'Save'}
           </button>
         </div>
       </form>
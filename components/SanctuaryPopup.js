@@ -0,0 +1,83 @@
+// components/SanctuaryPopup.js
+import { LINKS, formatOpeningHours, serviceLabel } from '../lib/sanctuaries';
+
+/* popup body for a sanctuary marker / service-area shape */
+export default function SanctuaryPopup({ sanctuary: s }) {
+  const hours = formatOpeningHours(s.opening_hours);
+  const links = LINKS.filter(([k]) => s[k]);
+
+  return (
+    <div className="text-sm space-y-2 max-w-[240px]">
+      <div className="flex items-center gap-2">
+        {s.logo_url && (
+          <img
+            src={s.logo_url}
+            alt={s.name}
+            className="h-12 w-12 object-cover rounded"
+          />
+        )}
+        <strong>{s.name}</strong>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        {s.boundary
+          ? 'Covers the outlined area'
+          : s.radius_km
+            ? `Covers ${Number(s.radius_km).toFixed(1)} km around this point`
+            : 'Service area not set'}
+      </p>
+
+      {/* services */}
+      {s.services?.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {s.services.map((k) => (
+            <span key={k} className="px-2 py-0.5 rounded-full text-xs bg-emerald-100 text-emerald-800">
+              {serviceLabel(k)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* opening hours */}
+      {hours.length > 0 && (
+        <table className="text-xs">
+          <tbody>
+            {hours.map(([d, h]) => (
+              <tr key={d}>
+                <td className="pr-2 text-gray-500">{d}</td>
+                <td>{h}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* contact */}
+      {(s.contact_phone || s.contact_email) && (
+        <p className="text-xs space-x-2">
+          {s.contact_phone && <a href={`tel:${s.contact_phone}`}>📞 {s.contact_phone}</a>}
+          {s.contact_email && <a href={`mailto:${s.contact_email}`}>✉️ {s.contact_email}</a>}
+        </p>
+      )}
+
+      {/* donate & socials */}
+      {links.length > 0 && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          {links.map(([k, label]) => (
+            <a
+              key={k}
+              href={s[k]}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={k === 'donate_url'
+                ? 'px-2 py-0.5 rounded bg-emerald-600 !text-white'
+                : 'underline'}
+            >
+              {label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1 +1,282 @@
-export default function SightingForm() { return <p>Sighting Form (placeholder)</p>; }
\ No newline at end of file
+// components/SightingForm.js
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import dynamic from 'next/dynamic';
+import { useAuth } from './AuthProvider';
+import { submitOrQueue } from '../lib/outbox';
+import {
+  validateSighting,
+  CONDITIONS,
+  VISIBILITY_OPTIONS,
+  MAX_ANIMALS,
+  MAX_PHOTOS,
+} from '../lib/sightings';
+import PhotoPicker from './PhotoPicker';
+
+/* ───── client-side helpers (no SSR) ───── */
+const MiniMap = dynamic(() => import('./MiniMap'), { ssr: false });
+
+/* map opens on Lefkada until the reporter picks a spot */
+const DEFAULT_LAT = 38.8333;
+const DEFAULT_LNG = 20.7;
+
+const STEPS = ['Location', 'Details', 'Photo'];
+
+/* ────────────────────────────────────────── */
+export default function SightingForm() {
+  const router = useRouter();
+  const { user } = useAuth();     // from the local session, so submitting works offline
+
+  /* ---------- form state ---------- */
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState({
+    lat:        DEFAULT_LAT,
+    lng:        DEFAULT_LNG,
+    notes:      '',
+    animals:    1,
+    behaviour:  'normal',
+    visibility: 'public',
+    photoFiles: [],
+    seenAt:     null,
+  });
+  const [pinMoved, setPinMoved] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [saving,   setSaving]   = useState(false);
+  const [exif,     setExif]     = useState(null);      // from the first photo that has any
+
+  /* ---------- tiny setters ---------- */
+  const setField = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  const movePin = (lat, lng) => {
+    setForm((f) => ({ ...f, lat: +lat, lng: +lng }));
+    setPinMoved(true);
+  };
+
+  const useMyLocation = () => {
+    if (!navigator.geolocation) return alert('Geolocation unsupported');
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        movePin(pos.coords.latitude.toFixed(6), pos.coords.longitude.toFixed(6));
+        setLocating(false);
+      },
+      () => {
+        alert('Unable to fetch location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true }
+    );
+  };
+
+  /* ---------- step navigation ---------- */
+  const next = () => {
+    if (step === 0 && !pinMoved) {
+      return alert('Drag the pin or use your location first');
+    }
+    if (step === 1) {
+      const invalid = validateSighting(form);
+      if (invalid) return alert(invalid);
+    }
+    setStep((s) => s + 1);
+  };
+
+  const back = () => setStep((s) => s - 1);
+
+  /* ---------- submit ---------- */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!user) return alert('Please log in first');
+
+    setSaving(true);
+    const { data: row, error, queued } = await submitOrQueue(form, user);
+    setSaving(false);
+
+    if (error) return alert(`Save failed: ${error.message}`);
+    if (queued) {
+      alert('No signal – your report is saved on this device and will send automatically.');
+      return router.push('/map');
+    }
+    router.push(`/map?lat=${row.latitude}&lng=${row.longitude}&id=${row.id}`);
+  };
+
+  /* ─────────────────────────── UI ─────────────────────────── */
+  return (
+    <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow space-y-4">
+      {/* step indicator */}
+      <ol className="flex gap-4 text-sm">
+        {STEPS.map((label, i) => (
+          <li
+            key={label}
+            className={i === step
+              ? 'font-medium text-emerald-700'
+              : i < step ? 'text-gray-700' : 'text-gray-400'}
+          >
+            {i + 1}. {label}
+          </li>
+        ))}
+      </ol>
+
+      {/* ───── 1. Location ───── */}
+      {step === 0 && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            Drag the pin to where you saw the cat.
+          </p>
+          <MiniMap lat={form.lat} lng={form.lng} onMove={movePin} />
+          <div className="flex items-center justify-between text-xs text-gray-600">
+            <span>{Number(form.lat).toFixed(5)}, {Number(form.lng).toFixed(5)}</span>
+            <button
+              type="button"
+              onClick={useMyLocation}
+              disabled={locating}
+              className="px-3 py-1 border rounded"
+            >
+              {locating ? 'Locating…' : '📍 Use my location'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ───── 2. Details ───── */}
+      {step === 1 && (
+        <div className="space-y-3">
+          <label className="block">
+            <span className="text-sm font-medium">Notes</span>
+            <textarea
+              rows={3}
+              placeholder="Describe what you saw…"
+              value={form.notes}
+              onChange={setField('notes')}
+              className="mt-1 w-full p-2 border rounded"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-medium">How many cats?</span>
+            <input
+              type="number"
+              min="1"
+              max={MAX_ANIMALS}
+              value={form.animals}
+              onChange={setField('animals')}
+              className="mt-1 w-24 p-2 border rounded"
+            />
+          </label>
+
+          <fieldset>
+            <legend className="text-sm font-medium">Condition</legend>
+            {CONDITIONS.map((c) => (
+              <label key={c.value} className="mr-4">
+                <input
+                  type="radio"
+                  name="behaviour"
+                  value={c.value}
+                  checked={form.behaviour === c.value}
+                  onChange={setField('behaviour')}
+                />{' '}
+                {c.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="block">
+            <span className="text-sm font-medium">Who can view this report?</span>
+            <select
+              value={form.visibility}
+              onChange={setField('visibility')}
+              className="mt-1 w-full border rounded p-2"
+            >
+              {VISIBILITY_OPTIONS.map((v) => (
+                <option key={v.value} value={v.value}>{v.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* ───── 3. Photo & review ───── */}
+      {step === 2 && (
+        <div className="space-y-3">
+          <div>
+            <span className="block text-sm font-medium mb-1">Photos (optional)</span>
+            <PhotoPicker
+              files={form.photoFiles}
+              onChange={(photoFiles) => setForm((f) => ({ ...f, photoFiles }))}
+              onExif={setExif}
+              max={MAX_PHOTOS}
+            />
+          </div>
+
+          {/* suggestions from the photo's EXIF */}
+          {exif && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {exif.lat != null && (
+                <button
+                  type="button"
+                  onClick={() => movePin(exif.lat.toFixed(6), exif.lng.toFixed(6))}
+                  className="px-3 py-1 border rounded"
+                >
+                  📍 Use photo location
+                </button>
+              )}
+              {exif.takenAt && (
+                <button
+                  type="button"
+                  onClick={() => setForm((f) => ({ ...f, seenAt: exif.takenAt.toISOString() }))}
+                  className="px-3 py-1 border rounded"
+                >
+                  🕑 Seen at {exif.takenAt.toLocaleString()}
+                </button>
+              )}
+            </div>
+          )}
+
+          <dl className="text-sm grid grid-cols-[auto,1fr] gap-x-3 gap-y-1">
+            <dt className="text-gray-500">Location</dt>
+            <dd>{Number(form.lat).toFixed(5)}, {Number(form.lng).toFixed(5)}</dd>
+            <dt className="text-gray-500">Seen</dt>
+            <dd>{form.seenAt ? new Date(form.seenAt).toLocaleString() : 'Just now'}</dd>
+            <dt className="text-gray-500">Cats</dt>
+            <dd>{form.animals}</dd>
+            <dt className="text-gray-500">Condition</dt>
+            <dd>{CONDITIONS.find((c) => c.value === form.behaviour)?.label}</dd>
+            <dt className="text-gray-500">Visibility</dt>
+            <dd>{VISIBILITY_OPTIONS.find((v) => v.value === form.visibility)?.label}</dd>
+            <dt className="text-gray-500">Notes</dt>
+            <dd className="break-words">{form.notes || '—'}</dd>
+          </dl>
+        </div>
+      )}
+
+      {/* actions */}
+      <div className="flex gap-2">
+        {step > 0 && (
+          <button
+            type="button"
+            onClick={back}
+            className="flex-1 bg-gray-300 text-black py-2 rounded hover:bg-gray-400"
+          >
+            Back
+          </button>
+        )}
+        {step < STEPS.length - 1 ? (
+          <button
+            type="button"
+            onClick={next}
+            className="flex-1 bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700"
+          >
+            Next
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex-1 bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700"
+          >
+            {saving ? 'Saving…' : 'Submit report'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,19 @@
+// components/SortHeader.js
+
+/* <th> that sorts its table; sort is "col" (ascending) or "-col" */
+export default function SortHeader({ column, sort, onSort, children }) {
+  if (!column) return <th>{children}</th>;
+
+  const active = sort.replace(/^-/, '') === column;
+  const desc   = sort.startsWith('-');
+  const next   = active && !desc ? `-${column}` : column;
+
+  return (
+    <th aria-sort={active ? (desc ? 'descending' : 'ascending') : 'none'}>
+      <button onClick={() => onSort(next)} className="font-medium hover:text-emerald-700">
+        {children}
+        <span className="ml-1 text-xs">{active ? (desc ? '▼' : '▲') : '↕'}</span>
+      </button>
+    </th>
+  );
+}
@@ -0,0 +1,49 @@
+// components/TableToolbar.js
+import { useEffect, useState } from 'react';
+import { ADMIN_TABLES } from '../lib/tables';
+
+/* search box + one select per filter of an ADMIN_TABLES entry
+   options: { [filter key]: [{ value, label }] } for page-supplied lists */
+export default function TableToolbar({ table, state, options = {}, onChange, children }) {
+  const def = ADMIN_TABLES[table];
+  const [q, setQ] = useState(state.q);
+
+  /* debounced so typing doesn't requery (and rewrite the URL) per key */
+  useEffect(() => { setQ(state.q); }, [state.q]);
+  useEffect(() => {
+    if (q.trim() === state.q) return;
+    const t = setTimeout(() => onChange({ q: q.trim() }), 350);
+    return () => clearTimeout(t);
+  }, [q]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <input
+        type="search"
+        value={q}
+        onChange={(e) => setQ(e.target.value)}
+        placeholder={`Search ${def.search}…`}
+        className="border p-1 rounded w-48"
+      />
+      {Object.entries(def.filters).map(([key, f]) => {
+        const opts = f.options || options[key];
+        if (!opts) return null;
+        return (
+          <select
+            key={key}
+            value={state.filters[key]}
+            onChange={(e) => onChange({ filters: { ...state.filters, [key]: e.target.value } })}
+            className="border p-1 rounded"
+            aria-label={f.label}
+          >
+            <option value="">{f.label}: any</option>
+            {opts.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        );
+      })}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+// components/Toast.js
+import { useEffect } from 'react';
+
+/* small self-dismissing notice; `toast` = { id, text, action?, onAction? } */
+export default function Toast({ toast, onDone, duration = 5000 }) {
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(onDone, duration);
+    return () => clearTimeout(t);
+  }, [toast, onDone, duration]);
+
+  if (!toast) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-24 left-1/2 -translate-x-1/2 z-[150] flex items-center gap-3 bg-gray-900/90 text-white text-sm px-4 py-2 rounded-full shadow-lg"
+    >
+      <span>{toast.text}</span>
+      {toast.action && (
+        <button
+          onClick={() => { toast.onAction(); onDone(); }}
+          className="underline text-emerald-300"
+        >
+          {toast.action}
+        </button>
+      )}
+    </div>
+  );
+}
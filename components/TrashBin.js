@@ -0,0 +1,106 @@
+// components/TrashBin.js
+import { useEffect, useState } from 'react';
+import {
+  TRASH_KINDS,
+  TRASH_RETENTION_DAYS,
+  trashKindOf,
+  fetchTrash,
+  restoreRows,
+  purgeRows,
+  purgeDate,
+} from '../lib/trash';
+
+/* admins: deleted sightings / sanctuaries, newest first, with the
+   reason they were deleted. Restore puts a row back where it was;
+   "Delete forever" skips the rest of the retention period. */
+export default function TrashBin({ refreshKey, onChanged }) {
+  const [kind, setKind] = useState(TRASH_KINDS[0].value);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    let stale = false;
+    setLoading(true);
+    fetchTrash(kind).then(({ data, error }) => {
+      if (stale) return;
+      if (error) alert(error.message);
+      setRows(data || []);
+      setLoading(false);
+    });
+    return () => { stale = true; };
+  }, [kind, refreshKey, reload]);
+
+  const { title } = trashKindOf(kind);
+
+  const restore = async (r) => {
+    const { error } = await restoreRows(kind, [r.id]);
+    if (error) return alert(`Restore failed: ${error.message}`);
+    setReload(k => k + 1);
+    onChanged?.();
+  };
+
+  const purge = async (r) => {
+    if (!confirm(`Permanently delete "${title(r)}"? This cannot be undone.`)) return;
+    const { error } = await purgeRows(kind, [r.id]);
+    if (error) return alert(`Delete failed: ${error.message}`);
+    setReload(k => k + 1);
+  };
+
+  return (
+    <section>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <div className="flex border rounded overflow-hidden">
+          {TRASH_KINDS.map((k) => (
+            <button
+              key={k.value}
+              onClick={() => setKind(k.value)}
+              className={`px-3 py-1 ${kind === k.value ? 'bg-emerald-600 text-white' : 'bg-white'}`}
+            >
+              {k.label}
+            </button>
+          ))}
+        </div>
+        <span className="text-gray-500">
+          Deleted items are removed for good after {TRASH_RETENTION_DAYS} days.
+        </span>
+      </div>
+
+      {loading ? (
+        <p>Loading…</p>
+      ) : !rows.length ? (
+        <p>The trash is empty.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left">
+              <th>Item</th><th>Deleted</th><th>By</th><th>Reason</th><th>Purged on</th><th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} className="border-t align-top">
+                <td className="max-w-xs truncate">
+                  {title(r)}
+                  {r.sanctuaries?.name && <span className="text-gray-500"> · {r.sanctuaries.name}</span>}
+                </td>
+                <td>{new Date(r.deleted_at).toLocaleString()}</td>
+                <td>{r.deleter?.email || '—'}</td>
+                <td className="max-w-xs">{r.deletion_reason || '—'}</td>
+                <td>{purgeDate(r).toLocaleDateString()}</td>
+                <td className="space-x-2 whitespace-nowrap">
+                  <button onClick={() => restore(r)} className="px-2 py-0.5 border rounded">
+                    Restore
+                  </button>
+                  <button onClick={() => purge(r)} className="px-2 py-0.5 border rounded text-red-600">
+                    Delete forever
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
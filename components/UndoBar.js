@@ -0,0 +1,27 @@
+// components/UndoBar.js
+import { useEffect, useState } from 'react';
+
+/* "Closed 12 reports · Undo (7)" — counts down to `until` (ms timestamp);
+   the page owns the timer that actually commits */
+export default function UndoBar({ text, until, onUndo }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(t);
+  }, [until]);
+
+  const left = Math.max(0, Math.ceil((until - now) / 1000));
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[150] flex items-center gap-3 bg-gray-900/90 text-white text-sm px-4 py-2 rounded-full shadow-lg"
+    >
+      <span>{text}</span>
+      <button onClick={onUndo} className="underline text-emerald-300">
+        Undo ({left})
+      </button>
+    </div>
+  );
+}
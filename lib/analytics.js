@@ -0,0 +1,130 @@
+// lib/analytics.js
+import { seenDate, weekStart, toDay } from './filters';
+import { gridCell } from './hotspots';
+
+/* Pure aggregations behind the admin Analytics tab. Inputs are plain
+   rows from `sightings` / `sighting_events`; nothing here queries. */
+
+/* statuses that end a case (see CASE_STATUSES in lib/cases.js) */
+export const CLOSED_STATUSES = ['released', 'adopted', 'closed'];
+
+/* ~1 km cells for the geographic breakdown */
+export const AREA_CELL_M = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function median(values) {
+  const v = values.filter((x) => x != null && !isNaN(x)).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+/* ---------- reports over time ----------
+   One point per day or week between from and to (inclusive, YYYY-MM-DD),
+   empty buckets included so gaps show as zero. */
+export function reportsOverTime(sightings, { from, to, bucket = 'day' }) {
+  const keyOf = (d) => toDay(bucket === 'week' ? weekStart(d) : d);
+  const counts = {};
+  sightings.forEach((s) => {
+    const k = keyOf(seenDate(s));
+    counts[k] = (counts[k] || 0) + 1;
+  });
+
+  const points = [];
+  const end = new Date(`${to}T00:00`);
+  const d = bucket === 'week' ? weekStart(new Date(`${from}T00:00`)) : new Date(`${from}T00:00`);
+  for (; d <= end; d.setDate(d.getDate() + (bucket === 'week' ? 7 : 1))) {
+    const k = toDay(d);
+    points.push({
+      date:  k,
+      label: d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+      value: counts[k] || 0,
+    });
+  }
+  return points;
+}
+
+export function injuredShare(sightings) {
+  if (!sightings.length) return null;
+  const injured = sightings.filter((s) => s.behaviour === 'injured').length;
+  return Math.round((injured / sightings.length) * 100);
+}
+
+/* ---------- response time ----------
+   Hours from the report arriving to the first case event (status moved
+   on, or someone assigned). Unanswered reports are left out. */
+export function firstResponseHours(sightings, events) {
+  const first = {};
+  events.forEach((e) => {
+    const t = new Date(e.created_at).getTime();
+    if (!(e.sighting_id in first) || t < first[e.sighting_id]) first[e.sighting_id] = t;
+  });
+  return sightings
+    .filter((s) => s.id in first)
+    .map((s) => Math.max(0, (first[s.id] - new Date(s.created_at).getTime()) / HOUR_MS));
+}
+
+/* ---------- closed cases ----------
+   Per sanctuary: cases currently in a closed status.
+   Per caregiver: whoever moved the case into a closed status (falls back
+   to the assignee when the event has no actor, e.g. a deleted profile). */
+export function closedBySanctuary(sightings, sanctuaryName) {
+  const counts = {};
+  sightings
+    .filter((s) => CLOSED_STATUSES.includes(s.status))
+    .forEach((s) => {
+      const k = s.sanctuary_id == null ? 'Outside any service area' : sanctuaryName(s.sanctuary_id);
+      counts[k] = (counts[k] || 0) + 1;
+    });
+  return toBars(counts);
+}
+
+export function closedByCaregiver(sightings, events, email) {
+  const closer = {};
+  events
+    .filter((e) => e.field === 'status' && CLOSED_STATUSES.includes(e.to_value))
+    .forEach((e) => { closer[e.sighting_id] = e.actor_id; });   // events come oldest first
+
+  const counts = {};
+  sightings
+    .filter((s) => CLOSED_STATUSES.includes(s.status))
+    .forEach((s) => {
+      const who = closer[s.id] || s.assignee_id;
+      const k = who ? email(who) : 'Unassigned';
+      counts[k] = (counts[k] || 0) + 1;
+    });
+  return toBars(counts);
+}
+
+/* ---------- people + places ---------- */
+export function topReporters(sightings, email, n = 10) {
+  const counts = {};
+  sightings.forEach((s) => {
+    if (s.user_id) counts[s.user_id] = (counts[s.user_id] || 0) + 1;
+  });
+  return toBars(counts)
+    .slice(0, n)
+    .map((b) => ({ ...b, id: b.label, label: email(b.label) }));
+}
+
+/* busiest ~1 km cells, labelled by their centre */
+export function areaBreakdown(sightings, n = 10) {
+  const cells = {};
+  sightings.forEach((s) => {
+    const lat = parseFloat(s.latitude);
+    const lng = parseFloat(s.longitude);
+    if (isNaN(lat) || isNaN(lng)) return;
+    const c = gridCell(lat, lng, AREA_CELL_M);
+    cells[c.key] ||= { label: `${c.lat.toFixed(3)}, ${c.lng.toFixed(3)}`, lat: c.lat, lng: c.lng, value: 0, injured: 0 };
+    cells[c.key].value += 1;
+    if (s.behaviour === 'injured') cells[c.key].injured += 1;
+  });
+  return Object.values(cells).sort((a, b) => b.value - a.value).slice(0, n);
+}
+
+/* { label: count } → [{ label, value }] largest first */
+const toBars = (counts) =>
+  Object.entries(counts)
+    .map(([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value);
@@ -0,0 +1,65 @@
+// lib/audit.js
+import { supabase } from './supabaseClient';
+
+/* Reading the audit trail. Entries are written by the audit_row()
+   triggers (supabase/migrations) for every admin / caregiver change, so
+   nothing here writes. */
+
+/* audit_log.entity → label; also the Audit tab's entity filter */
+export const AUDIT_ENTITIES = [
+  { value: 'sanctuaries',           label: 'Sanctuary' },
+  { value: 'caregiver_assignments', label: 'Sanctuary caregiver' },
+  { value: 'profiles',              label: 'User' },
+  { value: 'sightings',             label: 'Sighting' },
+  { value: 'cats',                  label: 'Cat' },
+  { value: 'colonies',              label: 'Colony' },
+  { value: 'colony_caregivers',     label: 'Colony caregiver' },
+];
+
+export const AUDIT_ACTIONS = [
+  { value: 'insert', label: 'Created' },
+  { value: 'update', label: 'Changed' },
+  { value: 'delete', label: 'Deleted' },
+];
+
+export const entityLabel = (v) => AUDIT_ENTITIES.find((e) => e.value === v)?.label || v;
+export const actionLabel = (v) => AUDIT_ACTIONS.find((a) => a.value === v)?.label || v;
+
+/* what each row's history covers: assignments are logged against the
+   sanctuary (entity_id = sanctuary_id) */
+const HISTORY_ENTITIES = {
+  sanctuaries: ['sanctuaries', 'caregiver_assignments'],
+  profiles:    ['profiles'],
+};
+
+export function fetchEntityHistory(entity, id, { limit = 100 } = {}) {
+  return supabase
+    .from('audit_log')
+    .select('*')
+    .in('entity', HISTORY_ENTITIES[entity] || [entity])
+    .eq('entity_id', String(id))
+    .order('created_at', { ascending: false })
+    .limit(limit);
+}
+
+/* ---------- diff → rows ----------
+   [{ field, before, after }] with values ready to print. Inserts and
+   deletes carry the whole row on one side. */
+const show = (v) => {
+  if (v === null || v === undefined || v === '') return '—';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+};
+
+export function auditChanges(entry) {
+  const before = entry.before || {};
+  const after  = entry.after || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map((field) => ({ field, before: show(before[field]), after: show(after[field]) }));
+}
+
+/* one line for lists: "name, phone" / "Created" / "Deleted" */
+export function auditSummary(entry) {
+  if (entry.action !== 'update') return actionLabel(entry.action);
+  return Object.keys(entry.after || {}).join(', ');
+}
@@ -0,0 +1,101 @@
+// lib/bulk.js
+import { supabase } from './supabaseClient';
+import { CASE_STATUSES, statusOf } from './cases';
+import { VISIBILITY_OPTIONS } from './sightings';
+import { trashRows } from './trash';
+
+/* Bulk actions on admin sightings. Nothing is written straight away:
+   the page shows the result optimistically (applyPending) and only
+   calls commitBulk once the undo window has passed. */
+
+export const UNDO_MS = 8000;
+
+/* `admin`: only admins get the action (mirrors the update/delete RLS and
+   guard_sighting_caregiver(), which keeps caregivers to case columns) */
+export const BULK_ACTIONS = [
+  { value: 'status',     label: 'Set status',        admin: false },
+  { value: 'assignee',   label: 'Assign caregiver',  admin: false },
+  { value: 'sanctuary',  label: 'Move to sanctuary', admin: true  },
+  { value: 'visibility', label: 'Set visibility',    admin: true  },
+  { value: 'delete',     label: 'Delete',            admin: true  },
+];
+
+export const bulkActionsFor = (role) =>
+  BULK_ACTIONS.filter((a) => !a.admin || role === 'admin');
+
+const statusIndex = (v) => CASE_STATUSES.findIndex((s) => s.value === v);
+
+/* ---------- plan ----------
+   rows: the selected sightings. value: the chosen status / caregiver id /
+   sanctuary id / visibility ('' = unassign / unroute).
+   Returns { action, value, ids, skipped, patch, summary }; `skipped`
+   counts rows left alone because the action wouldn't change them (or,
+   for status, would move them backwards). */
+export function planBulk(action, rows, value, { caregivers = [], sanctuaries = [] } = {}) {
+  let patch = null;
+  let label = '';
+  let keep = () => true;
+
+  if (action === 'status') {
+    patch = { status: value };
+    label = `status → ${statusOf(value).label}`;
+    /* cases only move forward (see nextStatuses) */
+    keep = (r) => statusIndex(r.status) < statusIndex(value);
+  } else if (action === 'assignee') {
+    patch = { assignee_id: value || null };
+    label = value ? `assign to ${caregivers.find((c) => c.id === value)?.email || value}` : 'unassign';
+    keep = (r) => (r.assignee_id || null) !== patch.assignee_id;
+  } else if (action === 'sanctuary') {
+    patch = { sanctuary_id: value ? Number(value) : null };
+    label = value
+      ? `move to ${sanctuaries.find((s) => String(s.id) === String(value))?.name || `#${value}`}`
+      : 'mark outside any service area';
+    keep = (r) => (r.sanctuary_id ?? null) !== patch.sanctuary_id;
+  } else if (action === 'visibility') {
+    patch = { visibility: value };
+    label = `visibility → ${VISIBILITY_OPTIONS.find((v) => v.value === value)?.label || value}`;
+    keep = (r) => r.visibility !== value;
+  } else if (action === 'delete') {
+    label = 'delete';
+  }
+
+  const ids     = rows.filter(keep).map((r) => r.id);
+  const skipped = rows.length - ids.length;
+  const n = (k) => `${k} report${k === 1 ? '' : 's'}`;
+
+  return {
+    action,
+    value,
+    ids,
+    patch,
+    skipped,
+    summary: `${label[0].toUpperCase()}${label.slice(1)}: ${n(ids.length)}` +
+      (skipped ? ` (${n(skipped)} unchanged)` : ''),
+  };
+}
+
+/* ---------- optimistic view ----------
+   rows as they'll look once `plan` is committed */
+export function applyPending(rows, plan, { sanctuaries = [] } = {}) {
+  if (!plan) return rows;
+  const ids = new Set(plan.ids);
+  if (plan.action === 'delete') return rows.filter((r) => !ids.has(r.id));
+
+  const joined = plan.action === 'sanctuary'
+    ? { sanctuaries: sanctuaries.find((s) => s.id === plan.patch.sanctuary_id) || null }
+    : {};
+  return rows.map((r) => (ids.has(r.id) ? { ...r, ...plan.patch, ...joined } : r));
+}
+
+/* ---------- commit ----------
+   Deletes move the rows to the trash with one reason, like
+   MapView.handleDelete; deletion_logs and case history rows come from
+   the sightings triggers. Resolves to { error }. */
+export async function commitBulk(plan, { reason } = {}) {
+  if (!plan.ids.length) return { error: null };
+
+  if (plan.action === 'delete') return trashRows('sightings', plan.ids, reason);
+
+  const { error } = await supabase.from('sightings').update(plan.patch).in('id', plan.ids);
+  return { error };
+}
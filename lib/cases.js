@@ -0,0 +1,58 @@
+// lib/cases.js
+import { supabase } from './supabaseClient';
+
+/* case lifecycle, in order (value stored in sightings.status) */
+export const CASE_STATUSES = [
+  { value: 'new',          label: 'New',            badge: 'bg-red-100 text-red-800' },
+  { value: 'acknowledged', label: 'Acknowledged',   badge: 'bg-amber-100 text-amber-800' },
+  { value: 'trap_set',     label: 'Trap set',       badge: 'bg-amber-100 text-amber-800' },
+  { value: 'at_vet',       label: 'At vet',         badge: 'bg-sky-100 text-sky-800' },
+  { value: 'released',     label: "TNR'd / released", badge: 'bg-emerald-100 text-emerald-800' },
+  { value: 'adopted',      label: 'Adopted',        badge: 'bg-emerald-100 text-emerald-800' },
+  { value: 'closed',       label: 'Closed',         badge: 'bg-gray-200 text-gray-700' },
+];
+
+export const statusOf = (value) =>
+  CASE_STATUSES.find((s) => s.value === value) ?? CASE_STATUSES[0];
+
+/* still needs someone (the rest end a case, cf. CLOSED_STATUSES) */
+export const OPEN_STATUSES = ['new', 'acknowledged', 'trap_set', 'at_vet'];
+
+const stage = (s) => CASE_STATUSES.findIndex((c) => c.value === s.status);
+
+/* queue order: injured first, then least far along, then longest waiting */
+export function byUrgency(a, b) {
+  const injured = (b.behaviour === 'injured') - (a.behaviour === 'injured');
+  if (injured) return injured;
+  if (stage(a) !== stage(b)) return stage(a) - stage(b);
+  return new Date(a.seen_at || a.created_at) - new Date(b.seen_at || b.created_at);
+}
+
+/* a case only moves forward; any later status may be skipped to */
+export function nextStatuses(current) {
+  const i = CASE_STATUSES.findIndex((s) => s.value === current);
+  return CASE_STATUSES.slice(i + 1);
+}
+
+/* mirrors guard_sighting_case() in supabase/migrations */
+export const canWorkCases = (role) => ['caregiver', 'admin'].includes(role);
+
+/* ---------- mutations ----------
+   History rows are written by a database trigger, so callers only
+   update the sighting itself. Resolves to { data, error }. */
+export function updateCase(sightingId, patch) {
+  return supabase
+    .from('sightings')
+    .update(patch)
+    .eq('id', sightingId)
+    .select()
+    .single();
+}
+
+export function fetchCaseHistory(sightingId) {
+  return supabase
+    .from('sighting_events')
+    .select('id, field, from_value, to_value, created_at, actor:profiles ( email )')
+    .eq('sighting_id', sightingId)
+    .order('created_at', { ascending: true });
+}
@@ -0,0 +1,125 @@
+// lib/cats.js
+import { supabase } from './supabaseClient';
+import { uploadImage } from './storage';
+
+/* value stored in cats.sex */
+export const SEXES = [
+  { value: 'unknown', label: 'Unknown' },
+  { value: 'female',  label: 'Female' },
+  { value: 'male',    label: 'Male' },
+];
+
+/* value stored in cats.neuter_status */
+export const NEUTER_STATUSES = [
+  { value: 'unknown',   label: 'Unknown' },
+  { value: 'intact',    label: 'Intact' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'neutered',  label: 'Neutered' },
+];
+
+/* suggestions only; cats.coat_pattern is free text */
+export const COAT_PATTERNS = [
+  'Solid', 'Tabby', 'Tortoiseshell', 'Calico', 'Bicolour', 'Colourpoint', 'Tuxedo',
+];
+
+export const MAX_CAT_PHOTOS = 6;
+
+/* ---------- validation ----------
+   Returns an error message, or null when the profile is OK. */
+export function validateCat({ name, sex, microchip, neuter_status = 'unknown' }) {
+  if (!name?.trim()) return 'Name required';
+  if (!SEXES.some((s) => s.value === sex)) return 'Unknown sex';
+  if (!NEUTER_STATUSES.some((s) => s.value === neuter_status)) return 'Unknown neuter status';
+  if (microchip && !/^\d{9,15}$/.test(microchip.trim())) {
+    return 'Microchip number should be 9–15 digits';
+  }
+  return null;
+}
+
+/* ear-tipped cats are neutered; neutered_at only set once neutered */
+function neuterFields({ ear_tipped, neuter_status = 'unknown', neutered_at }) {
+  const status = ear_tipped && neuter_status === 'unknown' ? 'neutered' : neuter_status;
+  const today  = new Date().toISOString().slice(0, 10);
+  return {
+    neuter_status: status,
+    neutered_at:   status === 'neutered' ? neutered_at || today : null,
+  };
+}
+
+/* quick roster edits (neuter status, colony) */
+export function updateCat(id, patch) {
+  const row = 'neuter_status' in patch ? { ...patch, ...neuterFields(patch) } : patch;
+  return supabase.from('cats').update(row).eq('id', id).select().single();
+}
+
+/* ---------- create / update ----------
+   `photoFiles` are uploaded and appended to photo_urls.
+   Resolves to { data, error } like a supabase query. */
+export async function saveCat(cat, { photoFiles = [], userId } = {}) {
+  const invalid = validateCat(cat);
+  if (invalid) return { data: null, error: new Error(invalid) };
+
+  const urls = [...(cat.photo_urls || [])];
+  for (const file of photoFiles) {
+    const { url, error } = await uploadImage('cats', file, { thumbnail: false });
+    if (error) return { data: null, error: new Error('Photo upload failed') };
+    urls.push(url);
+  }
+
+  const row = {
+    name:         cat.name.trim(),
+    coat_colour:  cat.coat_colour?.trim() || null,
+    coat_pattern: cat.coat_pattern?.trim() || null,
+    sex:          cat.sex,
+    ear_tipped:   !!cat.ear_tipped,
+    ...neuterFields(cat),
+    microchip:    cat.microchip?.trim() || null,
+    photo_urls:   urls.slice(0, MAX_CAT_PHOTOS),
+    notes:        cat.notes?.trim() || null,
+  };
+
+  if (cat.id) {
+    return supabase.from('cats').update(row).eq('id', cat.id).select().single();
+  }
+  return supabase
+    .from('cats')
+    .insert({ ...row, created_by: userId })
+    .select()
+    .single();
+}
+
+/* ---------- linking sightings ---------- */
+export function linkSighting(sightingId, catId) {
+  return supabase
+    .from('sightings')
+    .update({ cat_id: catId })
+    .eq('id', sightingId)
+    .select()
+    .single();
+}
+
+/* new profile seeded from a sighting (its photo becomes the first) */
+export async function createCatFromSighting(sighting, cat, opts) {
+  const seeded = {
+    ...cat,
+    photo_urls: sighting.photo_url ? [sighting.photo_url] : [],
+  };
+  const { data, error } = await saveCat(seeded, opts);
+  if (error) return { data, error };
+
+  const link = await linkSighting(sighting.id, data.id);
+  if (link.error) return { data: null, error: link.error };
+  return { data, error: null };
+}
+
+/* name / microchip search for the link picker */
+export function searchCats(term) {
+  let q = supabase
+    .from('cats')
+    .select('id, name, coat_colour, coat_pattern, microchip, photo_urls, colony_id, neuter_status')
+    .order('name')
+    .limit(20);
+  const t = term.trim().replace(/[,()]/g, ' ');
+  if (t) q = q.or(`name.ilike.%${t}%,microchip.ilike.%${t}%`);
+  return q;
+}
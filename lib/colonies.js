@@ -0,0 +1,130 @@
+// lib/colonies.js
+import { supabase } from './supabaseClient';
+import { haversineKm } from './geo';
+
+export const DEFAULT_RADIUS_M = 150;
+
+/* sightings this far outside a colony's radius are still suggested */
+const SUGGEST_MARGIN_M = 50;
+
+/* ---------- validation ----------
+   Returns an error message, or null when the colony is OK. */
+export function validateColony({ name, latitude, longitude, radius_m, estimated_count, feeding_times = [] }) {
+  if (!name?.trim()) return 'Name required';
+  if (latitude === '' || longitude === '' || isNaN(latitude) || isNaN(longitude)) {
+    return 'Location required';
+  }
+  if (!(Number(radius_m) > 0)) return 'Radius must be greater than 0';
+  if (estimated_count !== '' && estimated_count != null &&
+      !(Number.isInteger(Number(estimated_count)) && Number(estimated_count) >= 0)) {
+    return 'Estimated headcount must be a whole number';
+  }
+  if (feeding_times.some((t) => !/^\d{2}:\d{2}$/.test(t))) return 'Feeding times must be HH:MM';
+  return null;
+}
+
+/* ---------- reads ---------- */
+export function fetchColonies() {
+  return supabase
+    .from('colonies')
+    .select('*, colony_caregivers ( caregiver_id ), cats ( id, neuter_status )')
+    .order('name');
+}
+
+export function fetchColony(id) {
+  return supabase
+    .from('colonies')
+    .select('*, colony_caregivers ( caregiver_id ), cats ( * )')
+    .eq('id', id)
+    .single();
+}
+
+/* ---------- create / update ----------
+   Caregiver links are replaced wholesale. Resolves to { data, error }. */
+export async function saveColony(colony, caregiverIds = []) {
+  const invalid = validateColony(colony);
+  if (invalid) return { data: null, error: new Error(invalid) };
+
+  const row = {
+    name:            colony.name.trim(),
+    latitude:        Number(colony.latitude),
+    longitude:       Number(colony.longitude),
+    radius_m:        Number(colony.radius_m),
+    estimated_count: colony.estimated_count === '' ? null : Number(colony.estimated_count),
+    feeding_times:   [...colony.feeding_times].sort(),
+    feeding_notes:   colony.feeding_notes?.trim() || null,
+    sanctuary_id:    colony.sanctuary_id || null,
+  };
+
+  const { data, error } = colony.id
+    ? await supabase.from('colonies').update(row).eq('id', colony.id).select().single()
+    : await supabase.from('colonies').insert(row).select().single();
+  if (error) return { data, error };
+
+  await supabase.from('colony_caregivers').delete().eq('colony_id', data.id);
+  if (caregiverIds.length) {
+    const links = caregiverIds.map((cid) => ({ colony_id: data.id, caregiver_id: cid }));
+    const { error: linkErr } = await supabase.from('colony_caregivers').insert(links);
+    if (linkErr) return { data: null, error: linkErr };
+  }
+  return { data, error: null };
+}
+
+export function linkSightingToColony(sightingId, colonyId) {
+  return supabase
+    .from('sightings')
+    .update({ colony_id: colonyId })
+    .eq('id', sightingId);
+}
+
+/* ---------- sterilisation ----------
+   Headline share counts unrostered cats (estimated_count) as intact. */
+export function sterilisedShare(colony) {
+  const roster   = colony.cats || [];
+  const neutered = roster.filter((c) => c.neuter_status === 'neutered').length;
+  const total    = Math.max(roster.length, colony.estimated_count || 0);
+  return {
+    neutered,
+    total,
+    pct: total ? Math.round((neutered / total) * 100) : null,
+  };
+}
+
+/* month-end points: share of cats on the roster by then that were
+   neutered by then (roster date = cats.created_at) */
+export function sterilisationSeries(cats, months = 12) {
+  const now = new Date();
+  const out = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const end = new Date(now.getFullYear(), now.getMonth() - i + 1, 0, 23, 59, 59);
+    const onRoster = cats.filter((c) => new Date(c.created_at) <= end);
+    const done = onRoster.filter(
+      (c) => c.neuter_status === 'neutered' && c.neutered_at && new Date(c.neutered_at) <= end
+    );
+    out.push({
+      date:  end,
+      total: onRoster.length,
+      pct:   onRoster.length ? Math.round((done.length / onRoster.length) * 100) : null,
+    });
+  }
+  return out;
+}
+
+/* ---------- link suggestions ----------
+   Sightings inside (or just outside) the colony that aren't linked yet. */
+export function suggestSightings(colony, sightings) {
+  const reach = (colony.radius_m + SUGGEST_MARGIN_M) / 1000;
+  return sightings
+    .filter((s) => s.colony_id == null)
+    .map((s) => ({
+      ...s,
+      distance_m: Math.round(
+        haversineKm(
+          Number(colony.latitude), Number(colony.longitude),
+          Number(s.latitude), Number(s.longitude)
+        ) * 1000
+      ),
+    }))
+    .filter((s) => s.distance_m <= reach * 1000)
+    .sort((a, b) => a.distance_m - b.distance_m);
+}
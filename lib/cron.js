@@ -0,0 +1,12 @@
+// lib/cron.js
+// Scheduled API routes are called with "Authorization: Bearer $CRON_SECRET".
+
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  return !!secret && req.headers.authorization === `Bearer ${secret}`;
+}
+
+/* retry delay after the nth failed attempt: 1, 2, 4 … capped at an hour */
+export const retryDelayMinutes = (attempts) => Math.min(2 ** (attempts - 1), 60);
+
+export const minutesFromNow = (min) => new Date(Date.now() + min * 60000).toISOString();
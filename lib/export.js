@@ -0,0 +1,240 @@
+// lib/export.js
+import { polygonsOf } from './geo';
+import { parseJSON } from './sanctuaries';
+
+/* Browser-side downloads: CSV / GeoJSON / KML datasets and PNG
+   snapshots of SVG charts. */
+
+/* ---------- download ---------- */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* YYYY-MM-DD, for filenames */
+export const fileStamp = (d = new Date()) => d.toISOString().slice(0, 10);
+
+/* ---------- CSV ----------
+   columns: [{ key, label }] or [key]; a key may also be a row => value fn
+   (then label is required). Cells are quoted per RFC 4180.
+   Text that a spreadsheet would run as a formula (leading = + - @, tab
+   or CR) gets a ' in front; lib/importer.js strips it again. Numbers
+   are left alone so negative coordinates stay numeric. */
+export const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  if (typeof v !== 'number' && CSV_FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const valueOf = (row, key) => (typeof key === 'function' ? key(row) : row[key]);
+
+export function toCsv(rows, columns) {
+  const cols = columns.map((c) => (typeof c === 'string' ? { key: c, label: c } : c));
+  return [
+    cols.map((c) => csvCell(c.label)).join(','),
+    ...rows.map((r) => cols.map((c) => csvCell(valueOf(r, c.key))).join(',')),
+  ].join('\r\n');
+}
+
+/* leading BOM so Excel opens UTF-8 (Greek notes, emoji) correctly */
+export const downloadCsv = (rows, columns, filename) =>
+  downloadBlob(new Blob(['\uFEFF', toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), filename);
+
+/* ---------- PNG from an inline <svg> ----------
+   currentColor is resolved against the page before serialising, and a
+   white background is painted so the image reads outside the app. */
+export async function downloadSvgAsPng(svg, filename, scale = 2) {
+  const { width, height } = svg.viewBox.baseVal;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.style.color = getComputedStyle(svg).color;
+  clone.style.fontFamily = getComputedStyle(svg).fontFamily;
+
+  const url = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' })
+  );
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    downloadBlob(blob, filename);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/* ---------- GeoJSON ----------
+   features: [{ lat, lng, polygons?, properties }] where polygons is a
+   list of polygons (each a list of [lng, lat] rings, see polygonsOf). */
+export function toGeoJson(features) {
+  return {
+    type: 'FeatureCollection',
+    features: features.flatMap(({ lat, lng, polygons = [], properties }) => [
+      {
+        type:     'Feature',
+        geometry: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+        properties,
+      },
+      ...(polygons.length ? [{
+        type:     'Feature',
+        geometry: polygons.length === 1
+          ? { type: 'Polygon', coordinates: polygons[0] }
+          : { type: 'MultiPolygon', coordinates: polygons },
+        properties: { ...properties, feature: 'service_area' },
+      }] : []),
+    ]),
+  };
+}
+
+export const downloadGeoJson = (features, filename) =>
+  downloadBlob(
+    new Blob([JSON.stringify(toGeoJson(features), null, 2)], { type: 'application/geo+json' }),
+    filename
+  );
+
+/* ---------- KML (Google Earth) ----------
+   Same feature shape as toGeoJson; `name` becomes the placemark title
+   and every property is kept as ExtendedData. */
+const xml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const kmlRing = (ring) => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+const kmlPolygon = ([outer, ...holes]) =>
+  '<Polygon>' +
+  `<outerBoundaryIs><LinearRing><coordinates>${kmlRing(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+  holes.map((h) =>
+    `<innerBoundaryIs><LinearRing><coordinates>${kmlRing(h)}</coordinates></LinearRing></innerBoundaryIs>`
+  ).join('') +
+  '</Polygon>';
+
+export function toKml(features, { title = 'Ela Kitty' } = {}) {
+  const placemarks = features.map(({ lat, lng, polygons = [], name, properties }) => {
+    const point = `<Point><coordinates>${Number(lng)},${Number(lat)},0</coordinates></Point>`;
+    const geometry = polygons.length
+      ? `<MultiGeometry>${point}${polygons.map(kmlPolygon).join('')}</MultiGeometry>`
+      : point;
+    const data = Object.entries(properties)
+      .filter(([, v]) => v != null && v !== '')
+      .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(v)}</value></Data>`)
+      .join('');
+    return `<Placemark><name>${xml(name)}</name><ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${xml(title)}</name>\n${placemarks.join('\n')}\n</Document></kml>\n`;
+}
+
+export const downloadKml = (features, filename, opts) =>
+  downloadBlob(
+    new Blob([toKml(features, opts)], { type: 'application/vnd.google-earth.kml+xml' }),
+    filename
+  );
+
+/* ---------- datasets ----------
+   Rows are whatever the admin tabs already loaded, so exports follow
+   the active filters and the viewer's read permissions (RLS). */
+export const EXPORT_FORMATS = [
+  { value: 'csv',     label: 'CSV' },
+  { value: 'geojson', label: 'GeoJSON' },
+  { value: 'kml',     label: 'KML' },
+];
+
+const emailOf = (people, id) => people.find((p) => p.id === id)?.email ?? null;
+
+/* coordinates live in the geometry, everything else in properties */
+const propertiesOf = (row, columns) => Object.fromEntries(columns
+  .filter((c) => c.label !== 'latitude' && c.label !== 'longitude')
+  .map((c) => [c.label, valueOf(row, c.key)]));
+
+function download(format, { rows, columns, features, name, title }) {
+  const file = `${name}-${fileStamp()}.${format}`;
+  if (format === 'csv')     return downloadCsv(rows, columns, file);
+  if (format === 'geojson') return downloadGeoJson(features, file);
+  if (format === 'kml')     return downloadKml(features, file, { title });
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/* reporter ids are only exported for admins */
+export function exportSightings(rows, format, { role, caregivers = [] } = {}) {
+  const columns = [
+    { key: 'id',         label: 'id' },
+    { key: 'seen_at',    label: 'seen_at' },
+    { key: 'created_at', label: 'created_at' },
+    { key: 'latitude',   label: 'latitude' },
+    { key: 'longitude',  label: 'longitude' },
+    { key: 'animals',    label: 'animals' },
+    { key: 'behaviour',  label: 'condition' },
+    { key: 'status',     label: 'status' },
+    { key: 'visibility', label: 'visibility' },
+    { key: (r) => r.sanctuaries?.name ?? null, label: 'sanctuary' },
+    { key: (r) => r.cats?.name ?? null,        label: 'cat' },
+    { key: (r) => emailOf(caregivers, r.assignee_id), label: 'assignee' },
+    { key: 'notes',      label: 'notes' },
+    { key: (r) => (r.photos?.length ? r.photos.map((p) => p.url) : [r.photo_url])
+        .filter(Boolean).join(' '), label: 'photos' },
+    ...(role === 'admin' ? [{ key: 'user_id', label: 'user_id' }] : []),
+  ];
+  const features = rows.map((r) => ({
+    lat:  r.latitude,
+    lng:  r.longitude,
+    name: `Sighting #${r.id}${r.behaviour === 'injured' ? ' (injured)' : ''}`,
+    properties: propertiesOf(r, columns),
+  }));
+  return download(format, { rows, columns, features, name: 'sightings', title: 'Ela Kitty sightings' });
+}
+
+/* boundary polygons go into GeoJSON / KML geometry, and into CSV as text */
+export function exportSanctuaries(rows, format, { caregivers = [] } = {}) {
+  const columns = [
+    { key: 'id',            label: 'id' },
+    { key: 'name',          label: 'name' },
+    { key: 'approved',      label: 'approved' },
+    { key: 'latitude',      label: 'latitude' },
+    { key: 'longitude',     label: 'longitude' },
+    { key: 'radius_km',     label: 'radius_km' },
+    { key: (s) => (s.services || []).join(' '), label: 'services' },
+    { key: 'contact_email', label: 'contact_email' },
+    { key: 'contact_phone', label: 'contact_phone' },
+    { key: 'website_url',   label: 'website_url' },
+    { key: 'donate_url',    label: 'donate_url' },
+    { key: (s) => (s.caregiver_assignments || [])
+        .map((a) => emailOf(caregivers, a.caregiver_id)).filter(Boolean).join(' '), label: 'caregivers' },
+  ];
+  const features = rows.map((s) => ({
+    lat:      s.latitude,
+    lng:      s.longitude,
+    polygons: polygonsOf(parseJSON(s.boundary)),
+    name:     s.name,
+    properties: propertiesOf(s, columns),
+  }));
+  const csvColumns = [
+    ...columns,
+    { key: (s) => (parseJSON(s.boundary) ? JSON.stringify(parseJSON(s.boundary)) : null), label: 'boundary_geojson' },
+  ];
+  return download(format, {
+    rows, columns: csvColumns, features, name: 'sanctuaries', title: 'Ela Kitty sanctuaries',
+  });
+}
@@ -0,0 +1,113 @@
+// lib/filters.js
+import { CONDITIONS, VISIBILITY_OPTIONS } from './sightings';
+import { CASE_STATUSES } from './cases';
+
+/* Sighting filters for the map. Kept flat and string-valued so they
+   round-trip through the /map query string unchanged:
+     from / to   YYYY-MM-DD, inclusive
+     condition   'injured' | 'normal' | ''
+     status      comma-separated case statuses
+     visibility  comma-separated visibility values
+     mine        '1' = only my reports
+     q           free text over notes
+     week        YYYY-MM-DD (Monday) picked on the time slider */
+export const DEFAULT_FILTERS = {
+  from:       '',
+  to:         '',
+  condition:  '',
+  status:     '',
+  visibility: '',
+  mine:       '',
+  q:          '',
+  week:       '',
+};
+
+const FILTER_KEYS = Object.keys(DEFAULT_FILTERS);
+
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/* ---------- query string ---------- */
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+const isDay = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+/* router.query → filters; unknown values are dropped, not trusted */
+export function parseFilters(query = {}) {
+  const out = { ...DEFAULT_FILTERS };
+  FILTER_KEYS.forEach((k) => {
+    const v = first(query[k]);
+    if (typeof v === 'string') out[k] = v.trim();
+  });
+
+  const keep = (csv, allowed) =>
+    csv.split(',').filter((v) => allowed.includes(v)).join(',');
+
+  if (!isDay(out.from)) out.from = '';
+  if (!isDay(out.to))   out.to   = '';
+  if (!isDay(out.week)) out.week = '';
+  if (!CONDITIONS.some((c) => c.value === out.condition)) out.condition = '';
+  out.status     = keep(out.status, CASE_STATUSES.map((s) => s.value));
+  out.visibility = keep(out.visibility, VISIBILITY_OPTIONS.map((v) => v.value));
+  out.mine       = out.mine === '1' ? '1' : '';
+  return out;
+}
+
+/* filters → query params, leaving out the empty ones */
+export function filtersToQuery(filters) {
+  const out = {};
+  FILTER_KEYS.forEach((k) => { if (filters[k]) out[k] = filters[k]; });
+  return out;
+}
+
+export const activeFilterCount = (filters) =>
+  FILTER_KEYS.filter((k) => k !== 'week' && filters[k]).length;
+
+/* ---------- matching ---------- */
+export const seenDate = (s) => new Date(s.seen_at || s.created_at);
+
+/* local midnight at the start of the day / Monday of the week */
+const dayStart = (ymd) => {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export function weekStart(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+export const toDay = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/* everything except the time-slider week */
+export function matchesFilters(s, filters, { userId } = {}) {
+  const seen = seenDate(s);
+  if (filters.from && seen < dayStart(filters.from)) return false;
+  if (filters.to   && seen >= new Date(dayStart(filters.to).getTime() + DAY_MS)) return false;
+  if (filters.condition && s.behaviour !== filters.condition) return false;
+  if (filters.status && !filters.status.split(',').includes(s.status || 'new')) return false;
+  if (filters.visibility && !filters.visibility.split(',').includes(s.visibility)) return false;
+  if (filters.mine && s.user_id !== userId) return false;
+  if (filters.q && !(s.notes || '').toLowerCase().includes(filters.q.toLowerCase())) return false;
+  return true;
+}
+
+export function inWeek(s, week) {
+  if (!week) return true;
+  const start = dayStart(week).getTime();
+  const t = seenDate(s).getTime();
+  return t >= start && t < start + WEEK_MS;
+}
+
+/* Mondays (YYYY-MM-DD) from the earliest to the latest sighting */
+export function weeksSpanned(sightings) {
+  if (!sightings.length) return [];
+  const times = sightings.map((s) => seenDate(s).getTime());
+  const last  = weekStart(new Date(Math.max(...times)));
+  const weeks = [];
+  for (let d = weekStart(new Date(Math.min(...times))); d <= last; d.setDate(d.getDate() + 7)) {
+    weeks.push(toDay(d));
+  }
+  return weeks;
+}
@@ -0,0 +1,111 @@
+// lib/geo.js
+import { parseJSON } from './sanctuaries';
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (d) => (d * Math.PI) / 180;
+
+/* ---------- great-circle distance in km ---------- */
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/* ---------- GeoJSON helpers ----------
+   Accepts a Feature, a bare Polygon/MultiPolygon geometry or a
+   FeatureCollection; returns a list of polygons (each a list of rings). */
+export function polygonsOf(gj) {
+  if (!gj) return [];
+  switch (gj.type) {
+    case 'FeatureCollection': return gj.features.flatMap(polygonsOf);
+    case 'Feature':           return polygonsOf(gj.geometry);
+    case 'Polygon':           return [gj.coordinates];
+    case 'MultiPolygon':      return gj.coordinates;
+    default:                  return [];
+  }
+}
+
+/* ray casting; ring is [[lng, lat], …] as in GeoJSON */
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) &&
+        lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function pointInPolygon(lat, lng, geojson) {
+  return polygonsOf(geojson).some(
+    ([outer, ...holes]) =>
+      inRing(lng, lat, outer) && !holes.some((h) => inRing(lng, lat, h))
+  );
+}
+
+/* spherical-excess approximation, good enough to rank service areas */
+function ringAreaKm2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    sum += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+export function polygonAreaKm2(geojson) {
+  return polygonsOf(geojson).reduce(
+    (total, [outer, ...holes]) =>
+      total + ringAreaKm2(outer) - holes.reduce((t, h) => t + ringAreaKm2(h), 0),
+    0
+  );
+}
+
+/* ---------- service-area test ----------
+   A sanctuary covers a point through its `boundary` polygon when it
+   has one, otherwise through `radius_km` around its centre. */
+export function serviceArea(sanctuary) {
+  const boundary = parseJSON(sanctuary.boundary);
+  if (boundary) {
+    return {
+      contains: (lat, lng) => pointInPolygon(lat, lng, boundary),
+      areaKm2:  polygonAreaKm2(boundary),
+    };
+  }
+  const r = Number(sanctuary.radius_km);
+  if (r > 0) {
+    const cLat = Number(sanctuary.latitude);
+    const cLng = Number(sanctuary.longitude);
+    return {
+      contains: (lat, lng) => haversineKm(cLat, cLng, lat, lng) <= r,
+      areaKm2:  Math.PI * r * r,
+    };
+  }
+  return null;
+}
+
+/* ---------- sighting → sanctuary ----------
+   Overlaps resolve to the smallest service area (the most local
+   sanctuary), then to the lowest id so the result is deterministic. */
+export function matchSanctuary(lat, lng, sanctuaries) {
+  let best = null;
+  sanctuaries.forEach((s) => {
+    const area = serviceArea(s);
+    if (!area || !area.contains(lat, lng)) return;
+    if (
+      !best ||
+      area.areaKm2 < best.areaKm2 ||
+      (area.areaKm2 === best.areaKm2 && String(s.id) < String(best.id))
+    ) {
+      best = { id: s.id, areaKm2: area.areaKm2 };
+    }
+  });
+  return best ? best.id : null;
+}
@@ -0,0 +1,51 @@
+// lib/guards.js
+// Which pages need a signed-in user, and which roles. Read by both
+// middleware.js (server, before the page loads) and components/AuthProvider
+// (client, for navigation inside the app and sessions that expire while a
+// page is open), so keep it free of browser and Supabase imports.
+
+export const LOGIN_PATH = '/';
+export const HOME_PATH  = '/map';
+
+export const requireAuth = () => ({ roles: null });
+export const requireRole = (...roles) => ({ roles });
+
+/* path prefix → guard. Unlisted pages are public. */
+export const GUARDS = {
+  '/map':           requireAuth(),
+  '/report':        requireAuth(),
+  '/register':      requireAuth(),
+  '/notifications': requireAuth(),
+  '/profile':       requireAuth(),
+  '/cats':          requireAuth(),
+  '/colonies':      requireAuth(),
+  '/admin':         requireRole('admin', 'caregiver'),
+};
+
+/* '/colonies/12' → the '/colonies' guard */
+export function guardFor(pathname) {
+  const hit = Object.keys(GUARDS).find((p) => pathname === p || pathname.startsWith(`${p}/`));
+  return hit ? GUARDS[hit] : null;
+}
+
+/* 'ok' | 'login' | 'forbidden' */
+export function checkGuard(guard, { user, role }) {
+  if (!guard) return 'ok';
+  if (!user) return 'login';
+  if (guard.roles && !guard.roles.includes(role)) return 'forbidden';
+  return 'ok';
+}
+
+/* ---------- redirect back after login ----------
+   Only same-site paths, so ?next= can't bounce people elsewhere. */
+export function safeNext(next) {
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : HOME_PATH;
+}
+
+export function loginPath(next, { expired = false } = {}) {
+  const q = new URLSearchParams();
+  if (next && next !== LOGIN_PATH) q.set('next', next);
+  if (expired) q.set('expired', '1');
+  const qs = q.toString();
+  return qs ? `${LOGIN_PATH}?${qs}` : LOGIN_PATH;
+}
@@ -0,0 +1,112 @@
+// lib/hotspots.js
+
+/* Where strays concentrate, and where it's getting worse.
+   Heat: one weighted point per sighting.
+   Hotspots: sightings are binned into ~CELL_M square grid cells; a cell
+   is "rising" when the last 7 days beat its average week over the
+   BASELINE_WEEKS before that by RISE_FACTOR, with at least MIN_REPORTS. */
+
+export const INJURED_WEIGHT = 2;     // an injured cat counts double
+export const CELL_M         = 250;
+export const BASELINE_WEEKS = 3;
+export const MIN_REPORTS    = 3;
+export const RISE_FACTOR    = 1.5;
+
+const M_PER_DEG = 111320;
+const WEEK_MS   = 7 * 24 * 60 * 60 * 1000;
+
+const seenTime = (s) => new Date(s.seen_at || s.created_at).getTime();
+
+export const sightingWeight = (s) =>
+  Math.max(1, Number(s.animals) || 1) * (s.behaviour === 'injured' ? INJURED_WEIGHT : 1);
+
+/* ---------- heatmap ----------
+   [[lat, lng, weight]] for leaflet.heat, plus the max to scale against. */
+export function heatPoints(sightings) {
+  const points = sightings
+    .map((s) => [parseFloat(s.latitude), parseFloat(s.longitude), sightingWeight(s)])
+    .filter(([lat, lng]) => !isNaN(lat) && !isNaN(lng));
+  const max = points.reduce((m, p) => Math.max(m, p[2]), 1);
+  return { points, max };
+}
+
+/* ---------- grid ----------
+   Rows are fixed in latitude; column width is widened by 1/cos(lat) so
+   cells stay roughly square away from the equator. */
+export function gridCell(lat, lng, cellM = CELL_M) {
+  const dLat = cellM / M_PER_DEG;
+  const row  = Math.floor(lat / dLat);
+  const midLat = (row + 0.5) * dLat;
+  const dLng = dLat / Math.cos((midLat * Math.PI) / 180);
+  const col  = Math.floor(lng / dLng);
+  return {
+    key:    `${row}:${col}`,
+    bounds: [[row * dLat, col * dLng], [(row + 1) * dLat, (col + 1) * dLng]],
+    lat:    midLat,
+    lng:    (col + 0.5) * dLng,
+  };
+}
+
+/* Resolves each rising cell to
+   { key, lat, lng, bounds, current, baseline, change, injured }
+   where current = reports in the last 7 days, baseline = average per week
+   before that and change = percentage rise (null when baseline is 0).
+   Sorted with the steepest rise first. */
+export function detectHotspots(sightings, {
+  now        = Date.now(),
+  cellM      = CELL_M,
+  minReports = MIN_REPORTS,
+} = {}) {
+  const since = now - (BASELINE_WEEKS + 1) * WEEK_MS;
+  const cells = new Map();
+
+  sightings.forEach((s) => {
+    const t = seenTime(s);
+    if (t < since || t > now) return;
+    const lat = parseFloat(s.latitude);
+    const lng = parseFloat(s.longitude);
+    if (isNaN(lat) || isNaN(lng)) return;
+
+    const c = gridCell(lat, lng, cellM);
+    if (!cells.has(c.key)) cells.set(c.key, { ...c, current: 0, earlier: 0, injured: 0 });
+    const cell = cells.get(c.key);
+    if (t > now - WEEK_MS) {
+      cell.current += 1;
+      if (s.behaviour === 'injured') cell.injured += 1;
+    } else {
+      cell.earlier += 1;
+    }
+  });
+
+  return [...cells.values()]
+    .map(({ earlier, ...c }) => {
+      const baseline = earlier / BASELINE_WEEKS;
+      return {
+        ...c,
+        baseline: Math.round(baseline * 10) / 10,
+        change:   baseline ? Math.round(((c.current - baseline) / baseline) * 100) : null,
+      };
+    })
+    .filter((c) => c.current >= minReports && c.current >= c.baseline * RISE_FACTOR)
+    .sort((a, b) => (b.change ?? Infinity) - (a.change ?? Infinity) || b.current - a.current);
+}
+
+/* { [sanctuary_id]: hotspots } using the sanctuary each sighting was routed to */
+export function hotspotsBySanctuary(sightings, opts) {
+  const groups = {};
+  sightings.forEach((s) => {
+    if (s.sanctuary_id == null) return;
+    (groups[s.sanctuary_id] ||= []).push(s);
+  });
+  return Object.fromEntries(
+    Object.entries(groups).map(([id, rows]) => [id, detectHotspots(rows, opts)])
+  );
+}
+
+/* how far back detectHotspots looks, for narrowing queries */
+export const hotspotWindowStart = (now = Date.now()) =>
+  new Date(now - (BASELINE_WEEKS + 1) * WEEK_MS).toISOString();
+
+export const describeHotspot = (h) =>
+  `${h.current} report${h.current === 1 ? '' : 's'} this week` +
+  (h.change == null ? ' (new)' : ` (+${h.change}% vs ${h.baseline}/wk)`);
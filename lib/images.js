@@ -0,0 +1,153 @@
+// lib/images.js
+
+/* Browser-side photo handling: resize + re-encode before upload, and
+   read EXIF GPS / capture time so we can suggest where and when a
+   sighting happened. Re-encoding through a canvas drops all metadata,
+   so the stored files never carry the reporter's location. */
+
+export const MAX_INPUT_BYTES = 25 * 1024 * 1024;   // refuse anything bigger
+export const FULL_MAX_SIDE   = 1600;
+export const THUMB_MAX_SIDE  = 320;
+const FULL_QUALITY  = 0.82;
+const THUMB_QUALITY = 0.7;
+
+/* ---------- EXIF ---------- */
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function parseTiff(view, start) {
+  const little = view.getUint16(start) === 0x4949;   // 'II'
+  const u16 = (o) => view.getUint16(start + o, little);
+  const u32 = (o) => view.getUint32(start + o, little);
+
+  const readValue = (type, n, at) => {
+    if (type === 2) {
+      let s = '';
+      for (let i = 0; i < n - 1; i++) s += String.fromCharCode(view.getUint8(start + at + i));
+      return s;
+    }
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const o = at + i * TYPE_SIZE[type];
+      if (type === 3)      out.push(u16(o));
+      else if (type === 4) out.push(u32(o));
+      else if (type === 5) out.push(u32(o) / (u32(o + 4) || 1));
+      else                 out.push(view.getUint8(start + o));
+    }
+    return n === 1 ? out[0] : out;
+  };
+
+  const readIfd = (ifd) => {
+    const tags = {};
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const e    = ifd + 2 + i * 12;
+      const type = u16(e + 2);
+      const n    = u32(e + 4);
+      if (!TYPE_SIZE[type]) continue;
+      const at = TYPE_SIZE[type] * n > 4 ? u32(e + 8) : e + 8;
+      tags[u16(e)] = readValue(type, n, at);
+    }
+    return tags;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exif = ifd0[0x8769] ? readIfd(ifd0[0x8769]) : {};
+  const gps  = ifd0[0x8825] ? readIfd(ifd0[0x8825]) : {};
+  return { ifd0, exif, gps };
+}
+
+const dms = ([d, m, s]) => d + m / 60 + s / 3600;
+
+/* Resolves to { lat, lng, takenAt } (any may be null) or null when the
+   file has no readable EXIF. Only JPEGs carry EXIF we can parse. */
+export async function readExif(file) {
+  if (file.type !== 'image/jpeg') return null;
+  try {
+    const view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xffd8) return null;
+
+    let offset = 2;
+    while (offset + 10 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) return null;
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {   // 'Exif'
+        const { exif, gps } = parseTiff(view, offset + 10);
+
+        let lat = null;
+        let lng = null;
+        if (Array.isArray(gps[2]) && Array.isArray(gps[4])) {
+          lat = dms(gps[2]) * (gps[1] === 'S' ? -1 : 1);
+          lng = dms(gps[4]) * (gps[3] === 'W' ? -1 : 1);
+          if (!lat && !lng) lat = lng = null;            // 0,0 = no fix
+        }
+
+        /* "YYYY:MM:DD HH:MM:SS", camera-local time */
+        let takenAt = null;
+        const raw = exif[0x9003] || exif[0x9004];
+        const m = typeof raw === 'string' && raw.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (m) {
+          const d = new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+          if (!isNaN(d)) takenAt = d;
+        }
+        return { lat, lng, takenAt };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    /* truncated / malformed EXIF: treat as none */
+  }
+  return null;
+}
+
+/* ---------- resize + re-encode ---------- */
+async function loadImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch { /* fall through to <img> (older Safari) */ }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function encode(source, maxSide, quality) {
+  const w0 = source.width;
+  const h0 = source.height;
+  const scale = Math.min(1, maxSide / Math.max(w0, h0));
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.round(w0 * scale);
+  canvas.height = Math.round(h0 * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob
+        ? resolve({ blob, width: canvas.width, height: canvas.height })
+        : reject(new Error('Image encoding failed'))),
+      'image/jpeg',
+      quality
+    ));
+}
+
+/* Resolves to { full, thumb } where each is { blob, width, height }.
+   Pass { thumbnail: false } when only the full image is needed. */
+export async function compressImage(file, { thumbnail = true, maxSide = FULL_MAX_SIDE } = {}) {
+  if (!file.type.startsWith('image/')) throw new Error('Not an image');
+  if (file.size > MAX_INPUT_BYTES) {
+    throw new Error(`Photo is larger than ${MAX_INPUT_BYTES / 1024 / 1024} MB`);
+  }
+  const source = await loadImage(file);
+  try {
+    const full  = await encode(source, maxSide, FULL_QUALITY);
+    const thumb = thumbnail ? await encode(source, THUMB_MAX_SIDE, THUMB_QUALITY) : null;
+    return { full, thumb };
+  } finally {
+    source.close?.();
+  }
+}
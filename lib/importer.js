@@ -0,0 +1,335 @@
+// lib/importer.js
+import { supabase } from './supabaseClient';
+import { validateSanctuary, parseJSON, SERVICES } from './sanctuaries';
+import { validateSighting, buildSightingRow } from './sightings';
+import { CASE_STATUSES } from './cases';
+import { haversineKm, polygonsOf } from './geo';
+import { CSV_FORMULA_START } from './export';
+import { fetchAll } from './tables';
+
+/* Bulk import for the admin wizard: file → records → mapped rows →
+   validated / duplicate-checked preview → insert. Each step is a plain
+   function so the wizard can re-run later steps when the mapping changes.
+   Exports from lib/export.js import back unchanged. */
+
+export const IMPORT_KINDS = {
+  sanctuaries: { label: 'Sanctuaries',        table: 'sanctuaries' },
+  sightings:   { label: 'Historic sightings', table: 'sightings' },
+};
+
+/* target fields per kind; aliases drive auto-mapping (lower-case) */
+export const IMPORT_FIELDS = {
+  sanctuaries: [
+    { key: 'name',          label: 'Name',           required: true, aliases: ['sanctuary', 'title'] },
+    { key: 'latitude',      label: 'Latitude',       required: true, aliases: ['lat', 'y'] },
+    { key: 'longitude',     label: 'Longitude',      required: true, aliases: ['lng', 'lon', 'long', 'x'] },
+    { key: 'radius_km',     label: 'Radius (km)',    aliases: ['radius'] },
+    { key: 'boundary',      label: 'Boundary (GeoJSON)', aliases: ['boundary_geojson', 'polygon'] },
+    { key: 'services',      label: 'Services',       aliases: [] },
+    { key: 'contact_email', label: 'Email',          aliases: ['email'] },
+    { key: 'contact_phone', label: 'Phone',          aliases: ['phone', 'telephone'] },
+    { key: 'website_url',   label: 'Website',        aliases: ['website', 'url'] },
+    { key: 'donate_url',    label: 'Donate link',    aliases: ['donate'] },
+    { key: 'approved',      label: 'Approved',       aliases: [] },
+  ],
+  sightings: [
+    { key: 'latitude',   label: 'Latitude',    required: true, aliases: ['lat', 'y'] },
+    { key: 'longitude',  label: 'Longitude',   required: true, aliases: ['lng', 'lon', 'long', 'x'] },
+    { key: 'seen_at',    label: 'Seen at',     aliases: ['date', 'datetime', 'time', 'created_at', 'timestamp'] },
+    { key: 'notes',      label: 'Notes',       aliases: ['note', 'description', 'comments'] },
+    { key: 'animals',    label: 'Cats',        aliases: ['count', 'cats', 'number'] },
+    { key: 'behaviour',  label: 'Condition',   aliases: ['condition', 'injured'] },
+    { key: 'visibility', label: 'Visibility',  aliases: [] },
+    { key: 'status',     label: 'Case status', aliases: ['case'] },
+  ],
+};
+
+/* sanctuaries closer than this, or sightings this close on the same day,
+   are flagged as likely duplicates */
+export const SANCTUARY_DUPLICATE_KM = 0.2;
+export const SIGHTING_DUPLICATE_KM  = 0.05;
+
+/* historic logs shouldn't land in the live case queue */
+export const DEFAULT_IMPORT_STATUS = 'closed';
+
+const INSERT_BATCH = 500;
+
+/* undo the ' that lib/export.js puts before formula-like text */
+const unescapeFormula = (cell) =>
+  cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+/* ---------- parsing ----------
+   Both parsers resolve to { headers, records } where records are
+   { [header]: string } objects. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  /* spreadsheets in Greek / EU locales save with ';' */
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delim = firstLine.includes(',') || !firstLine.includes(';') ? ',' : ';';
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c !== '')) rows.push(row);
+
+  const [headers = [], ...body] = rows;
+  const keys = headers.map((h) => h.trim());
+  return {
+    headers: keys,
+    records: body.map((r) => Object.fromEntries(keys.map((k, i) => [k, unescapeFormula(r[i] ?? '').trim()]))),
+  };
+}
+
+/* Points become latitude / longitude; (Multi)Polygons become `boundary`.
+   A sanctuary exported as a point + service_area pair is merged back
+   into one record by id (or name). */
+export function parseGeoJson(text) {
+  const gj = JSON.parse(text);
+  const features = gj.type === 'FeatureCollection' ? gj.features : [gj];
+  const byKey = new Map();
+  const records = [];
+
+  features.forEach((f, i) => {
+    if (f?.type !== 'Feature' || !f.geometry) return;
+    const props = Object.fromEntries(
+      Object.entries(f.properties || {})
+        .filter(([k]) => k !== 'feature')
+        .map(([k, v]) => [k, v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v)])
+    );
+    const key = props.id || props.name || `#${i}`;
+    if (!byKey.has(key)) { byKey.set(key, props); records.push(props); }
+    const rec = byKey.get(key);
+
+    const g = f.geometry;
+    if (g.type === 'Point') {
+      rec.longitude = String(g.coordinates[0]);
+      rec.latitude  = String(g.coordinates[1]);
+    } else if (g.type === 'Polygon' || g.type === 'MultiPolygon') {
+      rec.boundary = JSON.stringify(g);
+      if (!rec.latitude) {
+        /* centre of the first outer ring until a point turns up */
+        const ring = polygonsOf(g)[0]?.[0] || [];
+        const n = Math.max(1, ring.length);
+        rec.longitude = String(ring.reduce((t, c) => t + c[0], 0) / n);
+        rec.latitude  = String(ring.reduce((t, c) => t + c[1], 0) / n);
+      }
+    }
+  });
+
+  const headers = [...new Set(records.flatMap((r) => Object.keys(r)))];
+  return { headers, records };
+}
+
+export async function parseImportFile(file) {
+  const text = await file.text();
+  return /\.(geo)?json$/i.test(file.name) ? parseGeoJson(text) : parseCsv(text);
+}
+
+/* ---------- column mapping ----------
+   { [field key]: header | '' } guessed from header names. */
+export function autoMap(kind, headers) {
+  const norm = (h) => h.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const mapping = {};
+  IMPORT_FIELDS[kind].forEach((f) => {
+    const names = [f.key, ...f.aliases];
+    mapping[f.key] = headers.find((h) => names.includes(norm(h))) || '';
+  });
+  return mapping;
+}
+
+export const missingRequired = (kind, mapping) =>
+  IMPORT_FIELDS[kind].filter((f) => f.required && !mapping[f.key]).map((f) => f.label);
+
+/* ---------- record → row ---------- */
+const truthy = (v) => /^(1|true|yes|y|✅)$/i.test(String(v).trim());
+
+function toSanctuary(get) {
+  const boundary = parseJSON(get('boundary')) || null;
+  const services = get('services')
+    .split(/[\s,;|]+/)
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => SERVICES.some((x) => x.key === s));
+  return {
+    row: {
+      name:          get('name'),
+      latitude:      get('latitude'),
+      longitude:     get('longitude'),
+      radius_km:     boundary ? null : get('radius_km') || 5,
+      boundary,
+      services,
+      contact_email: get('contact_email'),
+      contact_phone: get('contact_phone'),
+      website_url:   get('website_url'),
+      donate_url:    get('donate_url'),
+      approved:      truthy(get('approved')),
+    },
+    mode: boundary ? 'polygon' : 'radius',
+  };
+}
+
+function toSighting(get, defaultStatus) {
+  const rawCondition = get('behaviour').toLowerCase();
+  const behaviour = rawCondition === 'injured' || truthy(rawCondition) ? 'injured' : 'normal';
+  /* status by value ("at_vet") or label ("At vet"); null = unrecognised */
+  const raw = get('status').toLowerCase();
+  const status = !raw
+    ? defaultStatus
+    : CASE_STATUSES.find((s) => s.value === raw.replace(/\s+/g, '_') || s.label.toLowerCase() === raw)
+      ?.value ?? null;
+  const seen = get('seen_at') ? new Date(get('seen_at')) : null;
+  return {
+    fields: {
+      lat:        get('latitude'),
+      lng:        get('longitude'),
+      notes:      get('notes'),
+      animals:    get('animals') || 1,
+      behaviour,
+      visibility: get('visibility').toLowerCase() || 'public',
+      seenAt:     seen,
+    },
+    status,
+  };
+}
+
+/* Resolves each record to { index, row, errors, duplicate } where
+   `duplicate` describes the first likely match, or null. */
+export function prepareRows(kind, records, mapping, { defaultStatus = DEFAULT_IMPORT_STATUS } = {}) {
+  return records.map((rec, index) => {
+    const get = (field) => (mapping[field] ? String(rec[mapping[field]] ?? '').trim() : '');
+    const errors = [];
+
+    if (kind === 'sanctuaries') {
+      const { row, mode } = toSanctuary(get);
+      const invalid = validateSanctuary(row, mode);
+      if (invalid) errors.push(invalid);
+      if (get('boundary') && !row.boundary) errors.push('Boundary is not valid GeoJSON');
+      return { index, row, errors, duplicate: null };
+    }
+
+    const { fields, status } = toSighting(get, defaultStatus);
+    const invalid = validateSighting(fields);
+    if (invalid) errors.push(invalid);
+    if (fields.seenAt && isNaN(fields.seenAt)) errors.push('Seen at is not a date');
+    if (fields.seenAt && fields.seenAt > new Date()) errors.push('Seen at is in the future');
+    if (!status) errors.push('Unknown case status');
+    return { index, row: { ...fields, status }, errors, duplicate: null };
+  });
+}
+
+/* ---------- duplicate detection ----------
+   Against what's already stored and against earlier rows in the file.
+   Sanctuaries match by name or proximity; sightings by proximity on the
+   same day. Marks `rows` in place and resolves to { data: rows, error }. */
+const normName = (s) => s.toLowerCase().replace(/[^a-z0-9α-ω]+/gi, ' ').trim();
+const sameDay  = (a, b) => a && b && new Date(a).toDateString() === new Date(b).toDateString();
+
+export async function findDuplicates(kind, rows) {
+  const valid = rows.filter((r) => !r.errors.length);
+  if (!valid.length) return { data: rows, error: null };
+
+  if (kind === 'sanctuaries') {
+    const { data: existing, error } = await fetchAll(() => supabase
+      .from('sanctuaries')
+      .select('id, name, latitude, longitude')
+      .is('deleted_at', null)
+      .order('id'));
+    if (error) return { data: rows, error };
+    const seen = [];
+    valid.forEach((r) => {
+      const lat = Number(r.row.latitude);
+      const lng = Number(r.row.longitude);
+      const match = (s) =>
+        normName(s.name || '') === normName(r.row.name) ||
+        haversineKm(lat, lng, Number(s.latitude), Number(s.longitude)) <= SANCTUARY_DUPLICATE_KM;
+
+      const stored = (existing || []).find(match);
+      const inFile = seen.find(match);
+      if (stored)      r.duplicate = `Matches existing “${stored.name}” (#${stored.id})`;
+      else if (inFile) r.duplicate = `Matches row ${inFile.row + 1} in this file`;
+      seen.push({ ...r.row, row: r.index });
+    });
+    return { data: rows, error: null };
+  }
+
+  /* only fetch stored sightings from the days the file covers */
+  const times = valid.map((r) => (r.row.seenAt || new Date()).getTime());
+  const { data: existing, error } = await fetchAll(() => supabase
+    .from('sightings')
+    .select('id, latitude, longitude, seen_at')
+    .is('deleted_at', null)
+    .gte('seen_at', new Date(Math.min(...times) - 86400000).toISOString())
+    .lte('seen_at', new Date(Math.max(...times) + 86400000).toISOString())
+    .order('id'));
+  if (error) return { data: rows, error };
+
+  const seen = [];
+  valid.forEach((r) => {
+    const when = r.row.seenAt || new Date();
+    const match = (s) =>
+      sameDay(s.seen_at, when) &&
+      haversineKm(Number(r.row.lat), Number(r.row.lng), Number(s.latitude), Number(s.longitude)) <= SIGHTING_DUPLICATE_KM;
+
+    const stored = (existing || []).find(match);
+    const inFile = seen.find(match);
+    if (stored)      r.duplicate = `Matches existing sighting #${stored.id}`;
+    else if (inFile) r.duplicate = `Matches row ${inFile.row + 1} in this file`;
+    seen.push({ latitude: r.row.lat, longitude: r.row.lng, seen_at: when, row: r.index });
+  });
+  return { data: rows, error: null };
+}
+
+/* ---------- commit ----------
+   Inserts valid rows (minus duplicates unless `includeDuplicates`) in
+   batches; sightings are routed to a sanctuary like live reports.
+   Resolves to { inserted, error }. */
+export async function commitImport(kind, rows, { userId, includeDuplicates = false, onProgress } = {}) {
+  const todo = rows.filter((r) => !r.errors.length && (includeDuplicates || !r.duplicate));
+
+  let payload;
+  if (kind === 'sanctuaries') {
+    payload = todo.map((r) => ({
+      ...r.row,
+      latitude:  Number(r.row.latitude),
+      longitude: Number(r.row.longitude),
+      radius_km: r.row.radius_km == null ? null : Number(r.row.radius_km),
+    }));
+  } else {
+    payload = todo.map((r) => ({
+      ...buildSightingRow(r.row, { userId }),
+      status: r.row.status,
+    }));
+  }
+
+  let inserted = 0;
+  for (let i = 0; i < payload.length; i += INSERT_BATCH) {
+    const { error } = await supabase
+      .from(IMPORT_KINDS[kind].table)
+      .insert(payload.slice(i, i + INSERT_BATCH));
+    if (error) return { inserted, error };
+    inserted += Math.min(INSERT_BATCH, payload.length - i);
+    onProgress?.(inserted, payload.length);
+  }
+  return { inserted, error: null };
+}
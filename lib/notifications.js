@@ -0,0 +1,152 @@
+// lib/notifications.js
+import { supabase } from './supabaseClient';
+
+/* Caregiver alerts. Rows are created by the fan_out_sighting() trigger
+   (supabase/migrations); this module reads them, stores preferences and
+   registers browsers for web push. The quiet-hours helpers are shared
+   with pages/api/cron/deliver-notifications.js. */
+
+/* value stored in notification_prefs.min_urgency */
+export const URGENCY_OPTIONS = [
+  { value: 'injured', label: 'Injured cats only' },
+  { value: 'all',     label: 'Every report' },
+];
+
+export const DEFAULT_TIME_ZONE = 'Europe/Athens';
+
+/* what a user without a notification_prefs row gets */
+export const DEFAULT_PREFS = {
+  min_urgency:   'injured',
+  sanctuary_ids: null,          // null = all of my sanctuaries
+  email:         true,
+  push:          false,
+  quiet_start:   null,
+  quiet_end:     null,
+  time_zone:     DEFAULT_TIME_ZONE,
+};
+
+/* ---------- feed ---------- */
+export function fetchNotifications(userId, { limit = 50 } = {}) {
+  return supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+}
+
+export function countUnread(userId) {
+  return supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+}
+
+export function markAllRead(userId) {
+  return supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+}
+
+/* ---------- preferences ---------- */
+export async function fetchPrefs(userId) {
+  const { data, error } = await supabase
+    .from('notification_prefs')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  return { data: { ...DEFAULT_PREFS, ...data }, error };
+}
+
+export function savePrefs(userId, prefs) {
+  const { user_id, updated_at, ...fields } = prefs;
+  return supabase
+    .from('notification_prefs')
+    .upsert({ ...fields, user_id: userId, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+}
+
+/* ---------- web push ----------
+   The service worker (public/sw.js) shows the notification. */
+export const pushSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  !!process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+
+/* VAPID key: base64url → Uint8Array, as pushManager wants it */
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+/* resolves to { error } */
+export async function enablePush(userId) {
+  if (!pushSupported()) return { error: new Error('Push notifications are not supported here') };
+  if ((await Notification.requestPermission()) !== 'granted') {
+    return { error: new Error('Notifications are blocked for this site') };
+  }
+
+  const reg = await navigator.serviceWorker.ready;
+  const sub = (await reg.pushManager.getSubscription()) ||
+    (await reg.pushManager.subscribe({
+      userVisibleOnly:      true,
+      applicationServerKey: urlBase64ToUint8Array(process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY),
+    }));
+  const { keys } = sub.toJSON();
+
+  const { error } = await supabase
+    .from('push_subscriptions')
+    .upsert(
+      { user_id: userId, endpoint: sub.endpoint, p256dh: keys.p256dh, auth: keys.auth },
+      { onConflict: 'endpoint' }
+    );
+  return { error };
+}
+
+/* this browser only; other devices stay subscribed */
+export async function disablePush() {
+  if (!pushSupported()) return { error: null };
+  const reg = await navigator.serviceWorker.ready;
+  const sub = await reg.pushManager.getSubscription();
+  if (!sub) return { error: null };
+  const { error } = await supabase.from('push_subscriptions').delete().eq('endpoint', sub.endpoint);
+  await sub.unsubscribe();
+  return { error };
+}
+
+/* ---------- quiet hours ---------- */
+const toMinutes = (t) => {
+  const [h, m] = String(t).split(':').map(Number);
+  return h * 60 + m;
+};
+
+/* minutes since local midnight in `timeZone` */
+function localMinutes(date, timeZone) {
+  const hm = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour:      '2-digit',
+    minute:    '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+  return toMinutes(hm);
+}
+
+/* minutes until the user's quiet hours end; 0 when not in them.
+   A window may wrap midnight (22:00 → 07:00). */
+export function quietMinutesLeft(prefs, date = new Date()) {
+  if (!prefs?.quiet_start || !prefs?.quiet_end) return 0;
+  const now   = localMinutes(date, prefs.time_zone || DEFAULT_TIME_ZONE);
+  const start = toMinutes(prefs.quiet_start);
+  const end   = toMinutes(prefs.quiet_end);
+  if (start === end) return 0;
+
+  const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+  return quiet ? (end - now + 1440) % 1440 : 0;
+}
@@ -0,0 +1,173 @@
+// lib/outbox.js
+import { submitSighting, validateSighting } from './sightings';
+
+/* Reports made without signal are kept in IndexedDB (photos included,
+   as Blobs) and replayed through submitSighting once we're back online.
+   Entry: { id, fields, userId, status, error, createdAt, remoteId }.
+   fields.clientId goes out as sightings.client_id, so a replay never
+   files the same report twice. */
+
+const DB_NAME = 'ela-kitty';
+const STORE   = 'outbox';
+
+/* synced entries linger this long so the reporter sees them land */
+const KEEP_SYNCED_MS = 24 * 60 * 60 * 1000;
+
+export const OUTBOX_STATUSES = {
+  pending: { label: 'Waiting for signal', badge: 'bg-amber-100 text-amber-800' },
+  syncing: { label: 'Sending…',           badge: 'bg-sky-100 text-sky-800' },
+  synced:  { label: 'Sent',               badge: 'bg-emerald-100 text-emerald-800' },
+  failed:  { label: 'Failed',             badge: 'bg-red-100 text-red-800' },
+};
+
+/* ---------- IndexedDB plumbing ---------- */
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function tx(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t   = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror    = () => reject(t.error);
+  });
+}
+
+const put = (entry) => tx('readwrite', (s) => s.put(entry));
+
+/* ---------- change notifications ---------- */
+const listeners = new Set();
+
+export function onOutboxChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const notify = () => listeners.forEach((fn) => fn());
+
+/* ---------- public API ---------- */
+export async function listOutbox() {
+  const all = (await tx('readonly', (s) => s.getAll())) || [];
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function queueSighting(fields, user) {
+  const id = crypto.randomUUID();
+  const entry = {
+    id,
+    fields:    {
+      ...fields,
+      seenAt:   fields.seenAt || new Date().toISOString(),
+      clientId: fields.clientId || id,
+    },
+    userId:    user.id,
+    status:    'pending',
+    error:     null,
+    createdAt: Date.now(),
+    remoteId:  null,
+  };
+  await put(entry);
+  notify();
+  return entry;
+}
+
+export async function removeFromOutbox(id) {
+  await tx('readwrite', (s) => s.delete(id));
+  notify();
+}
+
+export async function retryOutbox(id) {
+  const entry = await tx('readonly', (s) => s.get(id));
+  if (!entry) return;
+  await put({ ...entry, status: 'pending', error: null });
+  notify();
+  return syncOutbox();
+}
+
+/* fetch failures surface as TypeErrors / "Failed to fetch" messages */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+  const msg = `${error?.message || ''} ${error?.cause?.message || ''}`;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(msg);
+}
+
+/* ---------- send everything pending ----------
+   Network errors leave an entry pending; anything else marks it failed
+   until the reporter retries. An entry still 'syncing' when a run starts
+   was cut off (tab closed mid-send) and goes back to pending; the
+   client_id makes resending it safe. */
+let syncing = null;
+
+export function syncOutbox() {
+  if (!syncing) {
+    syncing = (async () => {
+      const stale = (await listOutbox()).filter((e) => e.status === 'syncing');
+      for (const entry of stale) await put({ ...entry, status: 'pending' });
+      if (stale.length) notify();
+
+      const entries = await listOutbox();
+      for (const entry of entries) {
+        if (entry.status === 'synced' && Date.now() - entry.createdAt > KEEP_SYNCED_MS) {
+          await tx('readwrite', (s) => s.delete(entry.id));
+          continue;
+        }
+        if (entry.status !== 'pending') continue;
+        if (!navigator.onLine) break;
+
+        await put({ ...entry, status: 'syncing' });
+        notify();
+
+        const { data, error } = await submitSighting(entry.fields, { id: entry.userId });
+        if (error && isNetworkError(error)) {
+          await put({ ...entry, status: 'pending' });
+          notify();
+          break;
+        }
+        await put(error
+          ? { ...entry, status: 'failed', error: error.message }
+          : { ...entry, status: 'synced', remoteId: data.id });
+        notify();
+      }
+    })().finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+/* ---------- submit now, or queue when there's no signal ----------
+   Resolves to { data, error, queued } (queued = outbox entry). */
+export async function submitOrQueue(fields, user) {
+  if (!user) return { data: null, error: new Error('Please log in first') };
+  const invalid = validateSighting(fields);
+  if (invalid) return { data: null, error: new Error(invalid) };
+
+  const stamped = {
+    ...fields,
+    seenAt:   fields.seenAt || new Date().toISOString(),
+    clientId: fields.clientId || crypto.randomUUID(),
+  };
+  if (navigator.onLine) {
+    const res = await submitSighting(stamped, user);
+    if (!res.error || !isNetworkError(res.error)) return res;
+  }
+  return { data: null, error: null, queued: await queueSighting(stamped, user) };
+}
+
+/* ---------- auto-sync when connectivity returns ---------- */
+export function startOutboxSync() {
+  const run = () => { syncOutbox().catch(() => {}); };
+  window.addEventListener('online', run);
+  run();
+  return () => window.removeEventListener('online', run);
+}
@@ -0,0 +1,76 @@
+// lib/profile.js
+import { supabase } from './supabaseClient';
+
+/* The signed-in user's own settings (pages/profile.js) plus the sign-in
+   identities Supabase Auth keeps for them. Account deletion runs in the
+   database: delete_my_account() in supabase/migrations. */
+
+export const PROFILE_COLUMNS = 'id, email, role, display_name, contact_ok, contact_via';
+
+/* value stored in profiles.contact_via */
+export const CONTACT_OPTIONS = [
+  { value: 'email', label: 'By email' },
+  { value: 'phone', label: 'By phone' },
+];
+
+export const DISPLAY_NAME_MAX = 60;
+
+/* what to call someone in the UI: chosen name, else email, else phone */
+export const displayNameOf = (user, profile) =>
+  profile?.display_name || user?.email || (user?.phone ? `+${user.phone}` : 'Anonymous');
+
+/* ---------- phone numbers ----------
+   Supabase wants E.164; people type spaces, dashes and a leading 00. */
+export function normalisePhone(raw) {
+  const digits = String(raw || '').replace(/[^\d+]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{6,14}$/.test(digits) ? digits : null;
+}
+
+/* ---------- settings ---------- */
+export function saveProfile(userId, profile) {
+  return supabase
+    .from('profiles')
+    .update({
+      display_name: profile.display_name?.trim() || null,
+      contact_ok:   profile.contact_ok,
+      contact_via:  profile.contact_via,
+    })
+    .eq('id', userId)
+    .select(PROFILE_COLUMNS)
+    .single();
+}
+
+/* ---------- linked identities ----------
+   Linking Google needs "manual linking" on in the Supabase dashboard. */
+export async function fetchIdentities() {
+  const { data, error } = await supabase.auth.getUserIdentities();
+  return { data: data?.identities || [], error };
+}
+
+export const linkGoogle = () =>
+  supabase.auth.linkIdentity({
+    provider: 'google',
+    options:  { redirectTo: `${window.location.origin}/profile` },
+  });
+
+export const unlinkIdentity = (identity) => supabase.auth.unlinkIdentity(identity);
+
+/* email and phone are attached by confirming them: a link for email,
+   a code (verifyPhoneChange) for phone */
+export const addEmail = (email) => supabase.auth.updateUser({ email });
+export const addPhone = (phone) => supabase.auth.updateUser({ phone });
+export const verifyPhoneChange = (phone, token) =>
+  supabase.auth.verifyOtp({ phone, token, type: 'phone_change' });
+
+/* ---------- reporter contact (admins / caregivers) ----------
+   Resolves to { data: { display_name, email, phone } | null, error };
+   null when the reporter did not opt in. */
+export async function reporterContact(sightingId) {
+  const { data, error } = await supabase.rpc('reporter_contact', { p_sighting_id: sightingId });
+  return { data: data?.[0] || null, error };
+}
+
+/* ---------- delete account ----------
+   Irreversible. The caller then signs out locally: the user is gone
+   server-side, so a normal sign-out would fail. */
+export const deleteMyAccount = () => supabase.rpc('delete_my_account');
@@ -0,0 +1,36 @@
+// lib/push.js
+// Web Push for API routes. With PUSH_STANDIN_URL set (see
+// scripts/notify-standins.js) payloads are POSTed there instead of to
+// the browser's push service, so delivery can be tested locally.
+import webpush from 'web-push';
+
+let configured = false;
+
+/* resolves when sent; rejects with err.statusCode 404/410 when the
+   browser has dropped the subscription */
+export async function sendPush(subscription, payload) {
+  const body = JSON.stringify(payload);
+
+  if (process.env.PUSH_STANDIN_URL) {
+    const res = await fetch(process.env.PUSH_STANDIN_URL, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ endpoint: subscription.endpoint, payload }),
+    });
+    if (!res.ok) throw Object.assign(new Error(`Stand-in answered ${res.status}`), { statusCode: res.status });
+    return;
+  }
+
+  if (!configured) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:no-reply@elakitty.org',
+      process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    configured = true;
+  }
+  await webpush.sendNotification(
+    { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+    body
+  );
+}
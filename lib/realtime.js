@@ -0,0 +1,41 @@
+// lib/realtime.js
+import { supabase } from './supabaseClient';
+
+/* ---------- live sightings feed ----------
+   Calls onChange({ type, row, old }) for every INSERT / UPDATE / DELETE
+   on `sightings`. Realtime already drops rows RLS hides from the
+   caller; views should still run canViewSighting on `row`.
+   Returns an unsubscribe function. */
+export function subscribeToSightings(onChange, name = 'sightings-feed') {
+  const channel = supabase
+    .channel(name)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'sightings' },
+      (payload) =>
+        onChange({
+          type: payload.eventType,
+          row:  payload.new && Object.keys(payload.new).length ? payload.new : null,
+          old:  payload.old,
+        })
+    )
+    .subscribe();
+
+  return () => { supabase.removeChannel(channel); };
+}
+
+/* ---------- my notifications ----------
+   Calls onInsert(row) for each new notification addressed to userId
+   (the bell and /notifications). Returns an unsubscribe function. */
+export function subscribeToNotifications(userId, onInsert, name = 'notifications-feed') {
+  const channel = supabase
+    .channel(`${name}-${userId}`)
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'notifications', filter: `user_id=eq.${userId}` },
+      (payload) => onInsert(payload.new)
+    )
+    .subscribe();
+
+  return () => { supabase.removeChannel(channel); };
+}
@@ -0,0 +1,126 @@
+// lib/sanctuaries.js
+import { supabase } from './supabaseClient';
+
+/* services you offer today (add / rename freely) */
+export const SERVICES = [
+  { key: 'shelter',   label: 'Shelter',    tip: 'Long-term housing' },
+  { key: 'tnr',       label: 'TNR',        tip: 'Trap / Neuter / Release' },
+  { key: 'vet-care',  label: 'Vet care',   tip: 'On-site or partner vet' },
+  { key: 'adoption',  label: 'Adoption',   tip: 'Re-homing programme' },
+];
+
+/* weekdays for opening-hours grid */
+export const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/* columns a caregiver may change on their own sanctuaries; mirrors
+   guard_sanctuary_caregiver() in supabase/migrations */
+export const CAREGIVER_EDITABLE = ['opening_hours', 'services'];
+
+/* registration workflow (value stored in sanctuaries.review_status);
+   mirrors supabase/migrations. `approved` ⇔ 'approved'. */
+export const REVIEW_STATUSES = [
+  { value: 'pending',           label: 'Awaiting review',   badge: 'bg-amber-100 text-amber-800' },
+  { value: 'changes_requested', label: 'Changes requested', badge: 'bg-sky-100 text-sky-800' },
+  { value: 'rejected',          label: 'Not approved',      badge: 'bg-red-100 text-red-800' },
+  { value: 'approved',          label: 'Approved',          badge: 'bg-emerald-100 text-emerald-800' },
+];
+
+export const reviewStatusOf = (value) =>
+  REVIEW_STATUSES.find((s) => s.value === value) ?? REVIEW_STATUSES[0];
+
+/* link columns shown as buttons / icons */
+export const LINKS = [
+  ['donate_url',    'Donate'],
+  ['website_url',   'Website'],
+  ['facebook_url',  'Facebook'],
+  ['instagram_url', 'Instagram'],
+  ['twitter_url',   'Twitter'],
+];
+
+/* ---------- validation ----------
+   Shared by SanctuaryForm and the bulk importer. A sanctuary covers its
+   area either by radius or by a drawn boundary polygon (`mode`).
+   Returns an error message, or null when the row is OK. */
+export function validateSanctuary({ name, latitude, longitude, radius_km, boundary }, mode) {
+  if (!name?.trim()) return 'Name required';
+  if (latitude === '' || latitude == null || longitude === '' || longitude == null) {
+    return 'Location required';
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return 'Location is not a valid latitude / longitude';
+  }
+  if (mode === 'radius') {
+    if (!radius_km) return 'Radius required';
+    if (isNaN(Number(radius_km)) || Number(radius_km) <= 0) return 'Radius must be a positive number';
+  } else if (!boundary) {
+    return 'Draw polygon first';
+  }
+  return null;
+}
+
+/* ---------- stored JSON → objects ----------
+   `boundary` and `opening_hours` may arrive as text or jsonb. */
+export function parseJSON(raw) {
+  if (!raw) return null;
+  if (typeof raw !== 'string') return raw;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+/* compact { mon: '09:00-17:00' | 'closed' } → [['Mon', '09:00–17:00'], …] */
+export function formatOpeningHours(raw) {
+  const j = parseJSON(raw);
+  if (!j) return [];
+  return DAYS
+    .map((d) => {
+      const v = j[d.toLowerCase()];
+      if (!v) return null;
+      return [d, v === 'closed' ? 'Closed' : v.replace('-', '–')];
+    })
+    .filter(Boolean);
+}
+
+export const serviceLabel = (key) =>
+  SERVICES.find((s) => s.key === key)?.label ?? key;
+
+/* ---------- registration ----------
+   Applicants insert (or, after "changes requested", update) their own
+   row as pending; triggers queue the status emails and, on approval,
+   make them its caregiver. Resolve to { data, error }. */
+export function submitSanctuary({ id, approved, ...fields }, userId) {
+  const row = {
+    ...fields,
+    submitted_by:  userId,
+    submitted_at:  new Date().toISOString(),
+    review_status: 'pending',
+    review_note:   null,
+  };
+  const q = id
+    ? supabase.from('sanctuaries').update(row).eq('id', id)
+    : supabase.from('sanctuaries').insert(row);
+  return q.select().single();
+}
+
+export function fetchMyRegistrations(userId) {
+  return supabase
+    .from('sanctuaries')
+    .select('*')
+    .eq('submitted_by', userId)
+    .is('deleted_at', null)
+    .order('submitted_at', { ascending: false });
+}
+
+/* admins: decision = 'approved' | 'changes_requested' | 'rejected';
+   the last two need a note (checked by the table too) */
+export function reviewSanctuary(id, decision, note = null) {
+  if (decision !== 'approved' && !note?.trim()) {
+    return Promise.resolve({ data: null, error: new Error('A reason is required') });
+  }
+  return supabase
+    .from('sanctuaries')
+    .update({ review_status: decision, review_note: note?.trim() || null })
+    .eq('id', id)
+    .select()
+    .single();
+}
@@ -0,0 +1,130 @@
+// lib/sightings.js
+import { supabase } from './supabaseClient';
+import { uploadImage } from './storage';
+
+/* who can view a report (value stored in sightings.visibility) */
+export const VISIBILITY_OPTIONS = [
+  { value: 'public',    label: 'Public' },
+  { value: 'caregiver', label: 'Caregivers only' },
+  { value: 'admin',     label: 'Admins only' },
+];
+
+/* condition (value stored in sightings.behaviour) */
+export const CONDITIONS = [
+  { value: 'normal',  label: 'Looks healthy' },
+  { value: 'injured', label: 'Appears injured' },
+];
+
+export const MAX_ANIMALS = 50;
+
+/* visibility levels each profiles.role may read; reporters can always
+   read their own rows. Mirrors the RLS policy in supabase/migrations. */
+export const READABLE_VISIBILITY = {
+  user:      ['public'],
+  caregiver: ['public', 'caregiver'],
+  admin:     ['public', 'caregiver', 'admin'],
+};
+
+/* ---------- read filter ----------
+   Narrows a `sightings` select to what { role, userId } may see.
+   Deleted reports (tombstones, see lib/trash.js) are left out for
+   everyone; admins find them in the Trash tab. */
+export function withVisibility(query, { role, userId }) {
+  const live = query.is('deleted_at', null);
+  if (role === 'admin') return live;
+  const levels = READABLE_VISIBILITY[role] || READABLE_VISIBILITY.user;
+  const own    = userId ? `,user_id.eq.${userId}` : '';
+  return live.or(`visibility.in.(${levels.join(',')})${own}`);
+}
+
+/* same rule for a single row (e.g. one pushed over realtime) */
+export function canViewSighting(row, { role, userId }) {
+  if (row.deleted_at) return false;
+  if (role === 'admin') return true;
+  if (userId && row.user_id === userId) return true;
+  const levels = READABLE_VISIBILITY[role] || READABLE_VISIBILITY.user;
+  return levels.includes(row.visibility);
+}
+
+/* ---------- validation ----------
+   Returns an error message, or null when the report is OK.
+   Shared by the inline MapView form and the /report flow. */
+export function validateSighting({ lat, lng, animals, behaviour, visibility }) {
+  if (lat === '' || lat == null || lng === '' || lng == null || isNaN(lat) || isNaN(lng)) {
+    return 'Location required';
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return 'Location is out of range';
+
+  const n = Number(animals);
+  if (!Number.isInteger(n) || n < 1) return 'Animal count must be at least 1';
+  if (n > MAX_ANIMALS) return `Animal count must be ${MAX_ANIMALS} or fewer`;
+
+  if (!CONDITIONS.some(c => c.value === behaviour)) return 'Unknown condition';
+  if (!VISIBILITY_OPTIONS.some(v => v.value === visibility)) return 'Unknown visibility';
+  return null;
+}
+
+/* ---------- photo upload ---------- */
+export const MAX_PHOTOS = 5;
+
+/* resized, metadata-stripped, with a thumbnail for popups and tables */
+export const uploadSightingPhoto = (file) => uploadImage('sightings', file);
+
+/* first photo's thumbnail, falling back to the full-size / legacy url */
+export const sightingThumb = (s) =>
+  s.photos?.[0]?.thumb || s.photos?.[0]?.url || s.photo_url || null;
+
+/* outbox entries queued before multi-photo support carry `photoFile` */
+export const photoFilesOf = (fields) =>
+  fields.photoFiles || (fields.photoFile ? [fields.photoFile] : []);
+
+/* ---------- row shape written to `sightings` ----------
+   sanctuary_id is left out: the database routes each sighting to the
+   sanctuary whose service area contains it (route_sighting() in
+   supabase/migrations, mirroring matchSanctuary in lib/geo.js). */
+export function buildSightingRow(
+  { lat, lng, notes = '', animals = 1, behaviour = 'normal', visibility = 'public', seenAt, clientId },
+  { userId, photos = [] }
+) {
+  return {
+    ...(seenAt && { seen_at: new Date(seenAt).toISOString() }),
+    latitude:  Number(lat).toString(),
+    longitude: Number(lng).toString(),
+    notes:     notes.trim(),
+    animals:   Number(animals),
+    behaviour,
+    photo_url: photos[0]?.url ?? null,
+    photos,
+    user_id:   userId,
+    visibility,
+    client_id: clientId ?? null,
+  };
+}
+
+/* ---------- validate → upload → insert ----------
+   Resolves to { data, error } like a supabase query. */
+export async function submitSighting(fields, user) {
+  if (!user) return { data: null, error: new Error('Please log in first') };
+
+  const invalid = validateSighting(fields);
+  if (invalid) return { data: null, error: new Error(invalid) };
+
+  const photos = [];
+  for (const file of photoFilesOf(fields).slice(0, MAX_PHOTOS)) {
+    const { url, thumbUrl, width, height, error } = await uploadSightingPhoto(file);
+    if (error) return { data: null, error: new Error('Photo upload failed', { cause: error }) };
+    photos.push({ url, thumb: thumbUrl, width, height });
+  }
+
+  const res = await supabase
+    .from('sightings')
+    .insert([buildSightingRow(fields, { userId: user.id, photos })])
+    .select()
+    .single();
+
+  /* a replay of a send that already landed (see lib/outbox.js) */
+  if (res.error?.code === '23505' && fields.clientId) {
+    return supabase.from('sightings').select().eq('client_id', fields.clientId).single();
+  }
+  return res;
+}
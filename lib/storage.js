@@ -0,0 +1,49 @@
+// lib/storage.js
+import { supabase } from './supabaseClient';
+import { compressImage } from './images';
+
+/* ---------- upload to a public bucket ----------
+   Resolves to { url, error } with the file's public URL. */
+export async function uploadPublic(bucket, file, path = `${Date.now()}-${file.name}`) {
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(path, file);
+  if (error) return { url: null, error };
+
+  const { data: { publicUrl } } = supabase.storage
+    .from(bucket)
+    .getPublicUrl(path);
+  return { url: publicUrl, error: null };
+}
+
+/* ---------- photo upload ----------
+   Resized + re-encoded (metadata stripped) in the browser; stored under a
+   random name so the original filename doesn't leak either.
+   Resolves to { url, thumbUrl, width, height, error }. */
+export async function uploadImage(bucket, file, { thumbnail = true, maxSide } = {}) {
+  let compressed;
+  try {
+    compressed = await compressImage(file, { thumbnail, maxSide });
+  } catch (error) {
+    return { url: null, thumbUrl: null, error };
+  }
+
+  const name = `${Date.now()}-${crypto.randomUUID()}.jpg`;
+  const full = await uploadPublic(bucket, compressed.full.blob, name);
+  if (full.error) return { url: null, thumbUrl: null, error: full.error };
+
+  let thumbUrl = null;
+  if (compressed.thumb) {
+    const thumb = await uploadPublic(bucket, compressed.thumb.blob, `thumbs/${name}`);
+    if (thumb.error) return { url: null, thumbUrl: null, error: thumb.error };
+    thumbUrl = thumb.url;
+  }
+
+  return {
+    url:    full.url,
+    thumbUrl,
+    width:  compressed.full.width,
+    height: compressed.full.height,
+    error:  null,
+  };
+}
@@ -0,0 +1,11 @@
+// lib/supabaseAdmin.js
+// Service-role client for API routes only: bypasses RLS, so never
+// import this from a page or component.
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+export const supabaseAdmin = createClient(supabaseUrl, serviceKey, {
+  auth: { persistSession: false },
+});
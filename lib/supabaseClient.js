@@ -1,4 +1,5 @@
-import { createClient } from '@supabase/supabase-js';
+import { createBrowserClient } from '@supabase/ssr';
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
\ No newline at end of file
+/* session kept in cookies (not localStorage) so middleware.js can see it */
+export const supabase = createBrowserClient(supabaseUrl, supabaseAnonKey);
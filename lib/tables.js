@@ -0,0 +1,235 @@
+// lib/tables.js
+import { CONDITIONS, VISIBILITY_OPTIONS } from './sightings';
+import { CASE_STATUSES } from './cases';
+import { REVIEW_STATUSES } from './sanctuaries';
+import { AUDIT_ENTITIES, AUDIT_ACTIONS } from './audit';
+
+/* Admin table state ⇄ URL ⇄ supabase query.
+   State: { sort, cursor, q, filters: { [key]: string } }, all plain
+   values so a view like "injured, unassigned, last 7 days" is just a
+   bookmark:
+     /admin?tab=sightings&behaviour=injured&assignee=none&since=7
+   Pages are keyset-paged: `cursor` is { dir: 'after' | 'before', value,
+   id }, the sort value and id of the row the page continues from
+   (null = first page). In the URL: ?after=["2026-10-19T…",123]. */
+
+export const PAGE_SIZE = 50;
+
+/* PostgREST returns at most this many rows per request */
+const FETCH_ALL_BATCH = 1000;
+
+export const ROLES = ['user', 'caregiver', 'admin'];
+
+export const SINCE_OPTIONS = [
+  { value: '1',   label: 'Last 24 hours' },
+  { value: '7',   label: 'Last 7 days' },
+  { value: '30',  label: 'Last 30 days' },
+  { value: '365', label: 'Last year' },
+];
+
+/* per table: sortable columns, the column the search box covers, and
+   filters (options: null = supplied by the page, e.g. caregivers) */
+export const ADMIN_TABLES = {
+  sightings: {
+    defaultSort: '-created_at',
+    sortable:    ['created_at', 'visibility', 'behaviour', 'status', 'assignee_id'],
+    search:      'notes',
+    filters: {
+      scope:      { label: 'Sanctuary',  options: null },
+      behaviour:  { label: 'Condition',  options: CONDITIONS },
+      status:     { label: 'Status',     options: CASE_STATUSES },
+      visibility: { label: 'Visibility', options: VISIBILITY_OPTIONS },
+      assignee:   { label: 'Assignee',   options: null },
+      since:      { label: 'Reported',   options: SINCE_OPTIONS },
+    },
+  },
+  users: {
+    defaultSort: '-created_at',
+    sortable:    ['email', 'role', 'created_at'],
+    search:      'email',
+    filters: {
+      role: { label: 'Role', options: ROLES.map((r) => ({ value: r, label: r })) },
+    },
+  },
+  sanctuaries: {
+    defaultSort: '-created_at',
+    sortable:    ['name', 'approved', 'radius_km', 'created_at'],
+    search:      'name',
+    filters: {
+      review: { label: 'Review', options: REVIEW_STATUSES },
+    },
+  },
+  audit: {
+    defaultSort: '-created_at',
+    sortable:    ['created_at', 'actor_email', 'entity', 'action'],
+    search:      'actor_email',
+    filters: {
+      entity:    { label: 'Entity', options: AUDIT_ENTITIES },
+      action:    { label: 'Action', options: AUDIT_ACTIONS },
+      since:     { label: 'When',   options: SINCE_OPTIONS },
+      entity_id: { label: 'Row',    options: null },   // set by "full history" links
+    },
+  },
+};
+
+/* ---------- URL ⇄ state ---------- */
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+/* ---------- cursors ---------- */
+const CURSOR_DIRS = ['after', 'before'];
+
+function parseCursor(query) {
+  for (const dir of CURSOR_DIRS) {
+    const raw = first(query[dir]);
+    if (!raw) continue;
+    try {
+      const [value, id] = JSON.parse(raw);
+      if (id != null) return { dir, value: value ?? null, id };
+    } catch { /* a mangled link just starts at the first page */ }
+  }
+  return null;
+}
+
+const sortColumn = (sort) => sort.replace(/^-/, '');
+
+/* the cursor that continues past `row` in direction `dir` */
+export const cursorFor = (row, sort, dir) =>
+  ({ dir, value: row[sortColumn(sort)] ?? null, id: row.id });
+
+export function parseTableState(table, query = {}, defaults = {}) {
+  const def = ADMIN_TABLES[table];
+  const sort = first(query.sort) || '';
+
+  const filters = {};
+  Object.keys(def.filters).forEach((k) => {
+    filters[k] = first(query[k]) ?? defaults[k] ?? '';
+  });
+
+  return {
+    sort:   def.sortable.includes(sortColumn(sort)) ? sort : def.defaultSort,
+    cursor: parseCursor(query),
+    q:    (first(query.q) || '').trim(),
+    filters,
+  };
+}
+
+/* state → query params, leaving out defaults so URLs stay short */
+export function tableStateToQuery(table, state, defaults = {}) {
+  const def = ADMIN_TABLES[table];
+  const out = {};
+  if (state.sort !== def.defaultSort) out.sort = state.sort;
+  if (state.cursor) out[state.cursor.dir] = JSON.stringify([state.cursor.value, state.cursor.id]);
+  if (state.q) out.q = state.q;
+  Object.entries(state.filters).forEach(([k, v]) => {
+    if (v !== (defaults[k] ?? '')) out[k] = v;
+  });
+  return out;
+}
+
+/* ---------- state → supabase query ----------
+   ctx: { myId, mySanctuaryIds } for the "me" / "mine" shortcuts;
+   ctx.scoped (caregivers) keeps sightings and sanctuaries to
+   mySanctuaryIds whatever the filters say.
+   Paged queries fetch PAGE_SIZE + 1 rows (the extra one says whether
+   there's more); hand the result to pageOf(). Pass { paged: false } to
+   get every matching row (exports). */
+const escapeLike = (s) => s.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/* PostgREST filter literal, quoted so commas / parens / dots survive */
+const literal = (v) => `"${String(v).replace(/[\\"]/g, (c) => `\\${c}`)}"`;
+
+/* rows past the cursor when reading in order (col, id) `asc`, nulls
+   sorting last (forward) or first (reading back from `before`) */
+function keysetFilter(col, asc, { value, id }, nullsLast) {
+  const op = asc ? 'gt' : 'lt';
+  const tie = `id.${op}.${literal(id)}`;
+  if (col === 'id') return tie;
+  if (value === null) {
+    return nullsLast
+      ? `and(${col}.is.null,${tie})`
+      : `and(${col}.is.null,${tie}),${col}.not.is.null`;
+  }
+  return [
+    `${col}.${op}.${literal(value)}`,
+    `and(${col}.eq.${literal(value)},${tie})`,
+    ...(nullsLast ? [`${col}.is.null`] : []),
+  ].join(',');
+}
+
+export function applyTableState(query, table, state, ctx = {}, { paged = true } = {}) {
+  const def = ADMIN_TABLES[table];
+  const f = state.filters;
+  let q = query;
+
+  const mine = ctx.mySanctuaryIds?.length ? ctx.mySanctuaryIds : [-1];
+  if (ctx.scoped && table === 'sightings')   q = q.in('sanctuary_id', mine);
+  if (ctx.scoped && table === 'sanctuaries') q = q.in('id', mine);
+
+  if (state.q) q = q.ilike(def.search, `%${escapeLike(state.q)}%`);
+
+  if (table === 'sightings') {
+    if (f.scope === 'mine')            q = q.in('sanctuary_id', mine);
+    else if (f.scope === 'unrouted')   q = q.is('sanctuary_id', null);
+    else if (f.scope && f.scope !== 'all') q = q.eq('sanctuary_id', f.scope);
+    if (f.behaviour)  q = q.eq('behaviour', f.behaviour);
+    if (f.status)     q = q.eq('status', f.status);
+    if (f.visibility) q = q.eq('visibility', f.visibility);
+    if (f.assignee === 'none')    q = q.is('assignee_id', null);
+    else if (f.assignee === 'me') q = q.eq('assignee_id', ctx.myId);
+    else if (f.assignee)          q = q.eq('assignee_id', f.assignee);
+    if (f.since) {
+      q = q.gte('created_at', new Date(Date.now() - Number(f.since) * 86400000).toISOString());
+    }
+  }
+  if (table === 'users' && f.role) q = q.eq('role', f.role);
+  if (table === 'sanctuaries' && f.review) q = q.eq('review_status', f.review);
+  if (table === 'audit') {
+    if (f.entity)    q = q.eq('entity', f.entity);
+    if (f.action)    q = q.eq('action', f.action);
+    if (f.entity_id) q = q.eq('entity_id', f.entity_id);
+    if (f.since) {
+      q = q.gte('created_at', new Date(Date.now() - Number(f.since) * 86400000).toISOString());
+    }
+  }
+
+  /* reading back from a `before` cursor walks the order in reverse;
+     pageOf() flips the rows round again */
+  const col  = sortColumn(state.sort);
+  const back = paged && state.cursor?.dir === 'before';
+  const asc  = state.sort.startsWith('-') === back;
+
+  if (paged && state.cursor) q = q.or(keysetFilter(col, asc, state.cursor, !back));
+  q = q.order(col, { ascending: asc, nullsFirst: back });
+  if (col !== 'id') q = q.order('id', { ascending: asc });   // unique tie-break for the keyset
+
+  return paged ? q.limit(PAGE_SIZE + 1) : q;
+}
+
+/* paged query result → { rows, prev, next } (cursors, or null at either end) */
+export function pageOf(data, state) {
+  const back = state.cursor?.dir === 'before';
+  const more = data.length > PAGE_SIZE;
+  const rows = data.slice(0, PAGE_SIZE);
+  if (back) rows.reverse();
+  if (!rows.length) return { rows, prev: null, next: null };
+
+  const hasPrev = back ? more : !!state.cursor;
+  const hasNext = back ? true : more;
+  return {
+    rows,
+    prev: hasPrev ? cursorFor(rows[0], state.sort, 'before') : null,
+    next: hasNext ? cursorFor(rows[rows.length - 1], state.sort, 'after') : null,
+  };
+}
+
+/* every row a query matches, FETCH_ALL_BATCH at a time.
+   `build` returns a fresh (unranged) query each call. */
+export async function fetchAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_ALL_BATCH) {
+    const { data, error } = await build().range(from, from + FETCH_ALL_BATCH - 1);
+    if (error) return { data: rows, error };
+    rows.push(...data);
+    if (data.length < FETCH_ALL_BATCH) return { data: rows, error: null };
+  }
+}
@@ -0,0 +1,60 @@
+// lib/trash.js
+import { supabase } from './supabaseClient';
+
+/* Deleting a sighting or sanctuary only tombstones it (deleted_at /
+   deleted_by / deletion_reason). Normal reads skip tombstones (see
+   withVisibility); admins restore or purge them from the Trash tab, and
+   /api/cron/purge-trash removes them for good after TRASH_RETENTION_DAYS.
+   Who may do what is enforced by guard_tombstone() in supabase/migrations. */
+
+export const TRASH_RETENTION_DAYS = 30;
+
+/* tables with a trash; `title` is how a row is named in the list */
+export const TRASH_KINDS = [
+  {
+    value:   'sightings',
+    label:   'Sightings',
+    columns: '*, deleter:profiles!sightings_deleted_by_fkey ( email ), sanctuaries ( name )',
+    title:   (r) => `#${r.id} · ${r.notes || 'no notes'}`,
+  },
+  {
+    value:   'sanctuaries',
+    label:   'Sanctuaries',
+    columns: '*, deleter:profiles!sanctuaries_deleted_by_fkey ( email )',
+    title:   (r) => r.name,
+  },
+];
+
+export const trashKindOf = (value) => TRASH_KINDS.find((k) => k.value === value) ?? TRASH_KINDS[0];
+
+/* when a tombstone is due to be purged */
+export const purgeDate = (row) =>
+  new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * 86400000);
+
+/* ---------- move to trash ----------
+   reason is required (the trigger refuses a blank one); deleted_at and
+   deleted_by are stamped by the database. Resolves to { error }. */
+export function trashRows(kind, ids, reason) {
+  if (!reason?.trim()) return Promise.resolve({ error: new Error('A reason is required') });
+  return supabase
+    .from(kind)
+    .update({ deleted_at: new Date().toISOString(), deletion_reason: reason.trim() })
+    .in('id', ids);
+}
+
+/* ---------- admins: the Trash tab ---------- */
+export function fetchTrash(kind, { limit = 200 } = {}) {
+  return supabase
+    .from(kind)
+    .select(trashKindOf(kind).columns)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false })
+    .limit(limit);
+}
+
+export const restoreRows = (kind, ids) =>
+  supabase.from(kind).update({ deleted_at: null }).in('id', ids);
+
+/* only tombstones can be purged (RLS), so a live row is never hit */
+export const purgeRows = (kind, ids) =>
+  supabase.from(kind).delete().in('id', ids).not('deleted_at', 'is', null);
@@ -0,0 +1,54 @@
+// middleware.js
+// Server-side half of the route guards in lib/guards.js: signed-out
+// visitors are sent to the login page (and back afterwards), signed-in
+// users without the role to the map. Also refreshes the session cookie
+// so pages never start with an expired token.
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@supabase/ssr';
+import { guardFor, checkGuard, loginPath, HOME_PATH } from './lib/guards';
+
+export async function middleware(request) {
+  const guard = guardFor(request.nextUrl.pathname);
+  let response = NextResponse.next({ request });
+
+  const supabase = createServerClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    {
+      cookies: {
+        getAll: () => request.cookies.getAll(),
+        setAll: (cookies) => {
+          cookies.forEach(({ name, value }) => request.cookies.set(name, value));
+          response = NextResponse.next({ request });
+          cookies.forEach(({ name, value, options }) => response.cookies.set(name, value, options));
+        },
+      },
+    }
+  );
+
+  /* getUser() checks the token with Supabase (getSession() would trust the cookie) */
+  const { data: { user }, error } = await supabase.auth.getUser();
+
+  /* Supabase unreachable: let the page load, the client-side guard decides */
+  if (error && !error.status) return response;
+
+  let role = null;
+  if (user && guard?.roles) {
+    const { data } = await supabase.from('profiles').select('role').eq('id', user.id).single();
+    role = data?.role || 'user';
+  }
+
+  const verdict = checkGuard(guard, { user, role });
+  if (verdict === 'ok') return response;
+
+  const { pathname, search } = request.nextUrl;
+  const to = verdict === 'login' ? loginPath(`${pathname}${search}`) : HOME_PATH;
+  const redirect = NextResponse.redirect(new URL(to, request.url));
+  response.cookies.getAll().forEach((c) => redirect.cookies.set(c));   // keep refreshed / cleared cookies
+  return redirect;
+}
+
+/* everything except Next internals, API routes and static files */
+export const config = {
+  matcher: ['/((?!_next/|api/|icons/|sw\\.js|manifest\\.json|favicon\\.ico|.*\\.(?:svg|png|jpg|jpeg|webp)$).*)'],
+};
@@ -0,0 +1,5 @@
+/** @type {import('next').NextConfig} */
+module.exports = {
+  /* react-leaflet-cluster imports its own CSS from node_modules */
+  transpilePackages: ['react-leaflet-cluster'],
+};
@@ -1 +1,29 @@
-import '../styles/globals.css'; export default function App({ Component, pageProps }) { return <Component {...pageProps} />; }
\ No newline at end of file
+import { useEffect } from 'react';
+import Head from 'next/head';
+import { startOutboxSync } from '../lib/outbox';
+import { AuthProvider } from '../components/AuthProvider';
+import '../styles/globals.css';
+import '../styles/cluster.css';
+
+export default function App({ Component, pageProps }) {
+  /* PWA: service worker (prod only) + replay reports queued offline */
+  useEffect(() => {
+    if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+      navigator.serviceWorker.register('/sw.js').catch(() => {});
+    }
+    return startOutboxSync();
+  }, []);
+
+  return (
+    <>
+      <Head>
+        <link rel="manifest" href="/manifest.json" />
+        <meta name="theme-color" content="#059669" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <AuthProvider>
+        <Component {...pageProps} />
+      </AuthProvider>
+    </>
+  );
+}
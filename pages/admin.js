@@ -1,10 +1,56 @@
 // pages/admin.js
-import { useEffect, useState } from 'react';
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useRouter } from 'next/router';
 import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../components/AuthProvider';
+import { withVisibility, canViewSighting, sightingThumb } from '../lib/sightings';
+import { subscribeToSightings } from '../lib/realtime';
+import { updateCase, canWorkCases } from '../lib/cases';
+import { CAREGIVER_EDITABLE, reviewStatusOf } from '../lib/sanctuaries';
+import { hotspotsBySanctuary, hotspotWindowStart, describeHotspot } from '../lib/hotspots';
+import { UNDO_MS, planBulk, applyPending, commitBulk } from '../lib/bulk';
+import { trashRows } from '../lib/trash';
+import CaseStatus from '../components/CaseStatus';
+import CaseHistory from '../components/CaseHistory';
+import CatLinkDialog from '../components/CatLinkDialog';
+import Toast from '../components/Toast';
+import AnalyticsTab from '../components/AnalyticsTab';
+import CaseQueue from '../components/CaseQueue';
+import ReviewQueue from '../components/ReviewQueue';
+import TrashBin from '../components/TrashBin';
+import NotificationBell from '../components/NotificationBell';
+import ExportMenu from '../components/ExportMenu';
+import ImportWizard from '../components/ImportWizard';
+import SortHeader from '../components/SortHeader';
+import Pager from '../components/Pager';
+import TableToolbar from '../components/TableToolbar';
+import BulkBar from '../components/BulkBar';
+import UndoBar from '../components/UndoBar';
+import AuditHistory from '../components/AuditHistory';
+import AuditDiff from '../components/AuditDiff';
+import { entityLabel, actionLabel } from '../lib/audit';
+import { exportSightings, exportSanctuaries } from '../lib/export';
+import {
+  ADMIN_TABLES,
+  ROLES,
+  parseTableState,
+  tableStateToQuery,
+  applyTableState,
+  pageOf,
+  fetchAll,
+} from '../lib/tables';
 import Link from 'next/link';
 import dynamic from 'next/dynamic';
 
+const SIGHTING_COLUMNS = '*, sanctuaries ( name ), cats ( name )';
+const SANCTUARY_COLUMNS = '*, caregiver_assignments ( caregiver_id )';
+
+/* caregivers get a workspace scoped to their own sanctuaries; first tab = landing */
+const TABS = {
+  admin:     ['sightings', 'queue', 'sanctuaries', 'users', 'analytics', 'audit', 'trash'],
+  caregiver: ['queue', 'sightings', 'sanctuaries', 'analytics'],
+};
+
 /* Lazy-load sanctuary drawer (avoids SSR leaflet issues) */
 const SanctuaryForm = dynamic(
   () => import('../components/SanctuaryForm'),
@@ -14,81 +60,238 @@ const SanctuaryForm = dynamic(
 export default function Admin() {
   const router = useRouter();
 
-  /* ───── Global state ───── */
-  const [loading, setLoading]   = useState(true);
-  const [myRole,  setMyRole]    = useState(null);       // 'admin' | 'caregiver'
-  const [tab,     setTab]       = useState('sightings');
+  /* ───── Who I am (the admin guard in lib/guards.js already ran) ───── */
+  const {
+    user,
+    role:         myRole,          // 'admin' | 'caregiver'
+    sanctuaries:  mySanctuaries,   // [{ id, name }] – sightings "mine" filter
+    sanctuaryIds: mySanctuaryIds,
+  } = useAuth();
+  const myId = user.id;
 
   /* Data for each tab */
   const [sightings,   setSightings]   = useState([]);
   const [users,       setUsers]       = useState([]);
   const [sanctuaries, setSanctuaries] = useState([]);
+  const [auditRows,   setAuditRows]   = useState([]);
   const [caregivers,  setCaregivers]  = useState([]);
+  const [hotspots,    setHotspots]    = useState({});     // { [sanctuary_id]: [...] }
+  const [count,       setCount]       = useState(null);   // rows matching the current table state
+  const [pageCursors, setPageCursors] = useState({ prev: null, next: null });   // Pager
+
+  const [allSanctuaries, setAllSanctuaries] = useState([]); // [{ id, name }] bulk "move to"
+
+  /* Sightings bulk selection + the action waiting out its undo window */
+  const [selected, setSelected] = useState([]);             // sighting ids
+  const [pending,  setPending]  = useState(null);           // { plan, until }
+  const pendingRef = useRef(null);                          // { plan, reason, timer }
 
   /* Drawer state (null = closed) */
   const [editSanctuary, setEditSanctuary] = useState(null);
+  const [catSighting,   setCatSighting]   = useState(null);   // sighting being linked to a cat
+  const [importKind,    setImportKind]    = useState(null);   // 'sanctuaries' | 'sightings'
 
   /* Trigger refetch after any mutation */
   const [refreshKey, setRefreshKey] = useState(0);
 
-  /* ───── Auth / role guard ───── */
-  useEffect(() => {
-    (async () => {
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) { router.push('/'); return; }
-
-      const { data: me } = await supabase
-        .from('profiles')
-        .select('role')
-        .eq('id', session.user.id)
-        .single();
+  /* ───── Tab + table state live in the URL (bookmarkable views) ───── */
+  const isCaregiver = myRole === 'caregiver';
+  const tabs = TABS[myRole] || TABS.admin;
+  const tab  = tabs.includes(router.query.tab) ? router.query.tab : tabs[0];
 
-      if (!me || !['admin','caregiver'].includes(me.role)) {
-        router.push('/'); return;
-      }
-      setMyRole(me.role);
-      setLoading(false);
-    })();
-  }, [router]);
+  const tableState = useMemo(
+    () => (ADMIN_TABLES[tab] ? parseTableState(tab, router.query) : null),
+    [tab, router.query]
+  );
+  const tableKey = JSON.stringify(tableState);
+
+  const setTab = (t) => router.replace(
+    { pathname: '/admin', query: t === tabs[0] ? {} : { tab: t } },
+    undefined,
+    { shallow: true }
+  );
+
+  /* any change but paging goes back to the first page */
+  const setTable = (patch) => {
+    const next = { ...tableState, cursor: null, ...patch };
+    router.replace(
+      {
+        pathname: '/admin',
+        query: {
+          ...(tab !== tabs[0] && { tab }),
+          ...tableStateToQuery(tab, next),
+        },
+      },
+      undefined,
+      { shallow: true }
+    );
+  };
+
+  const tableCtx = { myId, mySanctuaryIds, scoped: isCaregiver };
+
+  /* Live-update notice */
+  const [toast, setToast] = useState(null);
+  const clearToast = useCallback(() => setToast(null), []);
 
   /* ───── Caregiver list (for assignment multiselect) ───── */
   useEffect(() => {
-    if (loading) return;
     supabase
       .from('profiles')
       .select('id, email')
       .eq('role', 'caregiver')
       .then(({ data }) => setCaregivers(data || []));
-  }, [loading]);
+  }, []);
 
-  /* ───── Load data per tab ───── */
+  /* ───── All sanctuary names (bulk "move to") ───── */
   useEffect(() => {
-    if (loading) return;
+    supabase
+      .from('sanctuaries')
+      .select('id, name')
+      .is('deleted_at', null)
+      .order('name')
+      .then(({ data }) => setAllSanctuaries(data || []));
+  }, [refreshKey]);
 
-    if (tab === 'sightings') {
-      supabase.from('sightings')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .then(({ data }) => setSightings(data || []));
-    }
+  /* a new page / filter starts with nothing selected */
+  useEffect(() => { setSelected([]); }, [tableKey]);
+
+  /* ───── Live sightings: refetch (joins aren't in the payload) ───── */
+  useEffect(() => {
+    const viewer = { role: myRole, userId: myId };
+    let timer;
+
+    const unsubscribe = subscribeToSightings(({ type, row }) => {
+      if (row && !canViewSighting(row, viewer) && type === 'INSERT') return;
+      /* caregivers only hear about their own sanctuaries */
+      if (type === 'INSERT' && viewer.role === 'caregiver'
+          && !mySanctuaryIds.includes(row.sanctuary_id)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => setRefreshKey(k => k + 1), 500);   // coalesce bursts
+
+      if (type === 'INSERT' && row.user_id !== myId) {
+        setToast({
+          id:       row.id,
+          text:     row.behaviour === 'injured' ? 'New injured cat reported' : 'New report',
+          action:   'Show',
+          onAction: () => setTab('sightings'),
+        });
+      }
+    }, 'admin-sightings');
+
+    return () => { clearTimeout(timer); unsubscribe(); };
+  }, [myRole, myId, mySanctuaryIds]);
+
+  /* ───── Queries per table (one page, or everything for exports) ───── */
+  const tableQuery = (t, { paged = true } = {}) => {
+    const base = {
+      sightings:   () => withVisibility(
+        supabase.from('sightings').select(SIGHTING_COLUMNS, { count: 'exact' }),
+        { role: myRole, userId: myId }
+      ),
+      users:       () => supabase.from('profiles')
+        .select('id, email, display_name, role, created_at', { count: 'exact' }),
+      sanctuaries: () => supabase.from('sanctuaries')
+        .select(SANCTUARY_COLUMNS, { count: 'exact' })
+        .is('deleted_at', null),
+      audit:       () => supabase.from('audit_log')
+        .select('*', { count: 'exact' }),
+    }[t];
+    return applyTableState(base(), t, tableState, tableCtx, { paged });
+  };
 
-    if (tab === 'users') {
-      supabase.from('profiles')
-        .select('id, email, role, created_at')
-        .order('created_at', { ascending: false })
-        .then(({ data }) => setUsers(data || []));
+  /* ───── Load data per tab ───── */
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (tableState) {
+      const setRows = {
+        sightings: setSightings, users: setUsers, sanctuaries: setSanctuaries, audit: setAuditRows,
+      }[tab];
+      let stale = false;
+      tableQuery(tab).then(({ data, count: n, error }) => {
+        if (stale) return;
+        if (error) { alert(error.message); return; }
+        const { rows, prev, next } = pageOf(data || [], tableState);
+        setRows(rows);
+        setPageCursors({ prev, next });
+        setCount(n ?? null);
+      });
+      if (tab !== 'sanctuaries') return () => { stale = true; };
+
+      /* recent routed sightings → rising hotspots per sanctuary */
+      withVisibility(
+        supabase.from('sightings')
+          .select('latitude, longitude, animals, behaviour, seen_at, created_at, sanctuary_id')
+          .not('sanctuary_id', 'is', null)
+          .gte('seen_at', hotspotWindowStart()),
+        { role: myRole, userId: myId }
+      ).then(({ data }) => setHotspots(hotspotsBySanctuary(data || [])));
+      return () => { stale = true; };
     }
+  }, [tab, tableKey, router.isReady, refreshKey, mySanctuaries, myRole, myId]);
+
+  /* ───── Export every row matching the current filters ───── */
+  const exportTable = async (format) => {
+    const { data, error } = await fetchAll(() => tableQuery(tab, { paged: false }));
+    if (error) return alert(`Export failed: ${error.message}`);
+    if (tab === 'sightings')   exportSightings(data, format, { role: myRole, caregivers });
+    if (tab === 'sanctuaries') exportSanctuaries(data, format, { caregivers });
+  };
+
+  /* ───── Sightings tab: bulk actions ─────
+     The result shows at once; the write happens after UNDO_MS
+     (or sooner if another bulk action starts or the page closes). */
+  /* rows as they'll be once the pending action commits */
+  const shownSightings = applyPending(sightings, pending?.plan, { sanctuaries: allSanctuaries });
+
+  const flushBulk = async () => {
+    const p = pendingRef.current;
+    if (!p) return;
+    clearTimeout(p.timer);
+    pendingRef.current = null;
+    setPending(null);
+    const { error } = await commitBulk(p.plan, { reason: p.reason });
+    if (error) alert(`Bulk action failed: ${error.message}`);
+    setRefreshKey(k => k + 1);
+  };
+
+  const undoBulk = () => {
+    clearTimeout(pendingRef.current?.timer);
+    pendingRef.current = null;
+    setPending(null);
+  };
+
+  const runBulk = async (action, value) => {
+    const rows = shownSightings.filter(r => selected.includes(r.id));
+    const plan = planBulk(action, rows, value, { caregivers, sanctuaries: allSanctuaries });
+    if (!plan.ids.length) { alert(`Nothing to change. ${plan.summary}`); return; }
 
-    if (tab === 'sanctuaries') {
-      supabase.from('sanctuaries')
-        .select(`
-          *,
-          caregiver_assignments ( caregiver_id )
-        `)
-        .order('created_at', { ascending: false })
-        .then(({ data }) => setSanctuaries(data || []));
+    let reason = null;
+    if (action === 'delete') {
+      reason = window.prompt(`Reason for deleting ${plan.ids.length} report(s):`);
+      if (!reason?.trim()) return;
     }
-  }, [tab, loading, refreshKey]);
+    if (!confirm(`${plan.summary}\n\nYou can undo this for ${UNDO_MS / 1000} seconds.`)) return;
+
+    await flushBulk();   // one pending action at a time
+    pendingRef.current = {
+      plan, reason,
+      timer: setTimeout(flushBulk, UNDO_MS),
+    };
+    setPending({ plan, until: Date.now() + UNDO_MS });
+    setSelected([]);
+  };
+
+  /* leaving the page commits; closing the tab asks first */
+  useEffect(() => {
+    const warn = (e) => {
+      if (!pendingRef.current) return;
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => { window.removeEventListener('beforeunload', warn); flushBulk(); };
+  }, []);
 
   /* ───── Users tab: role switch ───── */
   const switchRole = async (id, newRole) => {
@@ -96,8 +299,26 @@ export default function Admin() {
     await supabase.from('profiles').update({ role: newRole }).eq('id', id);
     setRefreshKey((k) => k + 1);
   };
+
+  /* ───── Sightings tab: case status / assignee ───── */
+  const updateSightingCase = async (id, patch) => {
+    if (!canWorkCases(myRole)) return;
+    const { error } = await updateCase(id, patch);
+    if (error) { alert(error.message); return; }
+    setRefreshKey((k) => k + 1);
+  };
+
     // ---------- sanctuary CRUD helpers ----------
     const saveSanctuary = async (sanctuary, assignedCaregiverIds) => {
+    /* caregivers: hours + services of their own sanctuary, nothing else */
+    if (isCaregiver) {
+      const patch = Object.fromEntries(CAREGIVER_EDITABLE.map(k => [k, sanctuary[k]]));
+      const { error } = await supabase.from('sanctuaries').update(patch).eq('id', sanctuary.id);
+      if (error) { alert(error.message); return; }
+      setEditSanctuary(null);
+      setRefreshKey(k => k + 1);
+      return;
+    }
     if (myRole !== 'admin') return;
 
     /* 1️⃣  Are we editing or adding? */
@@ -138,14 +359,16 @@ export default function Admin() {
     setRefreshKey(k => k + 1);
   };
 
+  /* moves it to the Trash tab; restorable until purged */
   const deleteSanctuary = async (id) => {
     if (myRole !== 'admin') return;
-    if (!confirm('Delete this sanctuary?')) return;
-    await supabase.from('sanctuaries').delete().eq('id', id);
+    const reason = window.prompt('Reason for deleting this sanctuary:');
+    if (!reason?.trim()) return;
+    const { error } = await trashRows('sanctuaries', [id], reason);
+    if (error) return alert(`Delete failed: ${error.message}`);
     setRefreshKey(k => k + 1);
   };
 
-  if (loading) return <p className="p-6">Authorising…</p>;
 
   /* ───── Render ───── */
   return (
@@ -155,14 +378,20 @@ export default function Admin() {
         <h1 className="text-2xl font-semibold text-emerald-700">
           Ela Kitty dashboard
         </h1>
-        <Link href="/" className="text-sm underline text-emerald-600">
-          ↩ Back to map
-        </Link>
+        <div className="flex items-center gap-4">
+          <NotificationBell userId={myId} />
+          <Link href="/colonies" className="text-sm underline text-emerald-600">
+            Colonies
+          </Link>
+          <Link href="/" className="text-sm underline text-emerald-600">
+            ↩ Back to map
+          </Link>
+        </div>
       </header>
 
       {/* tabs */}
       <nav className="flex gap-6 px-6 mt-4">
-        {['sightings','sanctuaries','users'].map(t => (
+        {tabs.map(t => (
           <button
             key={t}
             onClick={() => setTab(t)}
@@ -178,38 +407,199 @@ export default function Admin() {
       {/* content */}
       <main className="flex-1 p-6 overflow-auto">
         {tab === 'sightings' && (
-          <SightingsTable data={sightings} showUser={myRole === 'admin'} />
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <TableToolbar
+                table="sightings"
+                state={tableState}
+                onChange={setTable}
+                options={{
+                  scope: [
+                    ...(isCaregiver ? [] : [
+                      { value: 'mine',     label: 'My sanctuaries' },
+                      { value: 'unrouted', label: 'Outside any service area' },
+                    ]),
+                    ...mySanctuaries.map(s => ({ value: String(s.id), label: s.name })),
+                  ],
+                  assignee: [
+                    { value: 'none', label: 'Unassigned' },
+                    { value: 'me',   label: 'Assigned to me' },
+                    ...caregivers.map(c => ({ value: c.id, label: c.email })),
+                  ],
+                }}
+              />
+              <div className="flex items-center gap-4">
+                {myRole === 'admin' && (
+                  <button onClick={() => setImportKind('sightings')} className="px-2 py-0.5 border rounded text-sm">
+                    Import…
+                  </button>
+                )}
+                <ExportMenu count={count} disabled={!count} onExport={exportTable} />
+              </div>
+            </div>
+            {canWorkCases(myRole) && (
+              <BulkBar
+                count={selected.length}
+                role={myRole}
+                caregivers={caregivers}
+                sanctuaries={isCaregiver ? mySanctuaries : allSanctuaries}
+                onApply={runBulk}
+                onClear={() => setSelected([])}
+              />
+            )}
+            <SightingsTable
+              sort={tableState.sort}
+              onSort={(sort) => setTable({ sort })}
+              selected={canWorkCases(myRole) ? selected : null}
+              onSelect={setSelected}
+              data={shownSightings}
+              showUser={myRole === 'admin'}
+              caregivers={caregivers}
+              canWork={canWorkCases(myRole)}
+              onUpdate={updateSightingCase}
+              onLinkCat={setCatSighting}
+              refreshKey={refreshKey}
+            />
+            <Pager count={count} {...pageCursors} onPage={(cursor) => setTable({ cursor })} />
+          </>
         )}
 
-        {tab === 'users' && (
-          <UsersTable
-            data={users}
-            canEdit={myRole === 'admin'}
-            onSwitch={switchRole}
+        {tab === 'queue' && (
+          <CaseQueue
+            role={myRole}
+            userId={myId}
+            sanctuaryIds={isCaregiver ? mySanctuaryIds : null}
+            caregivers={caregivers}
+            refreshKey={refreshKey}
+          />
+        )}
+
+        {tab === 'analytics' && (
+          <AnalyticsTab
+            role={myRole}
+            userId={myId}
+            sanctuaryIds={isCaregiver ? mySanctuaryIds : null}
           />
         )}
 
+        {tab === 'users' && (
+          <>
+            <div className="mb-4">
+              <TableToolbar table="users" state={tableState} onChange={setTable} />
+            </div>
+            <UsersTable
+              sort={tableState.sort}
+              onSort={(sort) => setTable({ sort })}
+              data={users}
+              canEdit={myRole === 'admin'}
+              onSwitch={switchRole}
+              refreshKey={refreshKey}
+            />
+            <Pager count={count} {...pageCursors} onPage={(cursor) => setTable({ cursor })} />
+          </>
+        )}
+
         {tab === 'sanctuaries' && (
           <>
             {myRole === 'admin' && (
-              <button
-                onClick={() => setEditSanctuary({})}
-                className="mb-4 px-3 py-1 rounded bg-emerald-600 text-white"
-              >
-                + Add sanctuary
-              </button>
+              <ReviewQueue
+                refreshKey={refreshKey}
+                onEdit={setEditSanctuary}
+                onReviewed={() => setRefreshKey(k => k + 1)}
+              />
             )}
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              {myRole === 'admin' ? (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setEditSanctuary({})}
+                    className="px-3 py-1 rounded bg-emerald-600 text-white"
+                  >
+                    + Add sanctuary
+                  </button>
+                  <button
+                    onClick={() => setImportKind('sanctuaries')}
+                    className="px-3 py-1 rounded border"
+                  >
+                    Import…
+                  </button>
+                </div>
+              ) : <span />}
+              <ExportMenu count={count} disabled={!count} onExport={exportTable} />
+            </div>
+            <div className="mb-4">
+              <TableToolbar table="sanctuaries" state={tableState} onChange={setTable} />
+            </div>
             <SanctuaryTable
+              sort={tableState.sort}
+              onSort={(sort) => setTable({ sort })}
               rows={sanctuaries}
+              hotspots={hotspots}
               caregivers={caregivers}
               isAdmin={myRole === 'admin'}
+              canEdit={canWorkCases(myRole)}
               onEdit={setEditSanctuary}
               onDelete={deleteSanctuary}
+              refreshKey={refreshKey}
+            />
+            <Pager count={count} {...pageCursors} onPage={(cursor) => setTable({ cursor })} />
+          </>
+        )}
+
+        {tab === 'trash' && (
+          <TrashBin refreshKey={refreshKey} onChanged={() => setRefreshKey(k => k + 1)} />
+        )}
+
+        {tab === 'audit' && (
+          <>
+            <div className="mb-4">
+              <TableToolbar table="audit" state={tableState} onChange={setTable}>
+                {tableState.filters.entity_id && (
+                  <button
+                    onClick={() => setTable({ filters: { ...tableState.filters, entity_id: '' } })}
+                    className="px-2 py-0.5 border rounded"
+                  >
+                    Row {tableState.filters.entity_id} ✕
+                  </button>
+                )}
+              </TableToolbar>
+            </div>
+            <AuditTable
+              sort={tableState.sort}
+              onSort={(sort) => setTable({ sort })}
+              rows={auditRows}
+              onRow={(entity, entity_id) => setTable({ filters: { ...tableState.filters, entity, entity_id } })}
             />
+            <Pager count={count} {...pageCursors} onPage={(cursor) => setTable({ cursor })} />
           </>
         )}
       </main>
 
+      <Toast toast={toast} onDone={clearToast} />
+      {pending && (
+        <UndoBar text={pending.plan.summary} until={pending.until} onUndo={undoBulk} />
+      )}
+
+      {/* cat picker */}
+      {catSighting && (
+        <CatLinkDialog
+          sighting={catSighting}
+          userId={myId}
+          onLinked={() => { setCatSighting(null); setRefreshKey(k => k + 1); }}
+          onClose={() => setCatSighting(null)}
+        />
+      )}
+
+      {/* bulk import */}
+      {importKind && (
+        <ImportWizard
+          kind={importKind}
+          userId={myId}
+          onImported={() => setRefreshKey(k => k + 1)}
+          onClose={() => setImportKind(null)}
+        />
+      )}
+
       {/* drawer */}
       {editSanctuary !== null && (
         <SanctuaryForm
@@ -217,6 +607,7 @@ export default function Admin() {
           caregivers={caregivers}
           onClose={() => setEditSanctuary(null)}
           onSave={saveSanctuary}
+          variant={isCaregiver ? 'caregiver' : 'admin'}
         />
       )}
     </div>
@@ -224,26 +615,136 @@ export default function Admin() {
 }
 
 /* ───────── Sightings table ───────── */
-function SightingsTable({ data, showUser }) {
-  if (!data.length) return <p>No reports yet.</p>;
+function SightingsTable({
+  data, sort, onSort, selected, onSelect, showUser, caregivers, canWork, onUpdate, onLinkCat, refreshKey,
+}) {
+  const [openHistory, setOpenHistory] = useState(null);   // sighting id
+  if (!data.length) return <p>No matching reports.</p>;
+
+  /* selected = null → no checkbox column */
+  const selectable = Array.isArray(selected);
+  const allOnPage  = selectable && data.every(r => selected.includes(r.id));
+  const toggle = (id) => onSelect(
+    selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id]
+  );
+
+  const colCount = (showUser ? 11 : 10) + (selectable ? 1 : 0);
 
   return (
     <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
       <thead>
         <tr className="text-left text-gray-600">
-          <th>Date</th><th>Notes</th><th>Visibility</th><th>Injured?</th>
+          {selectable && (
+            <th>
+              <input
+                type="checkbox"
+                checked={allOnPage}
+                onChange={() => onSelect(allOnPage ? [] : data.map(r => r.id))}
+                aria-label="Select all on this page"
+              />
+            </th>
+          )}
+          <SortHeader column="created_at" sort={sort} onSort={onSort}>Date</SortHeader>
+          <th>Photo</th><th>Notes</th><th>Sanctuary</th>
+          <SortHeader column="visibility" sort={sort} onSort={onSort}>Visibility</SortHeader>
+          <SortHeader column="behaviour" sort={sort} onSort={onSort}>Injured?</SortHeader>
+          <SortHeader column="status" sort={sort} onSort={onSort}>Status</SortHeader>
+          <SortHeader column="assignee_id" sort={sort} onSort={onSort}>Assignee</SortHeader>
+          <th>Cat</th>
           {showUser && <th>User ID</th>}
+          <th>History</th>
         </tr>
       </thead>
       <tbody>
         {data.map(r => (
-          <tr key={r.id} className="bg-white shadow-sm rounded">
-            <td>{new Date(r.created_at).toLocaleString()}</td>
-            <td className="max-w-[250px] break-words">{r.notes || '—'}</td>
-            <td>{r.visibility}</td>
-            <td>{r.behaviour === 'injured' ? '✅' : ''}</td>
-            {showUser && <td className="text-xs">{r.user_id?.slice(0, 8)}…</td>}
-          </tr>
+          <Fragment key={r.id}>
+            <tr className={selectable && selected.includes(r.id) ? 'bg-emerald-50 shadow-sm rounded' : 'bg-white shadow-sm rounded'}>
+              {selectable && (
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(r.id)}
+                    onChange={() => toggle(r.id)}
+                    aria-label="Select report"
+                  />
+                </td>
+              )}
+              <td>{new Date(r.created_at).toLocaleString()}</td>
+              <td>
+                {sightingThumb(r) ? (
+                  <a href={r.photos?.[0]?.url || r.photo_url} target="_blank" rel="noreferrer">
+                    <img src={sightingThumb(r)} alt="" className="h-10 w-10 object-cover rounded" />
+                  </a>
+                ) : '—'}
+                {r.photos?.length > 1 && (
+                  <span className="text-xs text-gray-500"> +{r.photos.length - 1}</span>
+                )}
+              </td>
+              <td className="max-w-[250px] break-words">{r.notes || '—'}</td>
+              <td>{r.sanctuaries?.name || '—'}</td>
+              <td>{r.visibility}</td>
+              <td>{r.behaviour === 'injured' ? '✅' : ''}</td>
+              <td>
+                <CaseStatus
+                  status={r.status}
+                  canEdit={canWork}
+                  onChange={(status) => onUpdate(r.id, { status })}
+                />
+              </td>
+              <td>
+                {canWork ? (
+                  <select
+                    value={r.assignee_id || ''}
+                    onChange={(e) => onUpdate(r.id, { assignee_id: e.target.value || null })}
+                    className="border p-1 rounded text-xs"
+                  >
+                    <option value="">Unassigned</option>
+                    {caregivers.map(c => (
+                      <option key={c.id} value={c.id}>{c.email}</option>
+                    ))}
+                  </select>
+                ) : (
+                  caregivers.find(c => c.id === r.assignee_id)?.email || '—'
+                )}
+              </td>
+              <td className="whitespace-nowrap">
+                {r.cat_id && (
+                  <Link href={`/cats/${r.cat_id}`} className="underline text-emerald-600 mr-2">
+                    {r.cats?.name || 'View'}
+                  </Link>
+                )}
+                {canWork && (
+                  <button
+                    onClick={() => onLinkCat(r)}
+                    className="px-2 py-0.5 border rounded text-xs"
+                  >
+                    {r.cat_id ? 'Change' : 'Link'}
+                  </button>
+                )}
+                {!r.cat_id && !canWork && '—'}
+              </td>
+              {showUser && <td className="text-xs">{r.user_id?.slice(0, 8)}…</td>}
+              <td>
+                <button
+                  onClick={() => setOpenHistory(openHistory === r.id ? null : r.id)}
+                  className="px-2 py-0.5 border rounded text-xs"
+                >
+                  {openHistory === r.id ? 'Hide' : 'Show'}
+                </button>
+              </td>
+            </tr>
+            {openHistory === r.id && (
+              <tr>
+                <td colSpan={colCount} className="pl-4">
+                  <CaseHistory
+                    sightingId={r.id}
+                    people={caregivers}
+                    refreshKey={refreshKey}
+                  />
+                </td>
+              </tr>
+            )}
+          </Fragment>
         ))}
       </tbody>
     </table>
@@ -251,35 +752,59 @@ function SightingsTable({ data, showUser }) {
 }
 
 /* ───────── Users table ───────── */
-function UsersTable({ data, canEdit, onSwitch }) {
+function UsersTable({ data, sort, onSort, canEdit, onSwitch, refreshKey }) {
+  const [openHistory, setOpenHistory] = useState(null);   // profile id
   if (!data.length) return <p>No users found.</p>;
-  const roles = ['user', 'caregiver', 'admin'];
 
   return (
     <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
       <thead>
         <tr className="text-left text-gray-600">
-          <th>Email</th><th>Role</th><th>Joined</th>{canEdit && <th>Actions</th>}
+          <SortHeader column="email" sort={sort} onSort={onSort}>Email</SortHeader>
+          <SortHeader column="role" sort={sort} onSort={onSort}>Role</SortHeader>
+          <SortHeader column="created_at" sort={sort} onSort={onSort}>Joined</SortHeader>
+          {canEdit && <th>Actions</th>}
+          <th>History</th>
         </tr>
       </thead>
       <tbody>
         {data.map(u => (
-          <tr key={u.id} className="bg-white shadow-sm rounded">
-            <td className="pr-4">{u.email}</td>
-            <td className="pr-4">{u.role}</td>
-            <td>{new Date(u.created_at).toLocaleDateString()}</td>
-            {canEdit && (
+          <Fragment key={u.id}>
+            <tr className="bg-white shadow-sm rounded">
+              <td className="pr-4">
+                {u.email || '—'}
+                {u.display_name && <span className="block text-xs text-gray-500">{u.display_name}</span>}
+              </td>
+              <td className="pr-4">{u.role}</td>
+              <td>{new Date(u.created_at).toLocaleDateString()}</td>
+              {canEdit && (
+                <td>
+                  <select
+                    value={u.role}
+                    onChange={(e) => onSwitch(u.id, e.target.value)}
+                    className="border p-1 rounded"
+                  >
+                    {ROLES.map(r => <option key={r}>{r}</option>)}
+                  </select>
+                </td>
+              )}
               <td>
-                <select
-                  value={u.role}
-                  onChange={(e) => onSwitch(u.id, e.target.value)}
-                  className="border p-1 rounded"
+                <button
+                  onClick={() => setOpenHistory(openHistory === u.id ? null : u.id)}
+                  className="px-2 py-0.5 border rounded text-xs"
                 >
-                  {roles.map(r => <option key={r}>{r}</option>)}
-                </select>
+                  {openHistory === u.id ? 'Hide' : 'Show'}
+                </button>
               </td>
+            </tr>
+            {openHistory === u.id && (
+              <tr>
+                <td colSpan={canEdit ? 5 : 4} className="pl-4">
+                  <AuditHistory entity="profiles" entityId={u.id} refreshKey={refreshKey} />
+                </td>
+              </tr>
             )}
-          </tr>
+          </Fragment>
         ))}
       </tbody>
     </table>
@@ -287,8 +812,11 @@ function UsersTable({ data, canEdit, onSwitch }) {
 }
 
 /* ───────── Sanctuaries table ───────── */
-function SanctuaryTable({ rows, caregivers, isAdmin, onEdit, onDelete }) {
-  if (!rows.length) return <p>No sanctuaries yet.</p>;
+function SanctuaryTable({
+  rows, sort, onSort, hotspots, caregivers, isAdmin, canEdit, onEdit, onDelete, refreshKey,
+}) {
+  const [openHistory, setOpenHistory] = useState(null);   // sanctuary id
+  if (!rows.length) return <p>No matching sanctuaries.</p>;
 
   const caregiverEmail = (id) =>
     caregivers.find(c => c.id === id)?.email || '–';
@@ -297,36 +825,122 @@ function SanctuaryTable({ rows, caregivers, isAdmin, onEdit, onDelete }) {
     <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
       <thead>
         <tr className="text-left text-gray-600">
-          <th>Name</th><th>Approved</th><th>Location</th><th>Radius km</th><th>Caregivers</th>
-          {isAdmin && <th>Actions</th>}
+          <SortHeader column="name" sort={sort} onSort={onSort}>Name</SortHeader>
+          <SortHeader column="approved" sort={sort} onSort={onSort}>Approved</SortHeader>
+          <th>Location</th>
+          <SortHeader column="radius_km" sort={sort} onSort={onSort}>Radius km</SortHeader>
+          <th>Caregivers</th>
+          <th>Rising hotspots</th>
+          {canEdit && <th>Actions</th>}
+          <th>History</th>
         </tr>
       </thead>
       <tbody>
         {rows.map(s => (
-          <tr key={s.id} className="bg-white shadow-sm rounded">
-            <td className="font-medium">{s.name}</td>
-            <td>{s.approved ? '✅' : '—'}</td>
-            <td>{Number(s.latitude).toFixed(4)}, {Number(s.longitude).toFixed(4)}</td>
-            <td>{Number(s.radius_km).toFixed(1)}</td>
-            <td>
-              {s.caregiver_assignments?.map(a => caregiverEmail(a.caregiver_id)).join(', ')}
-            </td>
-            {isAdmin && (
-              <td className="flex gap-2">
-                <button
-                  onClick={() => onEdit(s)}
-                  className="px-2 py-0.5 border rounded"
-                >
-                  Edit
-                </button>
+          <Fragment key={s.id}>
+            <tr className="bg-white shadow-sm rounded">
+              <td className="font-medium">{s.name}</td>
+              <td>{s.approved ? '✅' : reviewStatusOf(s.review_status).label}</td>
+              <td>{Number(s.latitude).toFixed(4)}, {Number(s.longitude).toFixed(4)}</td>
+              <td>{Number(s.radius_km).toFixed(1)}</td>
+              <td>
+                {s.caregiver_assignments?.map(a => caregiverEmail(a.caregiver_id)).join(', ')}
+              </td>
+              <td>
+                {!hotspots[s.id]?.length ? '—' : (
+                  <ul className="space-y-0.5">
+                    {hotspots[s.id].slice(0, 3).map(h => (
+                      <li key={h.key}>
+                        <Link
+                          href={`/map?lat=${h.lat.toFixed(5)}&lng=${h.lng.toFixed(5)}`}
+                          className="underline text-emerald-600"
+                        >
+                          🔥 {describeHotspot(h)}
+                        </Link>
+                      </li>
+                    ))}
+                    {hotspots[s.id].length > 3 && (
+                      <li className="text-gray-500">+{hotspots[s.id].length - 3} more</li>
+                    )}
+                  </ul>
+                )}
+              </td>
+              {canEdit && (
+                <td className="flex gap-2">
+                  <button
+                    onClick={() => onEdit(s)}
+                    className="px-2 py-0.5 border rounded"
+                  >
+                    {isAdmin ? 'Edit' : 'Hours & services'}
+                  </button>
+                  {isAdmin && (
+                    <button
+                      onClick={() => onDelete(s.id)}
+                      className="px-2 py-0.5 border rounded text-red-600"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              )}
+              <td>
                 <button
-                  onClick={() => onDelete(s.id)}
-                  className="px-2 py-0.5 border rounded text-red-600"
+                  onClick={() => setOpenHistory(openHistory === s.id ? null : s.id)}
+                  className="px-2 py-0.5 border rounded text-xs"
                 >
-                  Delete
+                  {openHistory === s.id ? 'Hide' : 'Show'}
                 </button>
               </td>
+            </tr>
+            {openHistory === s.id && (
+              <tr>
+                <td colSpan={canEdit ? 8 : 7} className="pl-4">
+                  <AuditHistory entity="sanctuaries" entityId={s.id} refreshKey={refreshKey} />
+                </td>
+              </tr>
             )}
+          </Fragment>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ───────── Audit table ───────── */
+function AuditTable({ rows, sort, onSort, onRow }) {
+  if (!rows.length) return <p>No matching changes.</p>;
+
+  return (
+    <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
+      <thead>
+        <tr className="text-left text-gray-600">
+          <SortHeader column="created_at" sort={sort} onSort={onSort}>When</SortHeader>
+          <SortHeader column="actor_email" sort={sort} onSort={onSort}>Who</SortHeader>
+          <SortHeader column="action" sort={sort} onSort={onSort}>Action</SortHeader>
+          <SortHeader column="entity" sort={sort} onSort={onSort}>Entity</SortHeader>
+          <th>Changes</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(e => (
+          <tr key={e.id} className="bg-white shadow-sm rounded align-top">
+            <td className="whitespace-nowrap">{new Date(e.created_at).toLocaleString()}</td>
+            <td>
+              {e.actor_email || `${e.actor_id?.slice(0, 8)}…`}
+              <span className="block text-xs text-gray-500">{e.actor_role}</span>
+            </td>
+            <td>{actionLabel(e.action)}</td>
+            <td className="whitespace-nowrap">
+              {entityLabel(e.entity)}{' '}
+              <button
+                onClick={() => onRow(e.entity, e.entity_id)}
+                className="underline text-emerald-600 text-xs"
+                title="Every change to this row"
+              >
+                #{e.entity_id.length > 12 ? `${e.entity_id.slice(0, 8)}…` : e.entity_id}
+              </button>
+            </td>
+            <td><AuditDiff entry={e} /></td>
           </tr>
         ))}
       </tbody>
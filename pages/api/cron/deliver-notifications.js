@@ -0,0 +1,122 @@
+// pages/api/cron/deliver-notifications.js
+// Sends the email / web push deliveries queued by fan_out_sighting().
+// Call it from a scheduler every minute or so:
+//   curl -H "Authorization: Bearer $CRON_SECRET" https://…/api/cron/deliver-notifications
+// Deliveries inside the recipient's quiet hours wait until they end;
+// failures retry with backoff, then are marked failed. Each batch is
+// claimed (status 'sending') by claim_notification_deliveries(), so
+// overlapping runs don't deliver twice.
+import { supabaseAdmin } from '../../../lib/supabaseAdmin';
+import { sendMail } from '../../../lib/mailer';
+import { sendPush } from '../../../lib/push';
+import { isCronRequest, retryDelayMinutes, minutesFromNow } from '../../../lib/cron';
+import { DEFAULT_PREFS, quietMinutesLeft } from '../../../lib/notifications';
+
+const BATCH        = 100;
+const MAX_ATTEMPTS = 6;
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
+
+/* ---------- channels ----------
+   Each resolves to 'sent' or 'skipped', or throws to retry. */
+async function deliverEmail(n) {
+  if (!n.user?.email) return 'skipped';
+  await sendMail({
+    to:      n.user.email,
+    subject: n.title,
+    text:    [n.body, `${SITE_URL}${n.url}`, `Notification settings: ${SITE_URL}/notifications`]
+      .filter(Boolean)
+      .join('\n\n'),
+  });
+  return 'sent';
+}
+
+async function deliverPush(n, subscriptions) {
+  if (!subscriptions.length) return 'skipped';
+
+  let sent = 0;
+  let lastError = null;
+  for (const sub of subscriptions) {
+    try {
+      await sendPush(sub, { title: n.title, body: n.body, url: n.url, tag: `sighting-${n.sighting_id}` });
+      sent += 1;
+    } catch (e) {
+      /* the browser unsubscribed: forget the endpoint */
+      if (e.statusCode === 404 || e.statusCode === 410) {
+        await supabaseAdmin.from('push_subscriptions').delete().eq('id', sub.id);
+      } else {
+        lastError = e;
+      }
+    }
+  }
+  if (sent) return 'sent';
+  if (lastError) throw lastError;
+  return 'skipped';
+}
+
+/* ────────────────────────────────────────── */
+export default async function handler(req, res) {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorised' });
+
+  const { data: due, error } = await supabaseAdmin
+    .rpc('claim_notification_deliveries', { p_limit: BATCH })
+    .select('*, notification:notifications ( *, user:profiles ( email ) )');
+  if (error) return res.status(500).json({ error: error.message });
+
+  /* recipients' preferences and push endpoints, in one query each */
+  const userIds = [...new Set(due.map((d) => d.notification.user_id))];
+  const [{ data: prefRows }, { data: subRows }] = await Promise.all([
+    supabaseAdmin.from('notification_prefs').select('*').in('user_id', userIds),
+    supabaseAdmin.from('push_subscriptions').select('*').in('user_id', userIds),
+  ]);
+  const prefsOf = (uid) => ({ ...DEFAULT_PREFS, ...prefRows?.find((p) => p.user_id === uid) });
+  const subsOf  = (uid) => (subRows || []).filter((s) => s.user_id === uid);
+
+  const tally = { sent: 0, skipped: 0, deferred: 0, retry: 0, failed: 0 };
+  const update = (d, patch) =>
+    supabaseAdmin.from('notification_deliveries').update(patch).eq('id', d.id);
+
+  for (const d of due) {
+    const n     = d.notification;
+    const prefs = prefsOf(n.user_id);
+
+    /* channel switched off since the report came in */
+    if (!prefs[d.channel]) {
+      await update(d, { status: 'skipped' });
+      tally.skipped += 1;
+      continue;
+    }
+
+    const wait = quietMinutesLeft(prefs);
+    if (wait) {
+      await update(d, { status: 'queued', next_attempt_at: minutesFromNow(wait) });
+      tally.deferred += 1;
+      continue;
+    }
+
+    const attempts = d.attempts + 1;
+    try {
+      const status = d.channel === 'email'
+        ? await deliverEmail(n)
+        : await deliverPush(n, subsOf(n.user_id));
+      await update(d, {
+        status,
+        attempts,
+        last_error: null,
+        sent_at:    status === 'sent' ? new Date().toISOString() : null,
+      });
+      tally[status] += 1;
+    } catch (e) {
+      const failed = attempts >= MAX_ATTEMPTS;
+      await update(d, {
+        status:          failed ? 'failed' : 'queued',
+        attempts,
+        last_error:      String(e.message || e),
+        next_attempt_at: minutesFromNow(retryDelayMinutes(attempts)),
+      });
+      tally[failed ? 'failed' : 'retry'] += 1;
+    }
+  }
+
+  res.status(200).json(tally);
+}
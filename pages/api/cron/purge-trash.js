@@ -0,0 +1,25 @@
+// pages/api/cron/purge-trash.js
+// Permanently removes sightings and sanctuaries that have sat in the
+// trash longer than TRASH_RETENTION_DAYS. Call it from a scheduler once a day:
+//   curl -H "Authorization: Bearer $CRON_SECRET" https://…/api/cron/purge-trash
+import { supabaseAdmin } from '../../../lib/supabaseAdmin';
+import { isCronRequest } from '../../../lib/cron';
+import { TRASH_KINDS, TRASH_RETENTION_DAYS } from '../../../lib/trash';
+
+export default async function handler(req, res) {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorised' });
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 86400000).toISOString();
+  const purged = {};
+  for (const { value: table } of TRASH_KINDS) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .lt('deleted_at', cutoff)
+      .select('id');
+    if (error) return res.status(500).json({ error: error.message, purged });
+    purged[table] = data.length;
+  }
+
+  res.status(200).json({ purged });
+}
@@ -0,0 +1,46 @@
+// pages/api/cron/send-emails.js
+// Drains email_outbox (filled by database triggers). Call it from a
+// scheduler every minute or so:
+//   curl -H "Authorization: Bearer $CRON_SECRET" https://…/api/cron/send-emails
+// Each batch is claimed (status 'sending') by claim_email_outbox(), so
+// overlapping runs don't send the same mail twice.
+import { supabaseAdmin } from '../../../lib/supabaseAdmin';
+import { sendMail } from '../../../lib/mailer';
+import { isCronRequest } from '../../../lib/cron';
+
+const BATCH        = 50;
+const MAX_ATTEMPTS = 5;     // then the row is marked failed
+
+export default async function handler(req, res) {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorised' });
+
+  const { data: queued, error } = await supabaseAdmin
+    .rpc('claim_email_outbox', { p_limit: BATCH });
+  if (error) return res.status(500).json({ error: error.message });
+
+  let sent = 0;
+  let failed = 0;
+  for (const m of queued) {
+    const attempts = m.attempts + 1;
+    try {
+      await sendMail({ to: m.to_email, subject: m.subject, text: m.body });
+      await supabaseAdmin
+        .from('email_outbox')
+        .update({ status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: null })
+        .eq('id', m.id);
+      sent += 1;
+    } catch (e) {
+      await supabaseAdmin
+        .from('email_outbox')
+        .update({
+          status:     attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+          attempts,
+          last_error: String(e.message || e),
+        })
+        .eq('id', m.id);
+      failed += 1;
+    }
+  }
+
+  res.status(200).json({ sent, failed });
+}
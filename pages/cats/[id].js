@@ -0,0 +1,151 @@
+// pages/cats/[id].js
+import { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { supabase } from '../../lib/supabaseClient';
+import { useAuth } from '../../components/AuthProvider';
+import { withVisibility, sightingThumb } from '../../lib/sightings';
+import { canWorkCases } from '../../lib/cases';
+import { saveCat, SEXES } from '../../lib/cats';
+import CaseStatus from '../../components/CaseStatus';
+import CatForm from '../../components/CatForm';
+
+const CatTrail = dynamic(() => import('../../components/CatTrail'), { ssr: false });
+
+export default function CatProfile() {
+  const router = useRouter();
+  const { id } = router.query;
+
+  const { user, role } = useAuth();
+  const me = useMemo(() => ({ id: user.id, role }), [user.id, role]);
+
+  const [loading,   setLoading]   = useState(true);
+  const [cat,       setCat]       = useState(null);
+  const [sightings, setSightings] = useState([]);
+  const [editing,   setEditing]   = useState(false);
+
+  /* ─── cat + its sightings ─── */
+  useEffect(() => {
+    if (!me || !id) return;
+    (async () => {
+      const { data: c } = await supabase
+        .from('cats')
+        .select('*')
+        .eq('id', id)
+        .single();
+      setCat(c);
+
+      const { data: s } = await withVisibility(
+        supabase.from('sightings').select('*').eq('cat_id', id),
+        { role: me.role, userId: me.id }
+      ).order('created_at', { ascending: true });
+      setSightings(s || []);
+      setLoading(false);
+    })();
+  }, [me, id]);
+
+  const save = async (form, photoFiles) => {
+    const { data, error } = await saveCat(form, { photoFiles, userId: me.id });
+    if (error) return alert(`Save failed: ${error.message}`);
+    setCat(data);
+    setEditing(false);
+  };
+
+  if (loading) return <p className="p-4">Loading cat…</p>;
+  if (!cat) return <p className="p-4">Cat not found.</p>;
+
+  const details = [
+    ['Coat',      [cat.coat_colour, cat.coat_pattern].filter(Boolean).join(' ') || '—'],
+    ['Sex',       SEXES.find((s) => s.value === cat.sex)?.label],
+    ['Ear-tip',   cat.ear_tipped ? 'Yes' : 'No'],
+    ['Microchip', cat.microchip || '—'],
+    ['Sightings', sightings.length],
+    ['Last seen', sightings.length
+      ? new Date(sightings[sightings.length - 1].created_at).toLocaleDateString()
+      : '—'],
+  ];
+
+  return (
+    <main className="p-4 max-w-3xl mx-auto space-y-6">
+      {/* header */}
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-emerald-700">{cat.name}</h1>
+        <div className="flex gap-3 items-center">
+          {canWorkCases(me.role) && (
+            <button
+              onClick={() => setEditing(true)}
+              className="px-3 py-1 border rounded text-sm"
+            >
+              Edit
+            </button>
+          )}
+          <Link href="/map" className="text-sm underline text-emerald-600">
+            ↩ Back to map
+          </Link>
+        </div>
+      </header>
+
+      {/* photos */}
+      {cat.photo_urls?.length > 0 && (
+        <div className="flex gap-2 overflow-x-auto">
+          {cat.photo_urls.map((u) => (
+            <img key={u} src={u} alt={cat.name} className="h-32 rounded object-cover" />
+          ))}
+        </div>
+      )}
+
+      {/* details */}
+      <dl className="grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+        {details.map(([k, v]) => (
+          <div key={k} className="bg-white shadow-sm rounded p-2">
+            <dt className="text-gray-500 text-xs">{k}</dt>
+            <dd className="font-medium">{v}</dd>
+          </div>
+        ))}
+      </dl>
+      {cat.notes && <p className="text-sm text-gray-700">{cat.notes}</p>}
+
+      {/* map trail */}
+      {sightings.length > 0 && (
+        <section>
+          <h2 className="text-lg font-semibold mb-2">Where {cat.name} has been seen</h2>
+          <CatTrail sightings={sightings} />
+        </section>
+      )}
+
+      {/* timeline */}
+      <section>
+        <h2 className="text-lg font-semibold mb-2">Timeline</h2>
+        {!sightings.length && <p className="text-sm">No sightings linked yet.</p>}
+        <ol className="border-l-2 border-emerald-200 pl-4 space-y-4">
+          {[...sightings].reverse().map((s) => (
+            <li key={s.id} className="text-sm">
+              <p className="text-gray-500">
+                {new Date(s.created_at).toLocaleString()} ·{' '}
+                <Link
+                  href={`/map?lat=${s.latitude}&lng=${s.longitude}&id=${s.id}`}
+                  className="underline text-emerald-600"
+                >
+                  on map
+                </Link>
+              </p>
+              <p>{s.notes || '—'}</p>
+              <p className="flex gap-2 items-center">
+                <CaseStatus status={s.status} />
+                {s.behaviour === 'injured' && <span className="text-red-600">injured</span>}
+              </p>
+              {sightingThumb(s) && (
+                <img src={sightingThumb(s)} alt="" className="mt-1 h-24 rounded object-cover" />
+              )}
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      {editing && (
+        <CatForm cat={cat} onSave={save} onClose={() => setEditing(false)} />
+      )}
+    </main>
+  );
+}
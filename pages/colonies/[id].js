@@ -0,0 +1,322 @@
+// pages/colonies/[id].js
+import { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { supabase } from '../../lib/supabaseClient';
+import { useAuth } from '../../components/AuthProvider';
+import { withVisibility } from '../../lib/sightings';
+import { canWorkCases } from '../../lib/cases';
+import { searchCats, saveCat, updateCat, NEUTER_STATUSES } from '../../lib/cats';
+import {
+  fetchColony,
+  saveColony,
+  linkSightingToColony,
+  sterilisedShare,
+  sterilisationSeries,
+  suggestSightings,
+} from '../../lib/colonies';
+import LineChart from '../../components/LineChart';
+import CatForm from '../../components/CatForm';
+
+const ColonyForm = dynamic(() => import('../../components/ColonyForm'), { ssr: false });
+
+/* metres → degrees, for the nearby-sightings bounding box */
+const M_PER_DEG = 111320;
+
+export default function ColonyDashboard() {
+  const router = useRouter();
+  const { id } = router.query;
+
+  const { user, role } = useAuth();
+  const me = useMemo(() => ({ id: user.id, role }), [user.id, role]);
+
+  const [colony,      setColony]      = useState(null);
+  const [missing,     setMissing]     = useState(false);
+  const [caregivers,  setCaregivers]  = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [linkedCount, setLinkedCount] = useState(0);
+  const [catTerm,     setCatTerm]     = useState('');
+  const [catResults,  setCatResults]  = useState([]);
+  const [editing,     setEditing]     = useState(false);
+  const [newCat,      setNewCat]      = useState(false);
+  const [refreshKey,  setRefreshKey]  = useState(0);
+
+  const refresh = () => setRefreshKey((k) => k + 1);
+
+  /* ─── colony, caregivers, nearby sightings ─── */
+  useEffect(() => {
+    if (!me || !id) return;
+    (async () => {
+      const { data: c } = await fetchColony(id);
+      if (!c) { setMissing(true); return; }
+      setColony(c);
+
+      const { data: cg } = await supabase
+        .from('profiles')
+        .select('id, email')
+        .eq('role', 'caregiver');
+      setCaregivers(cg || []);
+
+      const { count } = await supabase
+        .from('sightings')
+        .select('id', { count: 'exact', head: true })
+        .eq('colony_id', id)
+        .is('deleted_at', null);
+      setLinkedCount(count || 0);
+
+      const lat = Number(c.latitude);
+      const lng = Number(c.longitude);
+      const dLat = (c.radius_m * 2) / M_PER_DEG;
+      const dLng = dLat / Math.cos((lat * Math.PI) / 180);
+      const { data: near } = await withVisibility(
+        supabase.from('sightings')
+          .select('id, latitude, longitude, notes, behaviour, created_at, colony_id')
+          .is('colony_id', null)
+          .gte('latitude', lat - dLat).lte('latitude', lat + dLat)
+          .gte('longitude', lng - dLng).lte('longitude', lng + dLng),
+        { role: me.role, userId: me.id }
+      ).order('created_at', { ascending: false });
+      setSuggestions(suggestSightings(c, near || []));
+    })();
+  }, [me, id, refreshKey]);
+
+  /* ─── cat search for the roster ─── */
+  useEffect(() => {
+    if (!catTerm.trim()) { setCatResults([]); return; }
+    const t = setTimeout(() => {
+      searchCats(catTerm).then(({ data }) => setCatResults(data || []));
+    }, 250);
+    return () => clearTimeout(t);
+  }, [catTerm]);
+
+  /* ---------- mutations ---------- */
+  const run = async (promise) => {
+    const { error } = await promise;
+    if (error) { alert(error.message); return false; }
+    refresh();
+    return true;
+  };
+
+  const saveEdit = async (form, caregiverIds) => {
+    if (await run(saveColony(form, caregiverIds))) setEditing(false);
+  };
+
+  const addToRoster = async (catId) => {
+    if (await run(updateCat(catId, { colony_id: colony.id }))) setCatTerm('');
+  };
+
+  const createCat = async (form, photoFiles) => {
+    const { data, error } = await saveCat(form, { photoFiles, userId: me.id });
+    if (error) return alert(`Save failed: ${error.message}`);
+    await addToRoster(data.id);
+    setNewCat(false);
+  };
+
+  if (missing) return <p className="p-4">Colony not found.</p>;
+  if (!colony) return <p className="p-4">Loading colony…</p>;
+
+  const canEdit = canWorkCases(me.role);
+  const share   = sterilisedShare(colony);
+  const series  = sterilisationSeries(colony.cats || []).map((p) => ({
+    label: p.date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+    value: p.pct,
+  }));
+  const caregiverEmail = (cid) =>
+    caregivers.find((c) => c.id === cid)?.email || '–';
+
+  return (
+    <main className="p-6 max-w-5xl mx-auto space-y-6">
+      {/* header */}
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-emerald-700">{colony.name}</h1>
+        <div className="flex gap-3 items-center">
+          {canEdit && (
+            <button onClick={() => setEditing(true)} className="px-3 py-1 border rounded text-sm">
+              Edit
+            </button>
+          )}
+          <Link
+            href={`/map?lat=${colony.latitude}&lng=${colony.longitude}`}
+            className="text-sm underline text-emerald-600"
+          >
+            Show on map
+          </Link>
+          <Link href="/colonies" className="text-sm underline text-emerald-600">
+            ↩ All colonies
+          </Link>
+        </div>
+      </header>
+
+      {/* KPIs */}
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+        {[
+          ['Sterilised', share.pct == null ? '—' : `${share.pct}%`],
+          ['Neutered / total', `${share.neutered} / ${share.total}`],
+          ['Estimated headcount', colony.estimated_count ?? '—'],
+          ['Linked sightings', linkedCount],
+        ].map(([k, v]) => (
+          <div key={k} className="bg-white shadow-sm rounded p-2">
+            <dt className="text-gray-500 text-xs">{k}</dt>
+            <dd className="text-lg font-medium">{v}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {/* chart */}
+      <section>
+        <h2 className="text-lg font-semibold mb-2">Sterilised over the last year</h2>
+        <LineChart points={series} max={100} unit="%" />
+      </section>
+
+      {/* schedule + caregivers */}
+      <section className="grid sm:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h2 className="text-lg font-semibold mb-1">Feeding</h2>
+          <p>{colony.feeding_times?.join(' · ') || 'No schedule set'}</p>
+          {colony.feeding_notes && <p className="text-gray-600 mt-1">{colony.feeding_notes}</p>}
+        </div>
+        <div>
+          <h2 className="text-lg font-semibold mb-1">Caregivers</h2>
+          <p>
+            {colony.colony_caregivers?.map((a) => caregiverEmail(a.caregiver_id)).join(', ') || '—'}
+          </p>
+        </div>
+      </section>
+
+      {/* roster */}
+      <section>
+        <h2 className="text-lg font-semibold mb-2">Roster</h2>
+        {!colony.cats?.length ? (
+          <p className="text-sm">No cats on the roster yet.</p>
+        ) : (
+          <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th>Name</th><th>Coat</th><th>Sex</th><th>Neuter status</th><th>Neutered on</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {colony.cats.map((c) => (
+                <tr key={c.id} className="bg-white shadow-sm rounded">
+                  <td className="font-medium">
+                    <Link href={`/cats/${c.id}`} className="underline text-emerald-700">{c.name}</Link>
+                  </td>
+                  <td>{[c.coat_colour, c.coat_pattern].filter(Boolean).join(' ') || '—'}</td>
+                  <td>{c.sex}</td>
+                  <td>
+                    {canEdit ? (
+                      <select
+                        value={c.neuter_status}
+                        onChange={(e) => run(updateCat(c.id, { neuter_status: e.target.value }))}
+                        className="border p-1 rounded text-xs"
+                      >
+                        {NEUTER_STATUSES.map((s) => (
+                          <option key={s.value} value={s.value}>{s.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      NEUTER_STATUSES.find((s) => s.value === c.neuter_status)?.label
+                    )}
+                  </td>
+                  <td>{c.neutered_at ? new Date(c.neutered_at).toLocaleDateString() : '—'}</td>
+                  {canEdit && (
+                    <td>
+                      <button
+                        onClick={() => run(updateCat(c.id, { colony_id: null }))}
+                        className="px-2 py-0.5 border rounded text-red-600 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {canEdit && (
+          <div className="mt-3 max-w-md space-y-2">
+            <div className="flex gap-2">
+              <input
+                value={catTerm}
+                onChange={(e) => setCatTerm(e.target.value)}
+                placeholder="Add a known cat: search name or microchip"
+                className="flex-1 p-2 border rounded text-sm"
+              />
+              <button
+                onClick={() => setNewCat(true)}
+                className="px-3 py-1 bg-emerald-600 text-white rounded text-sm"
+              >
+                + New cat
+              </button>
+            </div>
+            {catResults.length > 0 && (
+              <ul className="border rounded divide-y text-sm">
+                {catResults.map((c) => (
+                  <li key={c.id} className="flex items-center justify-between p-2">
+                    <span>
+                      {c.name}
+                      {c.colony_id && c.colony_id !== colony.id && (
+                        <span className="text-xs text-gray-500"> (in another colony)</span>
+                      )}
+                    </span>
+                    {c.colony_id !== colony.id && (
+                      <button onClick={() => addToRoster(c.id)} className="px-2 py-0.5 border rounded text-xs">
+                        Add
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </section>
+
+      {/* suggested sightings */}
+      <section>
+        <h2 className="text-lg font-semibold mb-2">Nearby sightings not yet linked</h2>
+        {!suggestions.length ? (
+          <p className="text-sm">Nothing to suggest.</p>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {suggestions.map((s) => (
+              <li key={s.id} className="bg-white shadow-sm rounded p-2 flex items-center justify-between gap-2">
+                <span>
+                  <span className="text-gray-500">
+                    {new Date(s.created_at).toLocaleDateString()} · {s.distance_m} m away
+                  </span>
+                  {s.behaviour === 'injured' && <span className="text-red-600"> · injured</span>}
+                  <span className="block">{s.notes || '—'}</span>
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => run(linkSightingToColony(s.id, colony.id))}
+                    className="px-2 py-0.5 border rounded text-xs"
+                  >
+                    Link
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {editing && (
+        <ColonyForm
+          colony={colony}
+          caregivers={caregivers}
+          onSave={saveEdit}
+          onClose={() => setEditing(false)}
+        />
+      )}
+      {newCat && (
+        <CatForm onSave={createCat} onClose={() => setNewCat(false)} />
+      )}
+    </main>
+  );
+}
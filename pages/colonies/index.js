@@ -0,0 +1,104 @@
+// pages/colonies/index.js
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { supabase } from '../../lib/supabaseClient';
+import { useAuth } from '../../components/AuthProvider';
+import { canWorkCases } from '../../lib/cases';
+import { fetchColonies, saveColony, sterilisedShare } from '../../lib/colonies';
+
+/* Lazy-load colony form (MiniMap avoids SSR) */
+const ColonyForm = dynamic(() => import('../../components/ColonyForm'), { ssr: false });
+
+export default function Colonies() {
+  const router = useRouter();
+
+  const { role: myRole } = useAuth();
+
+  const [colonies,   setColonies]   = useState([]);
+  const [caregivers, setCaregivers] = useState([]);
+  const [creating,   setCreating]   = useState(false);
+
+  /* ─── colonies + caregivers ─── */
+  useEffect(() => {
+    fetchColonies().then(({ data }) => setColonies(data || []));
+    supabase
+      .from('profiles')
+      .select('id, email')
+      .eq('role', 'caregiver')
+      .then(({ data }) => setCaregivers(data || []));
+  }, []);
+
+  const create = async (form, caregiverIds) => {
+    const { data, error } = await saveColony(form, caregiverIds);
+    if (error) return alert(`Save failed: ${error.message}`);
+    setCreating(false);
+    router.push(`/colonies/${data.id}`);
+  };
+
+  const caregiverEmail = (id) =>
+    caregivers.find((c) => c.id === id)?.email || '–';
+
+  return (
+    <main className="p-6 max-w-5xl mx-auto">
+      <header className="flex items-center justify-between mb-4">
+        <h1 className="text-2xl font-semibold text-emerald-700">Colonies</h1>
+        <Link href="/map" className="text-sm underline text-emerald-600">
+          ↩ Back to map
+        </Link>
+      </header>
+
+      {canWorkCases(myRole) && (
+        <button
+          onClick={() => setCreating(true)}
+          className="mb-4 px-3 py-1 rounded bg-emerald-600 text-white"
+        >
+          + Add colony
+        </button>
+      )}
+
+      {!colonies.length ? (
+        <p>No colonies yet.</p>
+      ) : (
+        <table className="min-w-full text-sm border-separate [border-spacing:0.5rem]">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th>Name</th><th>Est. headcount</th><th>On roster</th>
+              <th>Sterilised</th><th>Feeding</th><th>Caregivers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {colonies.map((c) => {
+              const share = sterilisedShare(c);
+              return (
+                <tr key={c.id} className="bg-white shadow-sm rounded">
+                  <td className="font-medium">
+                    <Link href={`/colonies/${c.id}`} className="underline text-emerald-700">
+                      {c.name}
+                    </Link>
+                  </td>
+                  <td>{c.estimated_count ?? '—'}</td>
+                  <td>{c.cats?.length ?? 0}</td>
+                  <td>{share.pct == null ? '—' : `${share.pct}%`}</td>
+                  <td>{c.feeding_times?.join(', ') || '—'}</td>
+                  <td>
+                    {c.colony_caregivers?.map((a) => caregiverEmail(a.caregiver_id)).join(', ')}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {creating && (
+        <ColonyForm
+          caregivers={caregivers}
+          onSave={create}
+          onClose={() => setCreating(false)}
+        />
+      )}
+    </main>
+  );
+}
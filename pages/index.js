@@ -1,55 +1,166 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabaseClient';
 import { useRouter } from 'next/router';
+import { normalisePhone } from '../lib/profile';
+import { safeNext, loginPath } from '../lib/guards';
+import { useAuth } from '../components/AuthProvider';
+
+const CODE_LENGTH = 6;
 
 export default function Home() {
+  const [method, setMethod] = useState('email');   // 'email' | 'phone'
   const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [sentTo, setSentTo] = useState(null);      // E.164 number awaiting its code
+  const [code, setCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const router = useRouter();
+  const { user } = useAuth();
+
+  /* back to the page that sent us here (middleware / AuthProvider add ?next=) */
+  const next = safeNext(router.query.next);
 
   useEffect(() => {
-    const {
-      data: { subscription },
-    } = supabase.auth.onAuthStateChange((event, session) => {
-      if (session) {
-        router.push('/map');
-      }
-    });
+    if (user) router.replace(next);
+  }, [user, next, router]);
 
-    return () => subscription.unsubscribe();
-  }, [router]);
+  /* magic links and Google come back here, still carrying ?next= */
+  const returnTo = () => `${window.location.origin}${loginPath(router.query.next ? next : null)}`;
 
   const signInWithEmail = async () => {
     setLoading(true);
-    const { error } = await supabase.auth.signInWithOtp({ email });
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: returnTo() },
+    });
     setMessage(error ? error.message : 'Check your email for the login link!');
     setLoading(false);
   };
 
+  /* step 1: text a code to the number */
+  const sendCode = async () => {
+    const e164 = normalisePhone(phone);
+    if (!e164) return setMessage('Enter the number with its country code, e.g. +30 691 234 5678');
+    setLoading(true);
+    const { error } = await supabase.auth.signInWithOtp({ phone: e164 });
+    setLoading(false);
+    if (error) return setMessage(error.message);
+    setSentTo(e164);
+    setCode('');
+    setMessage(`We texted a ${CODE_LENGTH}-digit code to ${e164}.`);
+  };
+
+  /* step 2: the code signs in; the effect above does the redirect */
+  const verifyCode = async () => {
+    setLoading(true);
+    const { error } = await supabase.auth.verifyOtp({ phone: sentTo, token: code, type: 'sms' });
+    setLoading(false);
+    if (error) setMessage(error.message);
+  };
+
+  const switchMethod = (m) => {
+    setMethod(m);
+    setSentTo(null);
+    setMessage('');
+  };
+
   const signInWithGoogle = async () => {
-    const { error } = await supabase.auth.signInWithOAuth({ provider: 'google' });
+    const { error } = await supabase.auth.signInWithOAuth({
+      provider: 'google',
+      options:  { redirectTo: returnTo() },
+    });
     if (error) alert(error.message);
   };
 
   return (
     <main className="min-h-screen flex flex-col items-center justify-center p-4 space-y-6">
       <h1 className="text-3xl font-bold text-emerald-600">Welcome to Ela Kitty</h1>
+      {router.query.expired && (
+        <p className="text-sm bg-amber-100 text-amber-800 px-3 py-2 rounded">
+          Your session expired. Please sign in again.
+        </p>
+      )}
       <div className="space-y-4 w-full max-w-sm">
-        <input
-          type="email"
-          placeholder="Email address"
-          value={email}
-          onChange={(e) => setEmail(e.target.value)}
-          className="w-full px-4 py-2 border rounded"
-        />
-        <button
-          onClick={signInWithEmail}
-          disabled={loading}
-          className="w-full bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700"
-        >
-          {loading ? 'Sending...' : 'Send Magic Link'}
-        </button>
+        <div className="flex border rounded overflow-hidden text-sm">
+          {[['email', 'Email'], ['phone', 'Phone']].map(([m, label]) => (
+            <button
+              key={m}
+              onClick={() => switchMethod(m)}
+              className={`flex-1 py-1 ${method === m ? 'bg-emerald-600 text-white' : 'bg-white'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {method === 'email' && (
+          <>
+            <input
+              type="email"
+              placeholder="Email address"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-2 border rounded"
+            />
+            <button
+              onClick={signInWithEmail}
+              disabled={loading}
+              className="w-full bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700"
+            >
+              {loading ? 'Sending...' : 'Send Magic Link'}
+            </button>
+          </>
+        )}
+
+        {method === 'phone' && !sentTo && (
+          <>
+            <input
+              type="tel"
+              autoComplete="tel"
+              placeholder="Mobile number, e.g. +30 691 234 5678"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              className="w-full px-4 py-2 border rounded"
+            />
+            <button
+              onClick={sendCode}
+              disabled={loading}
+              className="w-full bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700"
+            >
+              {loading ? 'Sending...' : 'Text me a code'}
+            </button>
+          </>
+        )}
+
+        {method === 'phone' && sentTo && (
+          <>
+            <input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder={`${CODE_LENGTH}-digit code`}
+              maxLength={CODE_LENGTH}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              className="w-full px-4 py-2 border rounded tracking-widest text-center"
+            />
+            <button
+              onClick={verifyCode}
+              disabled={loading || code.length !== CODE_LENGTH}
+              className="w-full bg-emerald-600 text-white py-2 rounded hover:bg-emerald-700 disabled:opacity-50"
+            >
+              {loading ? 'Checking...' : 'Sign in'}
+            </button>
+            <div className="flex justify-between text-sm">
+              <button onClick={() => switchMethod('phone')} className="underline text-gray-600">
+                Change number
+              </button>
+              <button onClick={sendCode} disabled={loading} className="underline text-emerald-600">
+                Resend code
+              </button>
+            </div>
+          </>
+        )}
 
         <div className="flex items-center justify-center">
           <span className="text-sm text-gray-500">or</span>
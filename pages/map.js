@@ -1,35 +1,31 @@
 // pages/map.js
-import { useEffect, useState } from 'react';
+import { useMemo } from 'react';
 import { useRouter } from 'next/router';
 import dynamic from 'next/dynamic';
-import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../components/AuthProvider';
+import { parseFilters, filtersToQuery } from '../lib/filters';
 
 const MapView = dynamic(() => import('../components/MapView'), { ssr: false });
 
 export default function MapPage() {
   const router = useRouter();
   const { lat, lng, id } = router.query;              // ← query-params
-  const [loading, setLoading] = useState(true);
-
-  /* ─── auth guard ─── */
-  useEffect(() => {
-    supabase.auth.getSession().then(({ data: { session } }) => {
-      if (!session) {
-        router.push('/');
-      } else {
-        setLoading(false);
-      }
-    });
-  }, [router]);
-
-  /* ─── logout ─── */
-  const logout = async () => {
-    await supabase.auth.signOut();
-    router.push('/');
+  const { signOut } = useAuth();
+
+  /* filters live in the query string so filtered views can be shared */
+  const filters = useMemo(() => parseFilters(router.query), [router.query]);
+  const setFilters = (next) => {
+    const keep = {};
+    if (lat) keep.lat = lat;
+    if (lng) keep.lng = lng;
+    if (id)  keep.id  = id;
+    router.replace(
+      { pathname: '/map', query: { ...keep, ...filtersToQuery(next) } },
+      undefined,
+      { shallow: true }
+    );
   };
 
-  if (loading) return <p className="p-4">Loading map…</p>;
-
   return (
     <>
       {/* Map component receives optional focus props */}
@@ -37,12 +33,14 @@ export default function MapPage() {
         focusLat={lat ? parseFloat(lat) : null}
         focusLng={lng ? parseFloat(lng) : null}
         highlightId={id ?? null}
+        filters={filters}
+        onFiltersChange={setFilters}
       />
 
       {/* Top bar */}
       <div className="fixed top-0 left-0 right-0 z-10 flex justify-between items-center bg-white/90 backdrop-blur px-4 py-3 shadow">
         <h1 className="text-xl font-semibold text-emerald-700">Ela Kitty</h1>
-        <button onClick={logout} className="text-sm text-emerald-600 underline">
+        <button onClick={() => signOut()} className="text-sm text-emerald-600 underline">
           Logout
         </button>
       </div>
@@ -0,0 +1,193 @@
+// pages/notifications.js
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '../components/AuthProvider';
+import { subscribeToNotifications } from '../lib/realtime';
+import {
+  URGENCY_OPTIONS,
+  fetchNotifications,
+  markAllRead,
+  fetchPrefs,
+  savePrefs,
+  pushSupported,
+  enablePush,
+  disablePush,
+} from '../lib/notifications';
+
+/* "HH:MM:SS" from the db → "HH:MM" for <input type="time"> */
+const hhmm = (t) => (t ? t.slice(0, 5) : '');
+
+export default function Notifications() {
+  const { user, sanctuaries } = useAuth();   // sanctuaries: mine, [{ id, name }]
+  const userId = user.id;
+
+  const [items,       setItems]       = useState([]);
+  const [prefs,       setPrefs]       = useState(null);
+  const [saving,      setSaving]      = useState(false);
+
+  /* ─── feed + prefs ─── */
+  useEffect(() => {
+    fetchNotifications(userId).then(({ data }) => {
+      setItems(data || []);
+      markAllRead(userId);        // opening the page counts as reading
+    });
+    fetchPrefs(userId).then(({ data }) => setPrefs(data));
+
+    return subscribeToNotifications(userId, (row) => setItems(p => [row, ...p]), 'inbox');
+  }, [userId]);
+
+  const set = (k, v) => setPrefs(p => ({ ...p, [k]: v }));
+
+  /* null = every sanctuary; an explicit list otherwise */
+  const toggleSanctuary = (id) => {
+    const all = sanctuaries.map(s => s.id);
+    const cur = prefs.sanctuary_ids ?? all;
+    const next = cur.includes(id) ? cur.filter(x => x !== id) : [...cur, id];
+    set('sanctuary_ids', next.length === all.length ? null : next);
+  };
+
+  /* saved straight away: the subscription itself already changed */
+  const togglePush = async () => {
+    const { error } = prefs.push ? await disablePush() : await enablePush(userId);
+    if (error) return alert(error.message);
+    const next = { ...prefs, push: !prefs.push };
+    setPrefs(next);
+    const { error: saveError } = await savePrefs(userId, next);
+    if (saveError) alert(saveError.message);
+  };
+
+  const save = async () => {
+    if (!!prefs.quiet_start !== !!prefs.quiet_end) {
+      return alert('Set both the start and end of quiet hours, or neither');
+    }
+    setSaving(true);
+    const { data, error } = await savePrefs(userId, prefs);
+    setSaving(false);
+    if (error) return alert(error.message);
+    setPrefs(p => ({ ...p, ...data }));
+  };
+
+  if (!prefs) return <p className="p-4">Loading…</p>;
+
+  return (
+    <main className="p-4 max-w-xl mx-auto space-y-6">
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-emerald-600">Notifications</h1>
+        <Link href="/map" className="text-sm underline text-emerald-600">↩ Map</Link>
+      </header>
+
+      {/* ───── feed ───── */}
+      <section>
+        {!items.length && (
+          <p className="text-sm text-gray-600">
+            Nothing yet. Caregivers are notified about reports in their sanctuaries.
+          </p>
+        )}
+        <ul className="space-y-2 text-sm">
+          {items.map(n => (
+            <li
+              key={n.id}
+              className={`bg-white shadow-sm rounded p-2 border-l-4 ${
+                n.urgent ? 'border-red-500' : 'border-gray-200'
+              } ${n.read_at ? '' : 'font-medium'}`}
+            >
+              <a href={n.url} className="block">
+                <span>{n.urgent && '🚑 '}{n.title}</span>
+                {n.body && <span className="block text-gray-600 font-normal truncate">{n.body}</span>}
+                <span className="block text-xs text-gray-500 font-normal">
+                  {new Date(n.created_at).toLocaleString()}
+                </span>
+              </a>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {/* ───── preferences ───── */}
+      <section className="space-y-3 text-sm">
+        <h2 className="font-semibold">Preferences</h2>
+
+        <label className="block">
+          <span className="text-gray-600">Notify me about</span>
+          <select
+            value={prefs.min_urgency}
+            onChange={(e) => set('min_urgency', e.target.value)}
+            className="ml-2 border p-1 rounded"
+          >
+            {URGENCY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+
+        {sanctuaries.length > 1 && (
+          <fieldset className="border p-2 rounded">
+            <legend className="px-1 text-gray-600">In these sanctuaries</legend>
+            {sanctuaries.map(s => (
+              <label key={s.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!prefs.sanctuary_ids || prefs.sanctuary_ids.includes(s.id)}
+                  onChange={() => toggleSanctuary(s.id)}
+                />
+                {s.name}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        <fieldset className="border p-2 rounded space-y-1">
+          <legend className="px-1 text-gray-600">Besides this page</legend>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={prefs.email} onChange={(e) => set('email', e.target.checked)} />
+            Email
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={prefs.push}
+              disabled={!pushSupported()}
+              onChange={togglePush}
+            />
+            Push notifications on this device
+            {!pushSupported() && <span className="text-gray-500">(not available)</span>}
+          </label>
+        </fieldset>
+
+        <fieldset className="border p-2 rounded">
+          <legend className="px-1 text-gray-600">Quiet hours (email and push wait until they end)</legend>
+          <div className="flex items-center gap-2">
+            <input
+              type="time"
+              value={hhmm(prefs.quiet_start)}
+              onChange={(e) => set('quiet_start', e.target.value || null)}
+              className="border p-1 rounded"
+            />
+            <span>–</span>
+            <input
+              type="time"
+              value={hhmm(prefs.quiet_end)}
+              onChange={(e) => set('quiet_end', e.target.value || null)}
+              className="border p-1 rounded"
+            />
+            <select
+              value={prefs.time_zone}
+              onChange={(e) => set('time_zone', e.target.value)}
+              className="border p-1 rounded"
+            >
+              {[...new Set([prefs.time_zone, Intl.DateTimeFormat().resolvedOptions().timeZone])].map(z => (
+                <option key={z} value={z}>{z}</option>
+              ))}
+            </select>
+          </div>
+        </fieldset>
+
+        <button
+          onClick={save}
+          disabled={saving}
+          className="px-4 py-1 bg-emerald-600 text-white rounded"
+        >
+          {saving ? 'Saving…' : 'Save preferences'}
+        </button>
+      </section>
+    </main>
+  );
+}
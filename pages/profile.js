@@ -0,0 +1,261 @@
+// pages/profile.js
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '../components/AuthProvider';
+import {
+  CONTACT_OPTIONS,
+  DISPLAY_NAME_MAX,
+  normalisePhone,
+  saveProfile,
+  fetchIdentities,
+  linkGoogle,
+  unlinkIdentity,
+  addEmail,
+  addPhone,
+  verifyPhoneChange,
+  deleteMyAccount,
+} from '../lib/profile';
+
+/* how each auth provider reads in the list */
+const PROVIDER_LABELS = { email: 'Email', phone: 'Phone', google: 'Google' };
+
+const identityDetail = (i) =>
+  i.identity_data?.email || (i.identity_data?.phone ? `+${i.identity_data.phone}` : '');
+
+export default function Profile() {
+  const { user, profile: saved, refresh, signOut } = useAuth();
+
+  const [profile,    setProfile]    = useState(saved);   // edited copy
+  const [identities, setIdentities] = useState([]);
+  const [saving,     setSaving]     = useState(false);
+
+  /* adding a sign-in method */
+  const [newEmail,   setNewEmail]   = useState('');
+  const [newPhone,   setNewPhone]   = useState('');
+  const [phoneSent,  setPhoneSent]  = useState(null);   // E.164 awaiting its code
+  const [phoneCode,  setPhoneCode]  = useState('');
+
+  const loadIdentities = () =>
+    fetchIdentities().then(({ data, error }) => {
+      if (error) alert(error.message);
+      setIdentities(data);
+    });
+
+  useEffect(() => { setProfile(saved); }, [saved]);
+
+  /* re-read whenever AuthProvider swaps the user (a phone / email was confirmed) */
+  useEffect(() => { loadIdentities(); }, [user]);
+
+  const set = (k, v) => setProfile(p => ({ ...p, [k]: v }));
+
+  /* ---------- settings ---------- */
+  const save = async () => {
+    if (profile.contact_ok && profile.contact_via === 'phone' && !user.phone) {
+      return alert('Add a phone number below before choosing to be contacted by phone');
+    }
+    if (profile.contact_ok && profile.contact_via === 'email' && !user.email) {
+      return alert('Add an email address below before choosing to be contacted by email');
+    }
+    setSaving(true);
+    const { error } = await saveProfile(user.id, profile);
+    setSaving(false);
+    if (error) return alert(error.message);
+    refresh();                    // map badge etc. pick up the new name
+  };
+
+  /* ---------- sign-in methods ---------- */
+  const unlink = async (identity) => {
+    if (!confirm(`Stop signing in with ${PROVIDER_LABELS[identity.provider] || identity.provider}?`)) return;
+    const { error } = await unlinkIdentity(identity);
+    if (error) return alert(error.message);
+    loadIdentities();
+  };
+
+  const link = async () => {
+    const { error } = await linkGoogle();   // leaves the page on success
+    if (error) alert(error.message);
+  };
+
+  const sendEmailLink = async () => {
+    const { error } = await addEmail(newEmail.trim());
+    if (error) return alert(error.message);
+    setNewEmail('');
+    alert('Check that inbox for a confirmation link.');
+  };
+
+  const sendPhoneCode = async () => {
+    const e164 = normalisePhone(newPhone);
+    if (!e164) return alert('Enter the number with its country code, e.g. +30 691 234 5678');
+    const { error } = await addPhone(e164);
+    if (error) return alert(error.message);
+    setPhoneSent(e164);
+    setPhoneCode('');
+  };
+
+  const confirmPhone = async () => {
+    const { error } = await verifyPhoneChange(phoneSent, phoneCode);
+    if (error) return alert(error.message);
+    setPhoneSent(null);
+    setNewPhone('');
+    refresh();
+  };
+
+  /* ---------- delete account ---------- */
+  const remove = async () => {
+    const typed = window.prompt(
+      'This deletes your account for good. Your sightings stay on the map without your name.\n\n' +
+      'Type DELETE to confirm.'
+    );
+    if (typed !== 'DELETE') return;
+    const { error } = await deleteMyAccount();
+    if (error) return alert(error.message);
+    signOut({ scope: 'local' });
+  };
+
+  if (!profile) return <p className="p-4">Loading…</p>;
+
+  const has = (provider) => identities.some(i => i.provider === provider);
+
+  return (
+    <main className="p-4 max-w-xl mx-auto space-y-6 text-sm">
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-emerald-600">Your profile</h1>
+        <Link href="/map" className="text-sm underline text-emerald-600">↩ Map</Link>
+      </header>
+
+      {/* ───── name + contact ───── */}
+      <section className="space-y-3">
+        <label className="block">
+          <span className="text-gray-600">Display name</span>
+          <input
+            value={profile.display_name || ''}
+            maxLength={DISPLAY_NAME_MAX}
+            placeholder={user.email || 'How caregivers see you'}
+            onChange={(e) => set('display_name', e.target.value)}
+            className="block w-full border p-1 rounded"
+          />
+        </label>
+
+        <fieldset className="border p-2 rounded space-y-1">
+          <legend className="px-1 text-gray-600">Contact about my reports</legend>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={profile.contact_ok}
+              onChange={(e) => set('contact_ok', e.target.checked)}
+            />
+            Caregivers handling a cat I reported may contact me
+          </label>
+          <select
+            value={profile.contact_via}
+            disabled={!profile.contact_ok}
+            onChange={(e) => set('contact_via', e.target.value)}
+            className="border p-1 rounded"
+          >
+            {CONTACT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </fieldset>
+
+        <button
+          onClick={save}
+          disabled={saving}
+          className="px-4 py-1 bg-emerald-600 text-white rounded"
+        >
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+
+        <p>
+          <Link href="/notifications" className="underline text-emerald-600">Notification settings</Link>
+        </p>
+      </section>
+
+      {/* ───── sign-in methods ───── */}
+      <section className="space-y-3">
+        <h2 className="font-semibold">Sign-in methods</h2>
+        <ul className="space-y-1">
+          {identities.map(i => (
+            <li key={i.identity_id || i.id} className="flex items-center justify-between bg-white shadow-sm rounded p-2">
+              <span>
+                {PROVIDER_LABELS[i.provider] || i.provider}
+                <span className="text-gray-600"> · {identityDetail(i)}</span>
+              </span>
+              {identities.length > 1 && (
+                <button onClick={() => unlink(i)} className="text-xs underline text-red-600">
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {!has('google') && (
+          <button onClick={link} className="flex items-center border px-3 py-1 rounded bg-white">
+            <img src="/google-icon.svg" alt="" className="w-4 h-4 mr-2" />
+            Link Google account
+          </button>
+        )}
+
+        {!user.email && (
+          <div className="flex gap-2">
+            <input
+              type="email"
+              placeholder="Add an email address"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+              className="flex-1 border p-1 rounded"
+            />
+            <button onClick={sendEmailLink} disabled={!newEmail.trim()} className="px-3 border rounded">
+              Add
+            </button>
+          </div>
+        )}
+
+        {!user.phone && !phoneSent && (
+          <div className="flex gap-2">
+            <input
+              type="tel"
+              placeholder="Add a mobile number"
+              value={newPhone}
+              onChange={(e) => setNewPhone(e.target.value)}
+              className="flex-1 border p-1 rounded"
+            />
+            <button onClick={sendPhoneCode} disabled={!newPhone.trim()} className="px-3 border rounded">
+              Text code
+            </button>
+          </div>
+        )}
+
+        {phoneSent && (
+          <div className="flex gap-2 items-center">
+            <span className="text-gray-600">Code sent to {phoneSent}</span>
+            <input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={phoneCode}
+              onChange={(e) => setPhoneCode(e.target.value.replace(/\D/g, ''))}
+              className="w-24 border p-1 rounded tracking-widest text-center"
+            />
+            <button onClick={confirmPhone} disabled={!phoneCode} className="px-3 border rounded">
+              Confirm
+            </button>
+            <button onClick={() => setPhoneSent(null)} className="underline text-gray-600">
+              Cancel
+            </button>
+          </div>
+        )}
+      </section>
+
+      {/* ───── delete ───── */}
+      <section className="space-y-2 border-t pt-4">
+        <h2 className="font-semibold text-red-600">Delete account</h2>
+        <p className="text-gray-600">
+          Your sightings stay on the map so the cats keep getting help, but no longer show who
+          reported them. Cats and colonies you added stay too.
+        </p>
+        <button onClick={remove} className="px-4 py-1 bg-red-600 text-white rounded">
+          Delete my account
+        </button>
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,101 @@
+// pages/register.js
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { useAuth } from '../components/AuthProvider';
+import { submitSanctuary, fetchMyRegistrations, reviewStatusOf } from '../lib/sanctuaries';
+
+/* Lazy-load sanctuary form (avoids SSR leaflet issues) */
+const SanctuaryForm = dynamic(() => import('../components/SanctuaryForm'), { ssr: false });
+
+/* applicants may still edit these; approved / rejected are final */
+const EDITABLE = ['pending', 'changes_requested'];
+
+export default function Register() {
+  const userId = useAuth().user.id;
+
+  const [mine,    setMine]    = useState([]);
+  const [editing, setEditing] = useState(null);   // {} = new, row = resubmit
+
+  const load = () =>
+    fetchMyRegistrations(userId).then(({ data }) => setMine(data || []));
+
+  useEffect(() => {
+    load();
+  }, [userId]);
+
+  const submit = async (form) => {
+    const { error } = await submitSanctuary(form, userId);
+    if (error) return alert(error.message);
+    setEditing(null);
+    load();
+  };
+
+  return (
+    <main className="p-4 max-w-xl mx-auto space-y-4">
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-emerald-600">Register your sanctuary</h1>
+        <Link href="/map" className="text-sm underline text-emerald-600">↩ Map</Link>
+      </header>
+
+      <p className="text-sm text-gray-700">
+        Run a shelter, TNR group or feeding network? Register it and, once an
+        admin approves it, it appears on the map and reports inside your
+        service area are routed to you. We email you when its status changes.
+      </p>
+
+      <button
+        onClick={() => setEditing({})}
+        className="px-4 py-2 rounded bg-emerald-600 text-white"
+      >
+        + Register a sanctuary
+      </button>
+
+      {mine.length > 0 && (
+        <section>
+          <h2 className="font-semibold mb-2">Your registrations</h2>
+          <ul className="space-y-2 text-sm">
+            {mine.map(s => {
+              const status = reviewStatusOf(s.review_status);
+              return (
+                <li key={s.id} className="bg-white shadow-sm rounded p-2 space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium">{s.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${status.badge}`}>
+                      {status.label}
+                    </span>
+                  </div>
+                  {s.review_note && s.review_status !== 'pending' && (
+                    <p className="text-gray-700 whitespace-pre-line">{s.review_note}</p>
+                  )}
+                  {s.review_status === 'approved' && (
+                    <Link href="/admin" className="underline text-emerald-600">
+                      Open your dashboard
+                    </Link>
+                  )}
+                  {EDITABLE.includes(s.review_status) && (
+                    <button
+                      onClick={() => setEditing(s)}
+                      className="px-2 py-0.5 border rounded text-xs"
+                    >
+                      {s.review_status === 'changes_requested' ? 'Edit & resubmit' : 'Edit'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      {editing && (
+        <SanctuaryForm
+          sanctuary={editing}
+          variant="applicant"
+          onClose={() => setEditing(null)}
+          onSave={submit}
+        />
+      )}
+    </main>
+  );
+}
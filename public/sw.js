@@ -0,0 +1,133 @@
+/* public/sw.js – offline shell + map tile cache
+   Pages: network-first, falling back to the cached shell.
+   Next static assets & marker icons: cache-first.
+   OSM tiles: stale-while-revalidate, capped at MAX_TILES.
+   Supabase traffic is never cached; offline reports go through the
+   IndexedDB outbox in lib/outbox.js instead.
+   Also shows web-push caregiver alerts (lib/notifications.js). */
+
+const VERSION     = 'v1';
+const SHELL_CACHE = `shell-${VERSION}`;
+const ASSET_CACHE = `assets-${VERSION}`;
+const TILE_CACHE  = `tiles-${VERSION}`;
+const MAX_TILES   = 600;
+
+const SHELL = ['/', '/map', '/report', '/manifest.json', '/icons/app-icon.svg', '/icons/sanctuary.png'];
+
+/* signed out, middleware.js answers /map and /report with a redirect to
+   the login page: skip those rather than cache the login page under their
+   names. They are cached on the first signed-in visit instead. */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(SHELL.map(async (url) => {
+    const res = await fetch(url);
+    if (res.ok && !res.redirected) await cache.put(url, res);
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, ASSET_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ---------- strategies ---------- */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch {
+    const url = new URL(request.url);
+    return (await cache.match(request, { ignoreSearch: true }))
+        || (await cache.match(url.pathname))
+        || (await cache.match('/map'));
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+}
+
+async function trimCache(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}
+
+async function tile(event) {
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(event.request);
+  const refresh = fetch(event.request)
+    .then(async (res) => {
+      if (res.ok || res.type === 'opaque') {
+        await cache.put(event.request, res.clone());
+        await trimCache(TILE_CACHE, MAX_TILES);
+      }
+      return res;
+    })
+    .catch(() => hit);
+  if (hit) {
+    event.waitUntil(refresh);
+    return hit;
+  }
+  return refresh;
+}
+
+/* ---------- routing ---------- */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.hostname.endsWith('tile.openstreetmap.org')) {
+    event.respondWith(tile(event));
+  } else if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (
+    (url.origin === self.location.origin && url.pathname.startsWith('/_next/static/')) ||
+    url.hostname === 'unpkg.com'
+  ) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  }
+});
+
+/* ---------- web push ----------
+   payload: { title, body, url, tag } from pages/api/cron/deliver-notifications.js */
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Ela Kitty', {
+      body:  data.body || '',
+      tag:   data.tag,
+      icon:  '/icons/app-icon.svg',
+      data:  { url: data.url || '/map' },
+    })
+  );
+});
+
+/* focus an open tab if there is one, else open the report */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/map';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((tabs) => {
+      const tab = tabs.find((t) => new URL(t.url).origin === self.location.origin);
+      if (tab) return tab.navigate(url).then((t) => (t || tab).focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,41 @@
+// scripts/notify-standins.mjs
+// Local stand-ins for the notification channels. Prints every email and
+// push payload instead of delivering it:
+//   npm run standins
+//   SMTP_URL=smtp://localhost:1025  PUSH_STANDIN_URL=http://localhost:1026
+// then hit /api/cron/deliver-notifications (and /api/cron/send-emails).
+import http from 'node:http';
+import { SMTPServer } from 'smtp-server';
+
+const SMTP_PORT = Number(process.env.STANDIN_SMTP_PORT || 1025);
+const PUSH_PORT = Number(process.env.STANDIN_PUSH_PORT || 1026);
+
+/* ---------- SMTP: accept anything, print it ---------- */
+const smtp = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, done) {
+    let raw = '';
+    stream.on('data', (chunk) => { raw += chunk; });
+    stream.on('end', () => {
+      const to = session.envelope.rcptTo.map((r) => r.address).join(', ');
+      console.log(`\n✉️  mail to ${to}\n${raw.trim()}\n`);
+      done();
+    });
+  },
+});
+smtp.listen(SMTP_PORT, () => console.log(`SMTP stand-in on smtp://localhost:${SMTP_PORT}`));
+
+/* ---------- push: POST { endpoint, payload } ----------
+   ?fail=410 answers with that status, to exercise the cleanup / retry paths */
+http
+  .createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const fail = Number(new URL(req.url, 'http://x').searchParams.get('fail'));
+      console.log(`\n🔔 push${fail ? ` (answering ${fail})` : ''}\n${body}\n`);
+      res.writeHead(fail || 201).end();
+    });
+  })
+  .listen(PUSH_PORT, () => console.log(`Push stand-in on http://localhost:${PUSH_PORT}`));
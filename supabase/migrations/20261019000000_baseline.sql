@@ -0,0 +1,164 @@
+-- supabase/migrations/20261019000000_baseline.sql
+-- The schema the app started from, before the numbered migrations that
+-- follow: profiles, sightings, sanctuaries, caregiver_assignments,
+-- deletion_logs and the public storage buckets. Later migrations alter
+-- these tables and add RLS where it was missing; this file only has to
+-- bring an empty local stack (supabase start) up to that starting point.
+
+/* ---------- profiles: one per auth user ---------- */
+create table if not exists public.profiles (
+  id         uuid primary key references auth.users (id) on delete cascade,
+  email      text,
+  role       text not null default 'user'
+    check (role in ('user', 'caregiver', 'admin')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+/* role of the calling user ('user' when no profile row); redefined
+   with its documentation in 000200 */
+create or replace function public.my_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select role from public.profiles where id = auth.uid()),
+    'user'
+  );
+$$;
+
+/* every sign-up (email, Google, SMS) gets a plain 'user' profile */
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into profiles (id, email)
+  values (new.id, new.email)
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+alter table public.profiles enable row level security;
+
+drop policy if exists "profiles: read signed in" on public.profiles;
+create policy "profiles: read signed in"
+  on public.profiles for select
+  to authenticated
+  using (true);
+
+drop policy if exists "profiles: admins write" on public.profiles;
+create policy "profiles: admins write"
+  on public.profiles for update
+  using (public.my_role() = 'admin')
+  with check (public.my_role() = 'admin');
+
+/* ---------- sanctuaries ----------
+   boundary is GeoJSON as text (SanctuaryForm stores JSON.stringify);
+   without one, radius_km around latitude / longitude is the service area. */
+create table if not exists public.sanctuaries (
+  id             bigint generated by default as identity primary key,
+  name           text not null,
+  latitude       double precision,
+  longitude      double precision,
+  radius_km      double precision,
+  boundary       text,
+  approved       boolean not null default false,
+  contact_email  text,
+  contact_phone  text,
+  donate_url     text,
+  website_url    text,
+  facebook_url   text,
+  instagram_url  text,
+  twitter_url    text,
+  logo_url       text,
+  services       text[] not null default '{}',
+  opening_hours  jsonb,
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now()
+);
+
+/* ---------- sightings ---------- */
+create table if not exists public.sightings (
+  id          bigint generated by default as identity primary key,
+  created_at  timestamptz not null default now(),
+  user_id     uuid not null references public.profiles (id),
+  latitude    double precision not null,
+  longitude   double precision not null,
+  notes       text,
+  animals     integer not null default 1,
+  behaviour   text,
+  photo_url   text,
+  visibility  text not null default 'public'
+    check (visibility in ('public', 'caregiver', 'admin'))
+);
+
+create index if not exists sightings_created_at_idx on public.sightings (created_at desc);
+create index if not exists sightings_user_id_idx    on public.sightings (user_id);
+
+/* ---------- caregivers ⇄ sanctuaries ---------- */
+create table if not exists public.caregiver_assignments (
+  caregiver_id uuid   not null references public.profiles (id) on delete cascade,
+  sanctuary_id bigint not null references public.sanctuaries (id) on delete cascade,
+  created_at   timestamptz not null default now(),
+  primary key (caregiver_id, sanctuary_id)
+);
+
+alter table public.caregiver_assignments enable row level security;
+
+drop policy if exists "caregiver_assignments: read signed in" on public.caregiver_assignments;
+create policy "caregiver_assignments: read signed in"
+  on public.caregiver_assignments for select
+  to authenticated
+  using (true);
+
+drop policy if exists "caregiver_assignments: admins write" on public.caregiver_assignments;
+create policy "caregiver_assignments: admins write"
+  on public.caregiver_assignments for all
+  using (public.my_role() = 'admin')
+  with check (public.my_role() = 'admin');
+
+/* ---------- why a sighting was deleted ----------
+   no FK on sighting_id: the log outlives the row */
+create table if not exists public.deletion_logs (
+  id          bigint generated by default as identity primary key,
+  sighting_id bigint not null,
+  user_id     uuid not null references public.profiles (id),
+  reason      text,
+  created_at  timestamptz not null default now()
+);
+
+alter table public.deletion_logs enable row level security;
+
+drop policy if exists "deletion_logs: insert own" on public.deletion_logs;
+create policy "deletion_logs: insert own"
+  on public.deletion_logs for insert
+  with check (user_id = auth.uid());
+
+drop policy if exists "deletion_logs: admins read" on public.deletion_logs;
+create policy "deletion_logs: admins read"
+  on public.deletion_logs for select
+  using (public.my_role() = 'admin');
+
+/* ---------- storage: public photo and logo buckets (lib/storage.js) ---------- */
+insert into storage.buckets (id, name, public) values
+  ('sightings',       'sightings',       true),
+  ('sanctuary-logos', 'sanctuary-logos', true)
+on conflict (id) do nothing;
+
+drop policy if exists "storage: signed-in uploads" on storage.objects;
+create policy "storage: signed-in uploads"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id in ('sightings', 'sanctuary-logos'));
@@ -0,0 +1,168 @@
+-- supabase/migrations/20261019000100_sighting_sanctuary.sql
+-- Link each sighting to the sanctuary whose service area contains it.
+-- Set by the database on insert and whenever the location changes; a
+-- sanctuary_id sent by the client is ignored. Client-side mirror of the
+-- matching: lib/geo.js → matchSanctuary.
+
+alter table public.sightings
+  add column if not exists sanctuary_id bigint
+    references public.sanctuaries (id) on delete set null;
+
+create index if not exists sightings_sanctuary_id_idx
+  on public.sightings (sanctuary_id);
+
+/* ---------- GeoJSON helpers (as lib/geo.js) ---------- */
+
+/* a Feature, bare (Multi)Polygon or FeatureCollection → its polygons,
+   each a jsonb array of rings */
+create or replace function public.geo_polygons(gj jsonb)
+returns setof jsonb
+language plpgsql
+immutable
+as $$
+begin
+  if gj ->> 'type' = 'FeatureCollection' then
+    return query
+      select public.geo_polygons(f.value) from jsonb_array_elements(gj -> 'features') f;
+  elsif gj ->> 'type' = 'Feature' then
+    return query select * from public.geo_polygons(gj -> 'geometry');
+  elsif gj ->> 'type' = 'Polygon' then
+    return next gj -> 'coordinates';
+  elsif gj ->> 'type' = 'MultiPolygon' then
+    return query select jsonb_array_elements(gj -> 'coordinates');
+  end if;
+end;
+$$;
+
+/* ray casting; ring is [[lng, lat], …] */
+create or replace function public.geo_in_ring(p_lat double precision, p_lng double precision, ring jsonb)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  n      int := jsonb_array_length(ring);
+  j      int := n - 1;
+  inside boolean := false;
+  xi double precision; yi double precision;
+  xj double precision; yj double precision;
+begin
+  for i in 0 .. n - 1 loop
+    xi := (ring -> i ->> 0)::float8;  yi := (ring -> i ->> 1)::float8;
+    xj := (ring -> j ->> 0)::float8;  yj := (ring -> j ->> 1)::float8;
+    if (yi > p_lat) <> (yj > p_lat)
+       and p_lng < (xj - xi) * (p_lat - yi) / (yj - yi) + xi then
+      inside := not inside;
+    end if;
+    j := i;
+  end loop;
+  return inside;
+end;
+$$;
+
+/* spherical-excess approximation, good enough to rank service areas */
+create or replace function public.geo_ring_area_km2(ring jsonb)
+returns double precision
+language sql
+immutable
+as $$
+  select abs(coalesce(sum(
+           radians((ring -> (i + 1) ->> 0)::float8 - (ring -> i ->> 0)::float8)
+           * (2 + sin(radians((ring -> i ->> 1)::float8))
+                + sin(radians((ring -> (i + 1) ->> 1)::float8)))
+         ), 0) * 6371 * 6371 / 2)
+    from generate_series(0, jsonb_array_length(ring) - 2) i;
+$$;
+
+/* ---------- service-area test ----------
+   Area in km² of the sanctuary's service area when it contains the
+   point, null when it doesn't: the boundary polygon when there is one,
+   otherwise radius_km around the centre. */
+create or replace function public.sanctuary_cover_km2(s public.sanctuaries, p_lat double precision, p_lng double precision)
+returns double precision
+language plpgsql
+stable
+as $$
+declare
+  gj       jsonb;
+  poly     jsonb;
+  area     double precision := 0;
+  contains boolean := false;
+begin
+  begin
+    gj := nullif(trim(s.boundary), '')::jsonb;
+  exception when others then
+    gj := null;
+  end;
+
+  if gj is not null and jsonb_typeof(gj) <> 'null' then
+    for poly in select public.geo_polygons(gj) loop
+      area := area + public.geo_ring_area_km2(poly -> 0)
+            - coalesce((select sum(public.geo_ring_area_km2(h))
+                          from jsonb_array_elements(poly) with ordinality r(h, k)
+                         where k > 1), 0);
+      if public.geo_in_ring(p_lat, p_lng, poly -> 0)
+         and not exists (select 1 from jsonb_array_elements(poly) with ordinality r(h, k)
+                          where k > 1 and public.geo_in_ring(p_lat, p_lng, h)) then
+        contains := true;
+      end if;
+    end loop;
+    return case when contains then area end;
+  end if;
+
+  if s.radius_km > 0
+     and 2 * 6371 * asin(sqrt(
+           sin(radians(p_lat - s.latitude) / 2) ^ 2
+           + cos(radians(s.latitude)) * cos(radians(p_lat)) * sin(radians(p_lng - s.longitude) / 2) ^ 2
+         )) <= s.radius_km then
+    return pi() * s.radius_km * s.radius_km;
+  end if;
+  return null;
+end;
+$$;
+
+/* ---------- sighting → sanctuary ----------
+   Approved sanctuaries only. Overlaps resolve to the smallest service
+   area (the most local sanctuary), then to the lowest id. */
+create or replace function public.route_sighting(p_lat double precision, p_lng double precision)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id
+    from (select s.id, public.sanctuary_cover_km2(s, p_lat, p_lng) as area
+            from sanctuaries s
+           where s.approved) c
+   where area is not null
+   order by area, id::text
+   limit 1;
+$$;
+
+/* Routed on insert and when the location moves. Otherwise only admins
+   may reassign by hand (the bulk "Move to sanctuary" action); anyone
+   else's sanctuary_id is put back. */
+create or replace function public.route_sighting_row()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE'
+     and new.latitude  is not distinct from old.latitude
+     and new.longitude is not distinct from old.longitude then
+    if public.my_role() <> 'admin' then
+      new.sanctuary_id := old.sanctuary_id;
+    end if;
+    return new;
+  end if;
+
+  new.sanctuary_id := public.route_sighting(new.latitude, new.longitude);
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_route on public.sightings;
+create trigger sightings_route
+  before insert or update of latitude, longitude, sanctuary_id on public.sightings
+  for each row execute function public.route_sighting_row();
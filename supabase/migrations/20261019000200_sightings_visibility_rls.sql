@@ -0,0 +1,48 @@
+-- supabase/migrations/20261019000200_sightings_visibility_rls.sql
+-- Row Level Security for sightings.visibility, keyed on profiles.role.
+--   public    → everyone
+--   caregiver → caregivers and admins
+--   admin     → admins only
+-- Reporters can always read their own rows.
+-- Client-side mirror: lib/sightings.js → READABLE_VISIBILITY / withVisibility.
+
+/* role of the calling user ('user' when no profile row) */
+create or replace function public.my_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select role from public.profiles where id = auth.uid()),
+    'user'
+  );
+$$;
+
+alter table public.sightings enable row level security;
+
+drop policy if exists "sightings: read by visibility" on public.sightings;
+create policy "sightings: read by visibility"
+  on public.sightings for select
+  using (
+    visibility = 'public'
+    or user_id = auth.uid()
+    or (visibility = 'caregiver' and public.my_role() in ('caregiver', 'admin'))
+    or public.my_role() = 'admin'
+  );
+
+drop policy if exists "sightings: insert own" on public.sightings;
+create policy "sightings: insert own"
+  on public.sightings for insert
+  with check (user_id = auth.uid());
+
+drop policy if exists "sightings: update own or admin" on public.sightings;
+create policy "sightings: update own or admin"
+  on public.sightings for update
+  using (user_id = auth.uid() or public.my_role() = 'admin');
+
+drop policy if exists "sightings: delete own or admin" on public.sightings;
+create policy "sightings: delete own or admin"
+  on public.sightings for delete
+  using (user_id = auth.uid() or public.my_role() = 'admin');
@@ -0,0 +1,112 @@
+-- supabase/migrations/20261019000300_sighting_cases.sql
+-- Sightings become cases: a status, an assignee and an append-only
+-- history of who changed what. Statuses mirror lib/cases.js.
+
+alter table public.sightings
+  add column if not exists status text not null default 'new'
+    check (status in (
+      'new', 'acknowledged', 'trap_set', 'at_vet', 'released', 'adopted', 'closed'
+    )),
+  add column if not exists assignee_id uuid
+    references public.profiles (id) on delete set null;
+
+create index if not exists sightings_status_idx on public.sightings (status);
+
+/* ---------- history ---------- */
+create table if not exists public.sighting_events (
+  id          bigint generated always as identity primary key,
+  sighting_id bigint not null references public.sightings (id) on delete cascade,
+  actor_id    uuid references public.profiles (id) on delete set null,
+  field       text not null check (field in ('status', 'assignee')),
+  from_value  text,
+  to_value    text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists sighting_events_sighting_idx
+  on public.sighting_events (sighting_id, created_at);
+
+alter table public.sighting_events enable row level security;
+
+/* readable by whoever can read the sighting; no insert/update/delete
+   policies, rows only arrive through the trigger below */
+drop policy if exists "sighting_events: read with sighting" on public.sighting_events;
+create policy "sighting_events: read with sighting"
+  on public.sighting_events for select
+  using (exists (select 1 from public.sightings s where s.id = sighting_id));
+
+/* ---------- only caregivers / admins work cases ---------- */
+create or replace function public.guard_sighting_case()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.status is distinct from old.status
+      or new.assignee_id is distinct from old.assignee_id)
+     and public.my_role() not in ('caregiver', 'admin') then
+    raise exception 'only caregivers and admins can update cases'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_guard_case on public.sightings;
+create trigger sightings_guard_case
+  before update of status, assignee_id on public.sightings
+  for each row execute function public.guard_sighting_case();
+
+/* ---------- append history on every change ---------- */
+create or replace function public.log_sighting_case()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status is distinct from old.status then
+    insert into sighting_events (sighting_id, actor_id, field, from_value, to_value)
+    values (new.id, auth.uid(), 'status', old.status, new.status);
+  end if;
+  if new.assignee_id is distinct from old.assignee_id then
+    insert into sighting_events (sighting_id, actor_id, field, from_value, to_value)
+    values (new.id, auth.uid(), 'assignee', old.assignee_id::text, new.assignee_id::text);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_log_case on public.sightings;
+create trigger sightings_log_case
+  after update of status, assignee_id on public.sightings
+  for each row execute function public.log_sighting_case();
+
+/* caregivers may update sightings to work them (RLS from 000200
+   already lets owners and admins update) */
+drop policy if exists "sightings: caregivers work cases" on public.sightings;
+create policy "sightings: caregivers work cases"
+  on public.sightings for update
+  using (public.my_role() = 'caregiver')
+  with check (public.my_role() = 'caregiver');
+
+/* RLS is per row; this keeps caregivers to the case columns named in
+   the trigger arguments (their own reports they edit like any reporter) */
+create or replace function public.guard_sighting_caregiver()
+returns trigger
+language plpgsql
+as $$
+begin
+  if public.my_role() = 'caregiver'
+     and old.user_id is distinct from auth.uid()
+     and (to_jsonb(new) - tg_argv) is distinct from (to_jsonb(old) - tg_argv) then
+    raise exception 'caregivers can only change %', array_to_string(tg_argv, ', ')
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_guard_caregiver on public.sightings;
+create trigger sightings_guard_caregiver
+  before update on public.sightings
+  for each row execute function public.guard_sighting_caregiver('status', 'assignee_id');
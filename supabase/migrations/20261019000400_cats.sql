@@ -0,0 +1,53 @@
+-- supabase/migrations/20261019000400_cats.sql
+-- Individual cat profiles; sightings of the same animal point at one row.
+-- Options mirror lib/cats.js.
+
+create table if not exists public.cats (
+  id           bigint generated by default as identity primary key,
+  name         text not null,
+  coat_colour  text,
+  coat_pattern text,
+  sex          text not null default 'unknown'
+                 check (sex in ('unknown', 'female', 'male')),
+  ear_tipped   boolean not null default false,
+  microchip    text unique,
+  photo_urls   text[] not null default '{}',
+  notes        text,
+  created_by   uuid references public.profiles (id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+alter table public.sightings
+  add column if not exists cat_id bigint
+    references public.cats (id) on delete set null;
+
+create index if not exists sightings_cat_id_idx on public.sightings (cat_id);
+
+alter table public.cats enable row level security;
+
+drop policy if exists "cats: read signed in" on public.cats;
+create policy "cats: read signed in"
+  on public.cats for select
+  using (auth.uid() is not null);
+
+drop policy if exists "cats: caregivers write" on public.cats;
+create policy "cats: caregivers write"
+  on public.cats for all
+  using (public.my_role() in ('caregiver', 'admin'))
+  with check (public.my_role() in ('caregiver', 'admin'));
+
+/* caregivers link sightings to cats (guard from 000300) */
+drop trigger if exists sightings_guard_caregiver on public.sightings;
+create trigger sightings_guard_caregiver
+  before update on public.sightings
+  for each row execute function public.guard_sighting_caregiver('status', 'assignee_id', 'cat_id');
+
+/* ---------- storage: cat photos (lib/cats.js → saveCat) ---------- */
+insert into storage.buckets (id, name, public) values ('cats', 'cats', true)
+on conflict (id) do nothing;
+
+drop policy if exists "storage: caregivers upload cat photos" on storage.objects;
+create policy "storage: caregivers upload cat photos"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'cats' and public.my_role() in ('caregiver', 'admin'));
@@ -0,0 +1,75 @@
+-- supabase/migrations/20261019000500_colonies.sql
+-- TNR colonies: a place, an estimated headcount, a feeding schedule,
+-- responsible caregivers and a roster of cats with neuter status.
+-- Options mirror lib/colonies.js.
+
+create table if not exists public.colonies (
+  id               bigint generated by default as identity primary key,
+  name             text not null,
+  latitude         numeric not null,
+  longitude        numeric not null,
+  radius_m         integer not null default 150 check (radius_m > 0),
+  estimated_count  integer check (estimated_count >= 0),
+  feeding_times    text[] not null default '{}',     -- ['08:00', '19:30']
+  feeding_notes    text,
+  sanctuary_id     bigint references public.sanctuaries (id) on delete set null,
+  created_at       timestamptz not null default now()
+);
+
+create table if not exists public.colony_caregivers (
+  colony_id    bigint not null references public.colonies (id) on delete cascade,
+  caregiver_id uuid   not null references public.profiles (id) on delete cascade,
+  primary key (colony_id, caregiver_id)
+);
+
+/* roster: a cat lives in at most one colony */
+alter table public.cats
+  add column if not exists colony_id bigint
+    references public.colonies (id) on delete set null,
+  add column if not exists neuter_status text not null default 'unknown'
+    check (neuter_status in ('unknown', 'intact', 'scheduled', 'neutered')),
+  add column if not exists neutered_at date;
+
+/* ear-tipped cats are neutered by definition */
+update public.cats
+   set neuter_status = 'neutered'
+ where ear_tipped and neuter_status = 'unknown';
+
+alter table public.sightings
+  add column if not exists colony_id bigint
+    references public.colonies (id) on delete set null;
+
+create index if not exists cats_colony_id_idx      on public.cats (colony_id);
+create index if not exists sightings_colony_id_idx on public.sightings (colony_id);
+
+/* ---------- RLS ---------- */
+alter table public.colonies          enable row level security;
+alter table public.colony_caregivers enable row level security;
+
+drop policy if exists "colonies: read signed in" on public.colonies;
+create policy "colonies: read signed in"
+  on public.colonies for select
+  using (auth.uid() is not null);
+
+drop policy if exists "colonies: caregivers write" on public.colonies;
+create policy "colonies: caregivers write"
+  on public.colonies for all
+  using (public.my_role() in ('caregiver', 'admin'))
+  with check (public.my_role() in ('caregiver', 'admin'));
+
+drop policy if exists "colony_caregivers: read signed in" on public.colony_caregivers;
+create policy "colony_caregivers: read signed in"
+  on public.colony_caregivers for select
+  using (auth.uid() is not null);
+
+drop policy if exists "colony_caregivers: caregivers write" on public.colony_caregivers;
+create policy "colony_caregivers: caregivers write"
+  on public.colony_caregivers for all
+  using (public.my_role() in ('caregiver', 'admin'))
+  with check (public.my_role() in ('caregiver', 'admin'));
+
+/* caregivers link sightings to colonies (guard from 000300) */
+drop trigger if exists sightings_guard_caregiver on public.sightings;
+create trigger sightings_guard_caregiver
+  before update on public.sightings
+  for each row execute function public.guard_sighting_caregiver('status', 'assignee_id', 'cat_id', 'colony_id');
@@ -0,0 +1,16 @@
+-- supabase/migrations/20261019000600_sightings_realtime.sql
+-- Broadcast sighting changes to the map and dashboard (lib/realtime.js).
+-- Realtime applies the sightings RLS policies per subscriber.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'sightings'
+  ) then
+    alter publication supabase_realtime add table public.sightings;
+  end if;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- supabase/migrations/20261019000700_sightings_seen_at.sql
+-- When the cat was actually seen. Differs from created_at for reports
+-- queued offline and synced later (lib/outbox.js).
+
+alter table public.sightings
+  add column if not exists seen_at timestamptz not null default now();
+
+update public.sightings set seen_at = created_at where seen_at > created_at;
+
+/* idempotency key minted on the device: replaying a report whose first
+   send did land (response lost) hits the unique index instead of
+   creating a duplicate */
+alter table public.sightings
+  add column if not exists client_id uuid;
+
+create unique index if not exists sightings_client_id_key on public.sightings (client_id);
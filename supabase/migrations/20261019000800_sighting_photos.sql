@@ -0,0 +1,12 @@
+-- supabase/migrations/20261019000800_sighting_photos.sql
+-- Several photos per sighting: [{ url, thumb, width, height }], compressed
+-- in the browser (lib/images.js). photo_url stays as the first photo so
+-- older clients keep working.
+
+alter table public.sightings
+  add column if not exists photos jsonb not null default '[]'::jsonb;
+
+update public.sightings
+   set photos = jsonb_build_array(jsonb_build_object('url', photo_url, 'thumb', null))
+ where photo_url is not null
+   and photos = '[]'::jsonb;
@@ -0,0 +1,74 @@
+-- supabase/migrations/20261019000900_caregiver_scope.sql
+-- Caregivers work only their own sanctuaries (via caregiver_assignments):
+-- cases routed there, and the hours / services of the sanctuary itself.
+-- Admins keep full access. Client-side mirror: lib/sanctuaries.js →
+-- CAREGIVER_EDITABLE, and the scoped queries in pages/admin.js.
+
+/* sanctuaries the calling caregiver is assigned to */
+create or replace function public.my_sanctuary_ids()
+returns setof bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select sanctuary_id from public.caregiver_assignments
+   where caregiver_id = auth.uid();
+$$;
+
+/* ---------- sightings: work cases in your sanctuaries only ----------
+   replaces the unscoped policy from 000300 */
+drop policy if exists "sightings: caregivers work cases" on public.sightings;
+create policy "sightings: caregivers work cases"
+  on public.sightings for update
+  using (
+    public.my_role() = 'caregiver'
+    and sanctuary_id in (select public.my_sanctuary_ids())
+  )
+  with check (
+    public.my_role() = 'caregiver'
+    and sanctuary_id in (select public.my_sanctuary_ids())
+  );
+
+/* ---------- sanctuaries ---------- */
+alter table public.sanctuaries enable row level security;
+
+drop policy if exists "sanctuaries: read all" on public.sanctuaries;
+create policy "sanctuaries: read all"
+  on public.sanctuaries for select
+  using (true);
+
+drop policy if exists "sanctuaries: admins write" on public.sanctuaries;
+create policy "sanctuaries: admins write"
+  on public.sanctuaries for all
+  using (public.my_role() = 'admin')
+  with check (public.my_role() = 'admin');
+
+drop policy if exists "sanctuaries: caregivers update own" on public.sanctuaries;
+create policy "sanctuaries: caregivers update own"
+  on public.sanctuaries for update
+  using (
+    public.my_role() = 'caregiver'
+    and id in (select public.my_sanctuary_ids())
+  );
+
+/* RLS is per row; this keeps caregivers to the day-to-day columns */
+create or replace function public.guard_sanctuary_caregiver()
+returns trigger
+language plpgsql
+as $$
+begin
+  if public.my_role() = 'caregiver'
+     and (to_jsonb(new) - array['opening_hours', 'services'])
+         is distinct from (to_jsonb(old) - array['opening_hours', 'services']) then
+    raise exception 'caregivers can only change opening hours and services'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sanctuaries_guard_caregiver on public.sanctuaries;
+create trigger sanctuaries_guard_caregiver
+  before update on public.sanctuaries
+  for each row execute function public.guard_sanctuary_caregiver();
@@ -0,0 +1,259 @@
+-- supabase/migrations/20261019001000_sanctuary_registration.sql
+-- Sanctuaries can register themselves: any signed-in user submits one,
+-- an admin approves / rejects / asks for changes, and on approval the
+-- applicant becomes the sanctuary's caregiver. `approved` stays the flag
+-- the map and routing read; review_status tracks the workflow around it.
+-- Statuses mirror lib/sanctuaries.js → REVIEW_STATUSES.
+
+alter table public.sanctuaries
+  add column if not exists review_status text not null default 'pending'
+    check (review_status in ('pending', 'changes_requested', 'rejected', 'approved')),
+  add column if not exists review_note  text,
+  add column if not exists submitted_by uuid
+    references public.profiles (id) on delete set null,
+  add column if not exists submitted_at timestamptz;
+
+update public.sanctuaries set review_status = 'approved' where approved;
+
+create index if not exists sanctuaries_review_status_idx
+  on public.sanctuaries (review_status);
+
+/* ---------- keep `approved` and review_status in step ----------
+   the admin form still toggles `approved` directly */
+create or replace function public.sync_sanctuary_review()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.review_status := case when new.approved then 'approved' else new.review_status end;
+  elsif new.review_status is distinct from old.review_status then
+    new.approved := new.review_status = 'approved';
+  elsif new.approved is distinct from old.approved then
+    new.review_status := case when new.approved then 'approved' else 'pending' end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sanctuaries_sync_review on public.sanctuaries;
+create trigger sanctuaries_sync_review
+  before insert or update on public.sanctuaries
+  for each row execute function public.sync_sanctuary_review();
+
+/* ---------- reads ----------
+   replaces "read all" from 000900: an application (and its review
+   note) stays between the applicant and the admins until approved */
+drop policy if exists "sanctuaries: read all" on public.sanctuaries;
+drop policy if exists "sanctuaries: read approved" on public.sanctuaries;
+create policy "sanctuaries: read approved"
+  on public.sanctuaries for select
+  using (
+    approved
+    or submitted_by = auth.uid()
+    or id in (select public.my_sanctuary_ids())
+    or public.my_role() = 'admin'
+  );
+
+/* ---------- applicants ---------- */
+drop policy if exists "sanctuaries: apply" on public.sanctuaries;
+create policy "sanctuaries: apply"
+  on public.sanctuaries for insert
+  with check (
+    submitted_by = auth.uid()
+    and not approved
+    and review_status = 'pending'
+  );
+
+/* edit while waiting, or resubmit after "changes requested" */
+drop policy if exists "sanctuaries: applicant edits" on public.sanctuaries;
+create policy "sanctuaries: applicant edits"
+  on public.sanctuaries for update
+  using (
+    submitted_by = auth.uid()
+    and review_status in ('pending', 'changes_requested')
+  )
+  with check (
+    submitted_by = auth.uid()
+    and not approved
+    and review_status = 'pending'
+  );
+
+/* ---------- what non-admins may change (replaces the 000900 version) ----------
+   The review itself (status, note, approval, applicant, deletion) is the
+   admins' call; the only move an applicant makes is sending their own
+   application back for review (lib/sanctuaries.js → submitSanctuary).
+   Caregivers keep to hours and services, except on their own
+   application while it is still open. */
+create or replace function public.guard_sanctuary_caregiver()
+returns trigger
+language plpgsql
+as $$
+declare
+  review_cols constant text[] := array[
+    'review_status', 'review_note', 'approved', 'submitted_by',
+    'deleted_at', 'deleted_by', 'deletion_reason'
+  ];
+  own_open    boolean := coalesce(old.submitted_by = auth.uid(), false)
+                         and old.review_status in ('pending', 'changes_requested');
+  review_was  jsonb;
+  review_is   jsonb;
+begin
+  if public.my_role() = 'admin' then
+    return new;
+  end if;
+
+  select jsonb_object_agg(key, value) into review_was
+    from jsonb_each(to_jsonb(old)) where key = any(review_cols);
+  select jsonb_object_agg(key, value) into review_is
+    from jsonb_each(to_jsonb(new)) where key = any(review_cols);
+
+  if review_is is distinct from review_was
+     and not (own_open
+              and review_is = review_was || '{"review_status": "pending", "review_note": null}') then
+    raise exception 'only admins can review sanctuaries'
+      using errcode = '42501';
+  end if;
+
+  if public.my_role() = 'caregiver'
+     and not own_open
+     and (to_jsonb(new) - array['opening_hours', 'services'])
+         is distinct from (to_jsonb(old) - array['opening_hours', 'services']) then
+    raise exception 'caregivers can only change opening hours and services'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+/* ---------- admin decision ----------
+   admins set review_status (+ review_note) directly; a rejection or
+   change request must say why */
+alter table public.sanctuaries
+  drop constraint if exists sanctuaries_review_note_check;
+alter table public.sanctuaries
+  add constraint sanctuaries_review_note_check
+    check (review_status not in ('rejected', 'changes_requested')
+           or coalesce(trim(review_note), '') <> '');
+
+/* approval makes the applicant the sanctuary's caregiver */
+create or replace function public.onboard_sanctuary_applicant()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.review_status = 'approved'
+     and old.review_status is distinct from 'approved'
+     and new.submitted_by is not null then
+    update public.profiles set role = 'caregiver'
+     where id = new.submitted_by and role = 'user';
+    insert into public.caregiver_assignments (caregiver_id, sanctuary_id)
+    select new.submitted_by, new.id
+     where not exists (
+       select 1 from public.caregiver_assignments
+        where caregiver_id = new.submitted_by and sanctuary_id = new.id
+     );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sanctuaries_onboard_applicant on public.sanctuaries;
+create trigger sanctuaries_onboard_applicant
+  after update on public.sanctuaries
+  for each row execute function public.onboard_sanctuary_applicant();
+
+/* ---------- status emails ----------
+   queued here, sent by pages/api/cron/send-emails.js (service role) */
+create table if not exists public.email_outbox (
+  id         bigint generated always as identity primary key,
+  to_email   text not null,
+  subject    text not null,
+  body       text not null,
+  status     text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts   integer not null default 0,
+  last_error text,
+  claimed_at timestamptz,
+  created_at timestamptz not null default now(),
+  sent_at    timestamptz
+);
+
+create index if not exists email_outbox_queued_idx
+  on public.email_outbox (created_at) where status = 'queued';
+
+/* no policies: only the service role reads or writes it */
+alter table public.email_outbox enable row level security;
+
+/* the cron route takes its batch with this, so overlapping runs never
+   send the same mail twice; a claim left by a run that died is taken
+   again after ten minutes */
+create or replace function public.claim_email_outbox(p_limit integer)
+returns setof public.email_outbox
+language sql
+as $$
+  update public.email_outbox o
+     set status = 'sending', claimed_at = now()
+   where o.id in (
+     select id from public.email_outbox
+      where status = 'queued'
+         or (status = 'sending' and claimed_at < now() - interval '10 minutes')
+      order by created_at
+      limit p_limit
+      for update skip locked
+   )
+  returning o.*;
+$$;
+
+revoke execute on function public.claim_email_outbox(integer) from public, anon, authenticated;
+
+create or replace function public.email_sanctuary_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  to_addr text;
+  subj    text;
+  msg     text;
+begin
+  if new.submitted_by is null then return new; end if;
+  if tg_op = 'UPDATE' and new.review_status is not distinct from old.review_status then
+    return new;
+  end if;
+
+  select email into to_addr from public.profiles where id = new.submitted_by;
+  if to_addr is null then return new; end if;
+
+  case new.review_status
+    when 'pending' then
+      subj := format('We received "%s"', new.name);
+      msg  := 'Thanks for registering your sanctuary. An admin will review it shortly.';
+    when 'approved' then
+      subj := format('"%s" is approved', new.name);
+      msg  := 'Your sanctuary is now live on the map, and reports in its area '
+              || 'will be routed to you. Open the dashboard to see your case queue.';
+    when 'changes_requested' then
+      subj := format('Changes requested for "%s"', new.name);
+      msg  := 'An admin asked for changes before approving your sanctuary:' || E'\n\n'
+              || coalesce(new.review_note, '') || E'\n\n'
+              || 'Edit and resubmit it from the registration page.';
+    when 'rejected' then
+      subj := format('"%s" was not approved', new.name);
+      msg  := 'Your sanctuary registration was not approved:' || E'\n\n'
+              || coalesce(new.review_note, '');
+  end case;
+
+  insert into public.email_outbox (to_email, subject, body)
+  values (to_addr, subj, msg);
+  return new;
+end;
+$$;
+
+drop trigger if exists sanctuaries_email_review on public.sanctuaries;
+create trigger sanctuaries_email_review
+  after insert or update on public.sanctuaries
+  for each row execute function public.email_sanctuary_review();
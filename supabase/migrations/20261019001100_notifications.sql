@@ -0,0 +1,199 @@
+-- supabase/migrations/20261019001100_notifications.sql
+-- Caregiver alerts for new reports. A trigger on sightings fans each
+-- routed report out to the caregivers of its sanctuary (filtered by
+-- their preferences) as in-app notifications, plus one queued delivery
+-- per extra channel (email / web push). pages/api/cron/deliver-notifications.js
+-- sends those, honouring quiet hours, with retry + backoff.
+-- Options mirror lib/notifications.js.
+
+/* ---------- preferences (no row = defaults) ---------- */
+create table if not exists public.notification_prefs (
+  user_id       uuid primary key references public.profiles (id) on delete cascade,
+  min_urgency   text not null default 'injured'
+    check (min_urgency in ('injured', 'all')),
+  sanctuary_ids bigint[],                 -- null = all of my sanctuaries
+  email         boolean not null default true,
+  push          boolean not null default false,
+  quiet_start   time,                     -- e.g. 22:00; null = no quiet hours
+  quiet_end     time,                     -- e.g. 07:00 (may wrap past midnight)
+  time_zone     text not null default 'Europe/Athens',
+  updated_at    timestamptz not null default now()
+);
+
+/* ---------- in-app feed ---------- */
+create table if not exists public.notifications (
+  id          bigint generated always as identity primary key,
+  user_id     uuid not null references public.profiles (id) on delete cascade,
+  sighting_id bigint references public.sightings (id) on delete cascade,
+  urgent      boolean not null default false,
+  title       text not null,
+  body        text,
+  url         text,
+  read_at     timestamptz,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx
+  on public.notifications (user_id, created_at desc);
+
+/* ---------- web push endpoints (one per browser) ---------- */
+create table if not exists public.push_subscriptions (
+  id         bigint generated always as identity primary key,
+  user_id    uuid not null references public.profiles (id) on delete cascade,
+  endpoint   text not null unique,
+  p256dh     text not null,
+  auth       text not null,
+  created_at timestamptz not null default now()
+);
+
+/* ---------- delivery log / queue ---------- */
+create table if not exists public.notification_deliveries (
+  id              bigint generated always as identity primary key,
+  notification_id bigint not null references public.notifications (id) on delete cascade,
+  channel         text not null check (channel in ('email', 'push')),
+  status          text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'failed', 'skipped')),
+  attempts        integer not null default 0,
+  last_error      text,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at      timestamptz,
+  sent_at         timestamptz,
+  created_at      timestamptz not null default now()
+);
+
+create index if not exists notification_deliveries_due_idx
+  on public.notification_deliveries (next_attempt_at) where status = 'queued';
+
+/* pages/api/cron/deliver-notifications.js takes its batch with this, so
+   overlapping runs never deliver twice; a claim left by a run that died
+   is taken again after ten minutes */
+create or replace function public.claim_notification_deliveries(p_limit integer)
+returns setof public.notification_deliveries
+language sql
+as $$
+  update public.notification_deliveries d
+     set status = 'sending', claimed_at = now()
+   where d.id in (
+     select id from public.notification_deliveries
+      where (status = 'queued' and next_attempt_at <= now())
+         or (status = 'sending' and claimed_at < now() - interval '10 minutes')
+      order by next_attempt_at
+      limit p_limit
+      for update skip locked
+   )
+  returning d.*;
+$$;
+
+revoke execute on function public.claim_notification_deliveries(integer) from public, anon, authenticated;
+
+/* ---------- RLS ---------- */
+alter table public.notification_prefs      enable row level security;
+alter table public.notifications           enable row level security;
+alter table public.push_subscriptions      enable row level security;
+alter table public.notification_deliveries enable row level security;   -- service role only
+
+drop policy if exists "notification_prefs: own" on public.notification_prefs;
+create policy "notification_prefs: own"
+  on public.notification_prefs for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "notifications: read own" on public.notifications;
+create policy "notifications: read own"
+  on public.notifications for select
+  using (user_id = auth.uid());
+
+/* marking as read; rows only arrive through the trigger below */
+drop policy if exists "notifications: update own" on public.notifications;
+create policy "notifications: update own"
+  on public.notifications for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "push_subscriptions: own" on public.push_subscriptions;
+create policy "push_subscriptions: own"
+  on public.push_subscriptions for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+/* ---------- fan-out ----------
+   Admin-only reports and the reporter's own are never announced, nor
+   are closed cases or sightings seen more than two days ago: historic
+   imports (lib/importer.js) and long-delayed outbox sends are not news.
+   Nor is anything an admin inserts without a client_id: live reports
+   always carry one (lib/outbox.js), so that is an import, whose rows
+   without a "seen at" date are stamped now(). */
+create or replace function public.fan_out_sighting()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  r       record;
+  nid     bigint;
+  urgent  boolean := new.behaviour = 'injured';
+  place   text;
+begin
+  if new.sanctuary_id is null
+     or new.visibility = 'admin'
+     or new.status = 'closed'
+     or new.seen_at < now() - interval '2 days'
+     or (new.client_id is null and public.my_role() = 'admin') then
+    return new;
+  end if;
+
+  select name into place from public.sanctuaries where id = new.sanctuary_id;
+
+  for r in
+    select a.caregiver_id,
+           coalesce(p.email, true)  as email,
+           coalesce(p.push,  false) as push
+      from public.caregiver_assignments a
+      left join public.notification_prefs p on p.user_id = a.caregiver_id
+     where a.sanctuary_id = new.sanctuary_id
+       and a.caregiver_id is distinct from new.user_id
+       and (p.sanctuary_ids is null or new.sanctuary_id = any (p.sanctuary_ids))
+       and (urgent or coalesce(p.min_urgency, 'injured') = 'all')
+  loop
+    insert into public.notifications (user_id, sighting_id, urgent, title, body, url)
+    values (
+      r.caregiver_id,
+      new.id,
+      urgent,
+      format('%s in %s', case when urgent then 'Injured cat reported' else 'New report' end, place),
+      left(coalesce(new.notes, ''), 200),
+      format('/map?lat=%s&lng=%s&id=%s', new.latitude, new.longitude, new.id)
+    )
+    returning id into nid;
+
+    if r.email then
+      insert into public.notification_deliveries (notification_id, channel) values (nid, 'email');
+    end if;
+    if r.push and exists (select 1 from public.push_subscriptions where user_id = r.caregiver_id) then
+      insert into public.notification_deliveries (notification_id, channel) values (nid, 'push');
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_fan_out on public.sightings;
+create trigger sightings_fan_out
+  after insert on public.sightings
+  for each row execute function public.fan_out_sighting();
+
+/* ---------- live bell (lib/realtime.js) ---------- */
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+     where pubname = 'supabase_realtime'
+       and schemaname = 'public'
+       and tablename = 'notifications'
+  ) then
+    alter publication supabase_realtime add table public.notifications;
+  end if;
+end;
+$$;
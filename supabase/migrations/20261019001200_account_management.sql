@@ -0,0 +1,96 @@
+-- supabase/migrations/20261019001200_account_management.sql
+-- Profile settings (display name, contact preferences) and self-service
+-- account deletion. A deleted account's sightings stay on the map but
+-- lose their reporter.
+
+alter table public.profiles
+  add column if not exists display_name text
+    check (char_length(display_name) <= 60),
+  add column if not exists contact_ok boolean not null default false,
+  add column if not exists contact_via text not null default 'email'
+    check (contact_via in ('email', 'phone'));
+
+/* anonymised rows have no reporter */
+alter table public.sightings     alter column user_id drop not null;
+alter table public.deletion_logs alter column user_id drop not null;
+
+/* ---------- a user edits their own settings ----------
+   role and email stay out of reach: role is the admins' call, email
+   follows auth.users. */
+drop policy if exists "profiles: own settings" on public.profiles;
+create policy "profiles: own settings" on public.profiles
+  for update to authenticated
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+create or replace function public.guard_profile_settings()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.id = auth.uid() and public.my_role() is distinct from 'admin' then
+    new.role  := old.role;
+    new.email := old.email;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_settings on public.profiles;
+create trigger profiles_guard_settings
+  before update on public.profiles
+  for each row execute function public.guard_profile_settings();
+
+/* ---------- reporter contact ----------
+   Only when the reporter opted in, and only to admins or caregivers of
+   the sanctuary the sighting was routed to. */
+create or replace function public.reporter_contact(p_sighting_id bigint)
+returns table (display_name text, email text, phone text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.display_name,
+         case when p.contact_via = 'email' then u.email end,
+         case when p.contact_via = 'phone' then u.phone end
+    from public.sightings s
+    join public.profiles p on p.id = s.user_id
+    join auth.users u      on u.id = s.user_id
+   where s.id = p_sighting_id
+     and p.contact_ok
+     and (public.my_role() = 'admin' or s.sanctuary_id in (select public.my_sanctuary_ids()));
+$$;
+
+revoke all on function public.reporter_contact(bigint) from public, anon;
+grant execute on function public.reporter_contact(bigint) to authenticated;
+
+/* ---------- delete my account ----------
+   Sightings and deletion logs keep their content but drop the user id;
+   everything keyed to the profile goes with it through its foreign keys
+   (cascade or set null). Cases assigned to a caregiver are unassigned
+   first, while guard_sighting_case() can still see their role. */
+create or replace function public.delete_my_account()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  me uuid := auth.uid();
+begin
+  if me is null then
+    raise exception 'Not signed in';
+  end if;
+
+  update public.sightings     set assignee_id = null where assignee_id = me;
+  update public.sightings     set user_id = null where user_id = me;
+  update public.deletion_logs set user_id = null where user_id = me;
+
+  delete from public.profiles where id = me;
+  delete from auth.users      where id = me;
+end;
+$$;
+
+revoke all on function public.delete_my_account() from public, anon;
+grant execute on function public.delete_my_account() to authenticated;
@@ -0,0 +1,147 @@
+-- supabase/migrations/20261019001300_audit_log.sql
+-- Append-only audit trail of every change an admin or caregiver makes:
+-- who, what, which row, and the before / after of the columns that
+-- changed. Written by triggers, so no client code path can skip it.
+-- Read by the Audit tab and the per-row history in pages/admin.js
+-- (lib/audit.js).
+
+create table if not exists public.audit_log (
+  id          bigint generated always as identity primary key,
+  created_at  timestamptz not null default now(),
+  actor_id    uuid,               -- no FK: entries outlive deleted accounts
+  actor_email text,               -- as it was at the time
+  actor_role  text not null,
+  action      text not null check (action in ('insert', 'update', 'delete')),
+  entity      text not null,      -- table name
+  entity_id   text not null,
+  before      jsonb,              -- changed columns only (whole row on delete)
+  after       jsonb               -- changed columns only (whole row on insert)
+);
+
+create index if not exists audit_log_created_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_entity_idx  on public.audit_log (entity, entity_id, created_at desc);
+create index if not exists audit_log_actor_idx   on public.audit_log (actor_id, created_at desc);
+
+/* ---------- read: admins everything, caregivers their sanctuaries ---------- */
+alter table public.audit_log enable row level security;
+
+drop policy if exists "audit_log: admins read" on public.audit_log;
+create policy "audit_log: admins read" on public.audit_log
+  for select using (public.my_role() = 'admin');
+
+drop policy if exists "audit_log: caregivers read own sanctuaries" on public.audit_log;
+create policy "audit_log: caregivers read own sanctuaries" on public.audit_log
+  for select using (
+    public.my_role() = 'caregiver'
+    and entity in ('sanctuaries', 'caregiver_assignments')
+    and entity_id in (select id::text from public.my_sanctuary_ids() as id)
+  );
+
+/* ---------- append-only, for every role including service_role ---------- */
+revoke update, delete, truncate on public.audit_log from public, anon, authenticated;
+
+create or replace function public.audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_append_only();
+
+/* ---------- the row trigger ----------
+   audit_row('<id column>', '<ignored column>', …): the id column names
+   the entity in audit_log.entity_id (sanctuary_id for assignments, so
+   they show in the sanctuary's history); ignored columns never count as
+   a change on their own. */
+create or replace function public.audit_row()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  actor   public.profiles%rowtype;
+  old_j   jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  new_j   jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  ignored text[] := coalesce(tg_argv[1:], '{}');
+  b       jsonb := '{}';
+  a       jsonb := '{}';
+  k       text;
+begin
+  select * into actor from public.profiles where id = auth.uid();
+  if actor.role is null or actor.role not in ('admin', 'caregiver') then
+    return null;
+  end if;
+
+  if tg_op = 'UPDATE' then
+    for k in select jsonb_object_keys(new_j) loop
+      if new_j -> k is distinct from old_j -> k and k <> all (ignored) then
+        b := b || jsonb_build_object(k, old_j -> k);
+        a := a || jsonb_build_object(k, new_j -> k);
+      end if;
+    end loop;
+    if a = '{}' then
+      return null;
+    end if;
+  end if;
+
+  insert into public.audit_log
+    (actor_id, actor_email, actor_role, action, entity, entity_id, before, after)
+  values (
+    actor.id,
+    actor.email,
+    actor.role,
+    lower(tg_op),
+    tg_table_name,
+    coalesce(new_j, old_j) ->> tg_argv[0],
+    case tg_op when 'INSERT' then null when 'DELETE' then old_j else b end,
+    case tg_op when 'DELETE' then null when 'INSERT' then new_j else a end
+  );
+  return null;
+end;
+$$;
+
+/* ---------- audited tables ----------
+   Sightings: a plain user's report is not administrative and is skipped
+   like any other non-staff change; what admins and caregivers insert
+   (imports included) is logged. */
+drop trigger if exists sanctuaries_audit on public.sanctuaries;
+create trigger sanctuaries_audit
+  after insert or update or delete on public.sanctuaries
+  for each row execute function public.audit_row('id', 'updated_at');
+
+drop trigger if exists caregiver_assignments_audit on public.caregiver_assignments;
+create trigger caregiver_assignments_audit
+  after insert or update or delete on public.caregiver_assignments
+  for each row execute function public.audit_row('sanctuary_id');
+
+drop trigger if exists profiles_audit on public.profiles;
+create trigger profiles_audit
+  after insert or update or delete on public.profiles
+  for each row execute function public.audit_row('id', 'updated_at');
+
+drop trigger if exists sightings_audit on public.sightings;
+create trigger sightings_audit
+  after insert or update or delete on public.sightings
+  for each row execute function public.audit_row('id', 'updated_at');
+
+drop trigger if exists cats_audit on public.cats;
+create trigger cats_audit
+  after insert or update or delete on public.cats
+  for each row execute function public.audit_row('id', 'updated_at');
+
+drop trigger if exists colonies_audit on public.colonies;
+create trigger colonies_audit
+  after insert or update or delete on public.colonies
+  for each row execute function public.audit_row('id', 'updated_at');
+
+drop trigger if exists colony_caregivers_audit on public.colony_caregivers;
+create trigger colony_caregivers_audit
+  after insert or update or delete on public.colony_caregivers
+  for each row execute function public.audit_row('colony_id');
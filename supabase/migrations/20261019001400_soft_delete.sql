@@ -0,0 +1,154 @@
+-- supabase/migrations/20261019001400_soft_delete.sql
+-- Deleting a sighting or sanctuary now leaves a tombstone: the row stays,
+-- with who deleted it, when and why, and drops out of normal reads.
+-- Admins restore from the Trash tab or purge for good; the cron route
+-- /api/cron/purge-trash removes tombstones past retention (lib/trash.js).
+
+alter table public.sightings
+  add column if not exists deleted_at      timestamptz,
+  add column if not exists deleted_by      uuid
+    constraint sightings_deleted_by_fkey references public.profiles (id) on delete set null,
+  add column if not exists deletion_reason text;
+
+alter table public.sanctuaries
+  add column if not exists deleted_at      timestamptz,
+  add column if not exists deleted_by      uuid
+    constraint sanctuaries_deleted_by_fkey references public.profiles (id) on delete set null,
+  add column if not exists deletion_reason text;
+
+create index if not exists sightings_deleted_idx   on public.sightings (deleted_at) where deleted_at is not null;
+create index if not exists sanctuaries_deleted_idx on public.sanctuaries (deleted_at) where deleted_at is not null;
+
+/* ---------- who may tombstone / restore ----------
+   Delete: whoever could hard-delete before (reporter or admin for
+   sightings, admins for sanctuaries). Restore: admins. deleted_at and
+   deleted_by are stamped here, not trusted from the client. */
+create or replace function public.guard_tombstone()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is not distinct from old.deleted_at then
+    new.deleted_by      := old.deleted_by;
+    new.deletion_reason := old.deletion_reason;
+    return new;
+  end if;
+
+  if new.deleted_at is null then
+    if public.my_role() <> 'admin' then
+      raise exception 'only admins can restore deleted items' using errcode = '42501';
+    end if;
+    new.deleted_by      := null;
+    new.deletion_reason := null;
+  else
+    if public.my_role() <> 'admin'
+       and (tg_table_name <> 'sightings' or to_jsonb(old) ->> 'user_id' is distinct from auth.uid()::text) then
+      raise exception 'you cannot delete this' using errcode = '42501';
+    end if;
+    if old.deleted_at is not null then
+      raise exception 'already deleted' using errcode = '22023';
+    end if;
+    if coalesce(trim(new.deletion_reason), '') = '' then
+      raise exception 'a deletion reason is required' using errcode = '23514';
+    end if;
+    new.deleted_at := now();
+    new.deleted_by := auth.uid();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sightings_guard_tombstone on public.sightings;
+create trigger sightings_guard_tombstone
+  before update of deleted_at, deleted_by, deletion_reason on public.sightings
+  for each row execute function public.guard_tombstone();
+
+drop trigger if exists sanctuaries_guard_tombstone on public.sanctuaries;
+create trigger sanctuaries_guard_tombstone
+  before update of deleted_at, deleted_by, deletion_reason on public.sanctuaries
+  for each row execute function public.guard_tombstone();
+
+/* ---------- sightings: keep deletion_logs as the running record ----------
+   Clients used to write it before deleting; now the tombstone does. */
+create or replace function public.log_sighting_deletion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into deletion_logs (sighting_id, user_id, reason)
+  values (new.id, new.deleted_by, new.deletion_reason);
+  return null;
+end;
+$$;
+
+drop trigger if exists sightings_log_deletion on public.sightings;
+create trigger sightings_log_deletion
+  after update of deleted_at on public.sightings
+  for each row
+  when (old.deleted_at is null and new.deleted_at is not null)
+  execute function public.log_sighting_deletion();
+
+/* ---------- reads: tombstones hidden except from admins ----------
+   Reporters still see their own, so their delete (an UPDATE whose new
+   row must stay readable) passes; the app filters them out
+   (lib/sightings.js → withVisibility). */
+drop policy if exists "sightings: read by visibility" on public.sightings;
+create policy "sightings: read by visibility"
+  on public.sightings for select
+  using (
+    user_id = auth.uid()
+    or public.my_role() = 'admin'
+    or (
+      deleted_at is null
+      and (
+        visibility = 'public'
+        or (visibility = 'caregiver' and public.my_role() in ('caregiver', 'admin'))
+      )
+    )
+  );
+
+drop policy if exists "sanctuaries: read approved" on public.sanctuaries;
+create policy "sanctuaries: read approved"
+  on public.sanctuaries for select
+  using (
+    public.my_role() = 'admin'
+    or (
+      deleted_at is null
+      and (
+        approved
+        or submitted_by = auth.uid()
+        or id in (select public.my_sanctuary_ids())
+      )
+    )
+  );
+
+/* ---------- routing skips deleted sanctuaries (000100) ---------- */
+create or replace function public.route_sighting(p_lat double precision, p_lng double precision)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id
+    from (select s.id, public.sanctuary_cover_km2(s, p_lat, p_lng) as area
+            from sanctuaries s
+           where s.approved and s.deleted_at is null) c
+   where area is not null
+   order by area, id::text
+   limit 1;
+$$;
+
+/* ---------- hard delete: admins, tombstones only ---------- */
+drop policy if exists "sightings: delete own or admin" on public.sightings;
+drop policy if exists "sightings: admins purge" on public.sightings;
+create policy "sightings: admins purge"
+  on public.sightings for delete
+  using (public.my_role() = 'admin' and deleted_at is not null);
+
+drop policy if exists "sanctuaries: purge tombstones only" on public.sanctuaries;
+create policy "sanctuaries: purge tombstones only"
+  on public.sanctuaries as restrictive for delete
+  using (deleted_at is not null);
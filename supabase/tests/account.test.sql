@@ -0,0 +1,104 @@
+-- supabase/tests/account.test.sql
+-- pgTAP checks for profile settings and delete_my_account().
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(10);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email, phone) values
+  ('00000000-0000-0000-0000-0000000000d1', 'leaving@test.local', null),
+  ('00000000-0000-0000-0000-0000000000d2', null,                 '306900000002'),
+  ('00000000-0000-0000-0000-0000000000d3', 'carer@test.local',   null);
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000d1', 'leaving@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000d2', null,                 'user'),
+  ('00000000-0000-0000-0000-0000000000d3', 'carer@test.local',   'caregiver')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved)
+values ('account-test', 38.83, 20.70, 5, true);
+
+insert into public.caregiver_assignments (caregiver_id, sanctuary_id)
+select '00000000-0000-0000-0000-0000000000d3', id from public.sanctuaries where name = 'account-test';
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id) values
+  ('38.83', '20.70', 'account-test', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000d1');
+
+/* d2's report, routed to the sanctuary and assigned to the caregiver */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id, assignee_id)
+select '38.83', '20.70', 'account-test case', 1, 'injured', 'public',
+       '00000000-0000-0000-0000-0000000000d2', id, '00000000-0000-0000-0000-0000000000d3'
+  from public.sanctuaries where name = 'account-test';
+
+create function pg_temp.act_as(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims', json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+/* ---------- settings ---------- */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000d2');
+set local role authenticated;
+
+update public.profiles
+   set display_name = 'Phone person', contact_ok = true, contact_via = 'phone', role = 'admin'
+ where id = '00000000-0000-0000-0000-0000000000d2';
+
+reset role;
+select is(
+  (select display_name from public.profiles where id = '00000000-0000-0000-0000-0000000000d2'),
+  'Phone person',
+  'users set their own display name');
+select is(
+  (select role from public.profiles where id = '00000000-0000-0000-0000-0000000000d2'),
+  'user',
+  'users cannot promote themselves');
+
+/* ---------- reporter contact ---------- */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000d3');
+set local role authenticated;
+select is(
+  (select phone from public.reporter_contact(
+    (select id from public.sightings where notes = 'account-test case'))),
+  '306900000002',
+  'caregivers of the sanctuary reach reporters who opted in');
+reset role;
+
+/* ---------- delete my account ---------- */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000d1');
+set local role authenticated;
+select lives_ok('select public.delete_my_account()', 'a signed-in user deletes their account');
+reset role;
+
+select is(
+  (select count(*) from auth.users where id = '00000000-0000-0000-0000-0000000000d1'),
+  0::bigint,
+  'the auth user is gone');
+select is(
+  (select count(*) from public.profiles where id = '00000000-0000-0000-0000-0000000000d1'),
+  0::bigint,
+  'the profile is gone');
+select is(
+  (select user_id::text from public.sightings where notes = 'account-test'),
+  null::text,
+  'their sightings stay, without a reporter');
+
+/* a caregiver with an assigned case */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000d3');
+set local role authenticated;
+select lives_ok('select public.delete_my_account()', 'a caregiver with assigned cases deletes their account');
+reset role;
+
+select is(
+  (select assignee_id::text from public.sightings where notes = 'account-test case'),
+  null::text,
+  'their cases are left unassigned');
+
+select pg_temp.act_as(null);
+set local role anon;
+select throws_ok('select public.delete_my_account()', '42501', null, 'anonymous callers cannot run it');
+reset role;
+
+select * from finish();
+rollback;
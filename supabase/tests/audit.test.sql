@@ -0,0 +1,94 @@
+-- supabase/tests/audit.test.sql
+-- pgTAP checks for the audit_row() triggers and the append-only log.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(9);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000e1', 'audit-admin@test.local'),
+  ('00000000-0000-0000-0000-0000000000e2', 'audit-user@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000e1', 'audit-admin@test.local', 'admin'),
+  ('00000000-0000-0000-0000-0000000000e2', 'audit-user@test.local',  'user')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved)
+values ('audit-test', 38.83, 20.70, 5, true);
+
+create function pg_temp.act_as(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims', json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+create function pg_temp.entries(e text, eid text) returns setof public.audit_log language sql as $$
+  select * from public.audit_log where entity = e and entity_id = eid order by id;
+$$;
+
+/* ---------- a plain user's own edits are not audited ---------- */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000e2');
+update public.profiles set display_name = 'Audit user' where id = '00000000-0000-0000-0000-0000000000e2';
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id)
+values ('38.83', '20.70', 'audit-test report', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000e2');
+
+/* ---------- an admin renames the sanctuary and switches a role ---------- */
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000e1');
+update public.sanctuaries set name = 'audit-test renamed' where name = 'audit-test';
+update public.sanctuaries set name = 'audit-test renamed' where name = 'audit-test renamed';   -- no-op
+update public.profiles set role = 'caregiver' where id = '00000000-0000-0000-0000-0000000000e2';
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id)
+values ('38.83', '20.70', 'audit-test import', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000e1');
+
+select is(
+  (select count(*) from pg_temp.entries('sanctuaries',
+    (select id::text from public.sanctuaries where name = 'audit-test renamed'))),
+  1::bigint,
+  'one entry per real change, none for a no-op update');
+
+select is(
+  (select after from pg_temp.entries('sanctuaries',
+    (select id::text from public.sanctuaries where name = 'audit-test renamed'))),
+  '{"name": "audit-test renamed"}'::jsonb,
+  'after holds only the changed column');
+
+select is(
+  (select before ->> 'role' from pg_temp.entries('profiles', '00000000-0000-0000-0000-0000000000e2')),
+  'user',
+  'role switch keeps the old role');
+
+select is(
+  (select actor_email from pg_temp.entries('profiles', '00000000-0000-0000-0000-0000000000e2')),
+  'audit-admin@test.local',
+  'the actor is recorded');
+
+select is(
+  (select count(*) from pg_temp.entries('profiles', '00000000-0000-0000-0000-0000000000e2')),
+  1::bigint,
+  'the user''s own display-name edit left no entry');
+
+select is(
+  (select count(*) from pg_temp.entries('sightings',
+    (select id::text from public.sightings where notes = 'audit-test report'))),
+  0::bigint,
+  'a user''s own report left no entry');
+
+select is(
+  (select action from pg_temp.entries('sightings',
+    (select id::text from public.sightings where notes = 'audit-test import'))),
+  'insert',
+  'sightings an admin inserts are logged');
+
+/* ---------- append-only ---------- */
+select throws_ok(
+  'update public.audit_log set actor_email = null',
+  '42501', 'audit_log is append-only',
+  'entries cannot be edited');
+select throws_ok(
+  'delete from public.audit_log',
+  '42501', 'audit_log is append-only',
+  'entries cannot be deleted');
+
+select * from finish();
+rollback;
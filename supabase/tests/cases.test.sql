@@ -0,0 +1,59 @@
+-- supabase/tests/cases.test.sql
+-- pgTAP checks for what caregivers may change on someone else's report.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(4);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000b1', 'case-reporter@test.local'),
+  ('00000000-0000-0000-0000-0000000000b2', 'case-carer@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000b1', 'case-reporter@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000b2', 'case-carer@test.local',    'caregiver')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved)
+values ('case-test', 38.83, 20.70, 5, true);
+
+insert into public.caregiver_assignments (caregiver_id, sanctuary_id)
+select '00000000-0000-0000-0000-0000000000b2', id from public.sanctuaries where name = 'case-test';
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+select '38.83', '20.70', 'case-test', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000b1', id
+  from public.sanctuaries where name = 'case-test';
+
+create function pg_temp.login(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims',
+    json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+set local role authenticated;
+select pg_temp.login('00000000-0000-0000-0000-0000000000b2');
+
+/* ---------- case columns ---------- */
+select lives_ok(
+  $$ update public.sightings
+        set status = 'acknowledged', assignee_id = '00000000-0000-0000-0000-0000000000b2'
+      where notes = 'case-test' $$,
+  'caregivers set status and assignee');
+
+/* ---------- everything else ---------- */
+select throws_ok(
+  $$ update public.sightings set notes = 'rewritten' where notes = 'case-test' $$,
+  '42501', null,
+  'caregivers cannot rewrite notes');
+select throws_ok(
+  $$ update public.sightings set latitude = '0' where notes = 'case-test' $$,
+  '42501', null,
+  'caregivers cannot move a report');
+select throws_ok(
+  $$ update public.sightings set user_id = '00000000-0000-0000-0000-0000000000b2' where notes = 'case-test' $$,
+  '42501', null,
+  'caregivers cannot take over a report');
+
+select * from finish();
+rollback;
@@ -0,0 +1,120 @@
+-- supabase/tests/notifications.test.sql
+-- pgTAP checks for the sighting → caregiver fan-out.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(12);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000a1', 'reporter@test.local'),
+  ('00000000-0000-0000-0000-0000000000a2', 'notify-admin@test.local'),
+  ('00000000-0000-0000-0000-0000000000c1', 'carer-defaults@test.local'),
+  ('00000000-0000-0000-0000-0000000000c2', 'carer-all@test.local'),
+  ('00000000-0000-0000-0000-0000000000c3', 'carer-elsewhere@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000a1', 'reporter@test.local',        'user'),
+  ('00000000-0000-0000-0000-0000000000a2', 'notify-admin@test.local',    'admin'),
+  ('00000000-0000-0000-0000-0000000000c1', 'carer-defaults@test.local',  'caregiver'),
+  ('00000000-0000-0000-0000-0000000000c2', 'carer-all@test.local',       'caregiver'),
+  ('00000000-0000-0000-0000-0000000000c3', 'carer-elsewhere@test.local', 'caregiver')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved) values
+  ('notify-test A', 38.83, 20.70, 5, true),
+  ('notify-test B', 39.00, 21.00, 5, true);
+
+create function pg_temp.sanctuary(n text) returns bigint language sql as $$
+  select id from public.sanctuaries where name = n;
+$$;
+
+insert into public.caregiver_assignments (caregiver_id, sanctuary_id) values
+  ('00000000-0000-0000-0000-0000000000c1', pg_temp.sanctuary('notify-test A')),
+  ('00000000-0000-0000-0000-0000000000c2', pg_temp.sanctuary('notify-test A')),
+  ('00000000-0000-0000-0000-0000000000c3', pg_temp.sanctuary('notify-test B'));
+
+/* c2 wants every report, by email and push */
+insert into public.notification_prefs (user_id, min_urgency, email, push) values
+  ('00000000-0000-0000-0000-0000000000c2', 'all', true, true);
+insert into public.push_subscriptions (user_id, endpoint, p256dh, auth) values
+  ('00000000-0000-0000-0000-0000000000c2', 'https://push.test.local/c2', 'k', 'a');
+
+create function pg_temp.inbox(uid uuid) returns bigint language sql as $$
+  select count(*) from public.notifications n
+    join public.sightings s on s.id = n.sighting_id
+   where n.user_id = uid and s.notes like 'notify-test %';
+$$;
+
+/* ---------- a healthy cat in A ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+values ('38.83', '20.70', 'notify-test normal', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000a1', pg_temp.sanctuary('notify-test A'));
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 0::bigint,
+  'default threshold skips non-injured reports');
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c2'), 1::bigint,
+  '"all" threshold gets every report');
+
+/* ---------- an injured cat in A ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+values ('38.83', '20.70', 'notify-test injured', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000a1', pg_temp.sanctuary('notify-test A'));
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 1::bigint,
+  'injured reports reach caregivers on defaults');
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c3'), 0::bigint,
+  'caregivers of other sanctuaries are not notified');
+
+select is(
+  (select count(*) from public.notification_deliveries d
+     join public.notifications n on n.id = d.notification_id
+    where n.user_id = '00000000-0000-0000-0000-0000000000c2' and d.channel = 'push'),
+  2::bigint,
+  'push deliveries are queued for subscribed caregivers'
+);
+
+/* ---------- admin-only reports stay quiet ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+values ('38.83', '20.70', 'notify-test hidden', 1, 'injured', 'admin', '00000000-0000-0000-0000-0000000000a1', pg_temp.sanctuary('notify-test A'));
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 1::bigint,
+  'admin-only reports are not announced');
+
+/* ---------- historic sightings (imports) stay quiet ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id, seen_at)
+values ('38.83', '20.70', 'notify-test imported', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000a1', pg_temp.sanctuary('notify-test A'), now() - interval '1 year');
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 1::bigint,
+  'sightings seen long ago are not announced');
+
+/* ---------- closed cases stay quiet ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id, status)
+values ('38.83', '20.70', 'notify-test closed', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000a1', pg_temp.sanctuary('notify-test A'), 'closed');
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 1::bigint,
+  'closed cases are not announced');
+
+/* ---------- admin imports (no client_id) stay quiet, admin reports don't ---------- */
+select set_config('request.jwt.claims',
+  json_build_object('sub', '00000000-0000-0000-0000-0000000000a2', 'role', 'authenticated')::text, true);
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+values ('38.83', '20.70', 'notify-test admin import', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000a2', pg_temp.sanctuary('notify-test A'));
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 1::bigint,
+  'admin imports are not announced, even without a seen-at date');
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id, client_id)
+values ('38.83', '20.70', 'notify-test admin report', 1, 'injured', 'public', '00000000-0000-0000-0000-0000000000a2', pg_temp.sanctuary('notify-test A'), gen_random_uuid());
+
+select is(pg_temp.inbox('00000000-0000-0000-0000-0000000000c1'), 2::bigint,
+  'live reports from admins still are');
+
+/* ---------- the cron route's claim ---------- */
+select ok((select count(*) from public.claim_notification_deliveries(1000)) > 0,
+  'queued deliveries are claimed');
+select is((select count(*) from public.claim_notification_deliveries(1000)), 0::bigint,
+  'a claimed delivery is not handed out twice');
+
+select * from finish();
+rollback;
@@ -0,0 +1,83 @@
+-- supabase/tests/registration.test.sql
+-- pgTAP checks that sanctuary applications stay private until approved
+-- and that only admins decide them.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(9);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000a7', 'applicant@test.local'),
+  ('00000000-0000-0000-0000-0000000000a8', 'bystander@test.local'),
+  ('00000000-0000-0000-0000-0000000000a9', 'registration-carer@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000a7', 'applicant@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000a8', 'bystander@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000a9', 'registration-carer@test.local', 'caregiver')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved) values
+  ('registration-test live', 38.83, 20.70, 5, true);
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved, submitted_by, review_status, review_note) values
+  ('registration-test pending',  38.83, 20.70, 5, false, '00000000-0000-0000-0000-0000000000a7', 'pending', null),
+  ('registration-test rejected', 38.83, 20.70, 5, false, '00000000-0000-0000-0000-0000000000a7', 'rejected', 'Out of area'),
+  ('registration-test changes',  38.83, 20.70, 5, false, '00000000-0000-0000-0000-0000000000a7', 'changes_requested', 'Add hours');
+
+/* a caregiver assigned to someone else's application and to a live sanctuary */
+insert into public.caregiver_assignments (caregiver_id, sanctuary_id)
+select '00000000-0000-0000-0000-0000000000a9', id from public.sanctuaries
+ where name in ('registration-test pending', 'registration-test live');
+
+create function pg_temp.login(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims',
+    json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+create function pg_temp.visible() returns bigint language sql as $$
+  select count(*) from public.sanctuaries where name like 'registration-test %';
+$$;
+
+/* ---------- reads ---------- */
+set local role anon;
+select is(pg_temp.visible(), 1::bigint, 'anonymous visitors see approved sanctuaries only');
+
+set local role authenticated;
+select pg_temp.login('00000000-0000-0000-0000-0000000000a8');
+select is(pg_temp.visible(), 1::bigint, 'other users cannot read applications');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000a7');
+select is(pg_temp.visible(), 4::bigint, 'applicants read their own applications');
+select is(
+  (select review_note from public.sanctuaries where name = 'registration-test rejected'),
+  'Out of area',
+  'including the review note');
+
+/* ---------- writes ---------- */
+select lives_ok(
+  $$ update public.sanctuaries set name = 'registration-test changes', review_status = 'pending', review_note = null
+      where name = 'registration-test changes' $$,
+  'applicants resubmit after changes are requested');
+select throws_ok(
+  $$ update public.sanctuaries set review_note = 'looks fine' where name = 'registration-test pending' $$,
+  '42501', null,
+  'applicants cannot write the review note');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000a9');
+select throws_ok(
+  $$ update public.sanctuaries set review_status = 'approved' where name = 'registration-test pending' $$,
+  '42501', null,
+  'caregivers of a pending sanctuary cannot approve it');
+select throws_ok(
+  $$ update public.sanctuaries set approved = true where name = 'registration-test pending' $$,
+  '42501', null,
+  'nor flip approved');
+select throws_ok(
+  $$ update public.sanctuaries set name = 'renamed' where name = 'registration-test live' $$,
+  '42501', null,
+  'caregivers keep to hours and services on a live sanctuary');
+
+select * from finish();
+rollback;
@@ -0,0 +1,81 @@
+-- supabase/tests/routing.test.sql
+-- pgTAP checks for sighting → sanctuary routing done by the database.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(6);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000e1', 'route-reporter@test.local'),
+  ('00000000-0000-0000-0000-0000000000e2', 'route-admin@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000e1', 'route-reporter@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000e2', 'route-admin@test.local',    'admin')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, boundary, approved) values
+  ('route-test wide',    38.83, 20.70, 20, null, true),
+  ('route-test town',    38.83, 20.70, null,
+   '{"type":"Polygon","coordinates":[[[20.69,38.82],[20.71,38.82],[20.71,38.84],[20.69,38.84],[20.69,38.82]]]}', true),
+  ('route-test pending', 38.83, 20.70, 1, null, false),
+  ('route-test far',     40.00, 22.00, 5, null, true);
+
+create function pg_temp.sanctuary(n text) returns bigint language sql as $$
+  select id from public.sanctuaries where name = n;
+$$;
+
+create function pg_temp.routed(n text) returns bigint language sql as $$
+  select sanctuary_id from public.sightings where notes = n;
+$$;
+
+create function pg_temp.login(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims',
+    json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+set local role authenticated;
+select pg_temp.login('00000000-0000-0000-0000-0000000000e1');
+
+/* ---------- insert ---------- */
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id, sanctuary_id)
+values ('38.83', '20.70', 'route-test town', 1, 'normal', 'public',
+        '00000000-0000-0000-0000-0000000000e1', pg_temp.sanctuary('route-test far'));
+select is(pg_temp.routed('route-test town'), pg_temp.sanctuary('route-test town'),
+  'the client''s sanctuary_id is ignored; the smallest approved service area wins');
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id)
+values ('38.90', '20.70', 'route-test outskirts', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000e1');
+select is(pg_temp.routed('route-test outskirts'), pg_temp.sanctuary('route-test wide'),
+  'outside the polygon falls back to the radius');
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id)
+values ('35.00', '25.00', 'route-test nowhere', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000e1');
+select is(pg_temp.routed('route-test nowhere'), null::bigint,
+  'outside every service area stays unrouted');
+
+/* ---------- update ---------- */
+update public.sightings set sanctuary_id = pg_temp.sanctuary('route-test far')
+ where notes = 'route-test town';
+select is(pg_temp.routed('route-test town'), pg_temp.sanctuary('route-test town'),
+  'reporters cannot re-route their own report');
+
+update public.sightings set latitude = '40.00', longitude = '22.00'
+ where notes = 'route-test nowhere';
+select is(pg_temp.routed('route-test nowhere'), pg_temp.sanctuary('route-test far'),
+  'moving a report re-routes it');
+
+/* ---------- deleted sanctuaries ---------- */
+select pg_temp.login('00000000-0000-0000-0000-0000000000e2');
+update public.sanctuaries set deleted_at = now(), deletion_reason = 'closed' where name = 'route-test town';
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000e1');
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id)
+values ('38.83', '20.70', 'route-test after', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000e1');
+select is(pg_temp.routed('route-test after'), pg_temp.sanctuary('route-test wide'),
+  'deleted sanctuaries take no new reports');
+
+select * from finish();
+rollback;
@@ -0,0 +1,70 @@
+-- supabase/tests/sightings_visibility.test.sql
+-- pgTAP checks for the sightings visibility policies.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(6);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-00000000000a', 'reporter@test.local'),
+  ('00000000-0000-0000-0000-00000000000b', 'other@test.local'),
+  ('00000000-0000-0000-0000-00000000000c', 'carer@test.local'),
+  ('00000000-0000-0000-0000-00000000000d', 'admin@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-00000000000a', 'reporter@test.local', 'user'),
+  ('00000000-0000-0000-0000-00000000000b', 'other@test.local',    'user'),
+  ('00000000-0000-0000-0000-00000000000c', 'carer@test.local',    'caregiver'),
+  ('00000000-0000-0000-0000-00000000000d', 'admin@test.local',    'admin')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id) values
+  ('38.83', '20.70', 'rls-test public',    1, 'normal', 'public',    '00000000-0000-0000-0000-00000000000a'),
+  ('38.83', '20.70', 'rls-test caregiver', 1, 'normal', 'caregiver', '00000000-0000-0000-0000-00000000000a'),
+  ('38.83', '20.70', 'rls-test admin',     1, 'normal', 'admin',     '00000000-0000-0000-0000-00000000000a');
+
+/* ---------- helpers ---------- */
+create function pg_temp.login(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims',
+    json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+create function pg_temp.visible() returns bigint language sql as $$
+  select count(*) from public.sightings where notes like 'rls-test %';
+$$;
+
+set local role authenticated;
+
+/* ---------- reads ---------- */
+select pg_temp.login('00000000-0000-0000-0000-00000000000b');
+select is(pg_temp.visible(), 1::bigint, 'plain users see public reports only');
+
+select pg_temp.login('00000000-0000-0000-0000-00000000000a');
+select is(pg_temp.visible(), 3::bigint, 'reporters see all of their own reports');
+
+select pg_temp.login('00000000-0000-0000-0000-00000000000c');
+select is(pg_temp.visible(), 2::bigint, 'caregivers see public and caregiver reports');
+
+select pg_temp.login('00000000-0000-0000-0000-00000000000d');
+select is(pg_temp.visible(), 3::bigint, 'admins see every report');
+
+/* ---------- writes ---------- */
+select pg_temp.login('00000000-0000-0000-0000-00000000000b');
+select throws_ok(
+  $$ insert into public.sightings (latitude, longitude, animals, behaviour, visibility, user_id)
+     values ('38.83', '20.70', 1, 'normal', 'public', '00000000-0000-0000-0000-00000000000a') $$,
+  '42501',
+  null,
+  'users cannot file reports under someone else''s id'
+);
+
+select lives_ok(
+  $$ insert into public.sightings (latitude, longitude, animals, behaviour, visibility, user_id)
+     values ('38.83', '20.70', 1, 'normal', 'public', '00000000-0000-0000-0000-00000000000b') $$,
+  'users can file their own reports'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,96 @@
+-- supabase/tests/trash.test.sql
+-- pgTAP checks for soft delete: tombstones, restore and purge.
+-- Run against the local stack:  supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(10);
+
+/* ---------- fixtures (as postgres, RLS bypassed) ---------- */
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000f1', 'trash-reporter@test.local'),
+  ('00000000-0000-0000-0000-0000000000f2', 'trash-other@test.local'),
+  ('00000000-0000-0000-0000-0000000000f3', 'trash-admin@test.local');
+
+insert into public.profiles (id, email, role) values
+  ('00000000-0000-0000-0000-0000000000f1', 'trash-reporter@test.local', 'user'),
+  ('00000000-0000-0000-0000-0000000000f2', 'trash-other@test.local',    'user'),
+  ('00000000-0000-0000-0000-0000000000f3', 'trash-admin@test.local',    'admin')
+on conflict (id) do update set role = excluded.role;
+
+insert into public.sightings (latitude, longitude, notes, animals, behaviour, visibility, user_id) values
+  ('38.83', '20.70', 'trash-test', 1, 'normal', 'public', '00000000-0000-0000-0000-0000000000f1');
+
+insert into public.sanctuaries (name, latitude, longitude, radius_km, approved)
+values ('trash-test', 38.83, 20.70, 5, true);
+
+create function pg_temp.login(uid uuid) returns void language sql as $$
+  select set_config('request.jwt.claims',
+    json_build_object('sub', uid, 'role', 'authenticated')::text, true);
+$$;
+
+create function pg_temp.visible() returns bigint language sql as $$
+  select count(*) from public.sightings where notes = 'trash-test';
+$$;
+
+set local role authenticated;
+
+/* ---------- deleting ---------- */
+select pg_temp.login('00000000-0000-0000-0000-0000000000f2');
+update public.sightings set deleted_at = now(), deletion_reason = 'x' where notes = 'trash-test';
+select is(pg_temp.visible(), 1::bigint, 'users cannot delete someone else''s report');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000f1');
+select throws_ok(
+  $$ update public.sightings set deleted_at = now() where notes = 'trash-test' $$,
+  '23514', null,
+  'a reason is required');
+select lives_ok(
+  $$ update public.sightings set deleted_at = now(), deletion_reason = 'duplicate' where notes = 'trash-test' $$,
+  'reporters delete their own report');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000f2');
+select is(pg_temp.visible(), 0::bigint, 'tombstones are hidden from other users');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000f3');
+select is(
+  (select deleted_by from public.sightings where notes = 'trash-test'),
+  '00000000-0000-0000-0000-0000000000f1'::uuid,
+  'deleted_by is stamped by the database');
+
+/* ---------- restore / purge ---------- */
+select pg_temp.login('00000000-0000-0000-0000-0000000000f1');
+select throws_ok(
+  $$ update public.sightings set deleted_at = null where notes = 'trash-test' $$,
+  '42501', null,
+  'only admins restore');
+
+select pg_temp.login('00000000-0000-0000-0000-0000000000f3');
+update public.sightings set deleted_at = null where notes = 'trash-test';
+select is(
+  (select deletion_reason from public.sightings where notes = 'trash-test'),
+  null::text,
+  'restoring clears the reason');
+
+delete from public.sanctuaries where name = 'trash-test';
+select is(
+  (select count(*) from public.sanctuaries where name = 'trash-test'),
+  1::bigint,
+  'live sanctuaries cannot be hard-deleted');
+
+update public.sanctuaries set deleted_at = now(), deletion_reason = 'closed' where name = 'trash-test';
+delete from public.sanctuaries where name = 'trash-test';
+select is(
+  (select count(*) from public.sanctuaries where name = 'trash-test'),
+  0::bigint,
+  'admins purge tombstoned sanctuaries');
+
+reset role;
+select is(
+  (select reason from public.deletion_logs
+    where sighting_id = (select id from public.sightings where notes = 'trash-test')),
+  'duplicate',
+  'deleting a report still writes deletion_logs');
+
+select * from finish();
+rollback;